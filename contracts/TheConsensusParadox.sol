@@ -1,15 +1,85 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+
 /**
  * @title ConsensusParadox
  * @dev A smart contract that solves coordination problems through cryptographic proof
  * This contract implements a coordination game where participants must coordinate
  * to achieve optimal outcomes, solving the classic coordination paradox
  */
-contract Project {
+contract Project is EIP712, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Enums
+    enum ConsensusMode {
+        OneAddressOneVote, // Every revealed participant counts once and winners share equally
+        StakeWeighted      // Choices are tallied by stake and winners are paid pro rata to stake
+    }
+
+    enum NonRevealPolicy {
+        Refund,          // Non-revealers get their full stake back
+        SlashToWinners,  // A share of the stake is slashed into the winners' pool
+        SlashToTreasury  // A share of the stake is slashed to the treasury
+    }
+
+    enum RewardCurve {
+        Step,      // The full coordination reward is paid as soon as the threshold is met
+        Linear,    // The reward grows linearly from nothing at the threshold to all of it at 100% agreement
+        Quadratic  // The reward grows with the square of the agreement above the threshold
+    }
 
     // Structs
+    struct RoundParameters {
+        uint256 commitPhaseDuration;  // Duration of commit phase in seconds
+        uint256 revealPhaseDuration;  // Duration of reveal phase in seconds
+        uint256 consensusThreshold;   // Minimum percentage the leading option needs (0-100)
+        NonRevealPolicy nonRevealPolicy;
+        uint256 slashPercentage;      // Share of a non-revealer's stake that is slashed (0-100, 0 for Refund)
+        uint256 optionCount;          // Number of options participants choose between (2-10)
+        ConsensusMode consensusMode;
+        uint256 maxParticipants;      // Cap on participants, 0 for no cap
+        bytes32 allowlistRoot;        // Merkle root of the addresses allowed to join, zero for an open round
+        uint256 minReputation;        // Reputation score needed to join, in basis points (0 for none)
+        address stakeToken;           // ERC-20 token stakes and rewards are paid in, address(0) for the native currency
+        RewardCurve rewardCurve;      // How much of the coordination reward winners get at each agreement level
+    }
+
+    struct RoundTemplate {
+        string name;
+        RoundParameters params;
+        string[] optionLabels;
+        uint256 minStake;
+        uint256 coordinationReward;
+    }
+
+    // Minimum stake and coordination reward of manual rounds staked in an ERC-20 token, in its own units
+    struct StakeTokenSettings {
+        uint256 minStake;             // 0 while the token is not accepted
+        uint256 coordinationReward;
+    }
+
+    // Everything the contract's balance of one token is committed to
+    struct Liabilities {
+        uint256 reservedRewards;      // Coordination rewards reserved by unfinalized rounds
+        uint256 outstandingRewards;   // Credited to participantRewards but not yet claimed
+        uint256 activeStakes;         // Stakes held by unfinalized rounds
+        uint256 unsettledPayouts;     // Owed by finalized rounds to participants not settled yet
+    }
+
+    struct RoundSchedule {
+        uint256 templateId;     // Template every scheduled round is started from, 0 when no schedule is set
+        uint256 nextStartTime;  // Earliest time the next scheduled round may start
+        uint256 interval;       // Seconds between scheduled starts
+        uint256 lastRoundId;    // Most recent round started by the schedule
+    }
+
     struct Participant {
         address participantAddress;
         bool hasCommitted;
@@ -18,6 +88,18 @@ contract Project {
         bool hasRevealed;
         uint256 stake;
         bool isActive;
+        bool settled;             // Whether the payout of the finalized round has been credited
+    }
+
+    // Coordination record of an address, packed into one slot so updating it stays cheap
+    struct Reputation {
+        uint32 roundsJoined;
+        uint32 reveals;
+        uint32 wins;              // Revealed the winning option of a coordinated round
+        uint32 losses;            // Revealed, but in the minority or in a round that failed to coordinate
+        uint32 noShows;           // Committed but never revealed
+        uint48 weightedWins;      // Wins with every older round decayed by REPUTATION_DECAY_PERCENT
+        uint48 weightedRounds;    // Settled rounds, decayed the same way
     }
 
     struct CoordinationRound {
@@ -33,35 +115,129 @@ contract Project {
         address[] participantList;
         uint256 coordinationResult;
         bool roundFinalized;
+        bool cancelled;           // Closed by the owner; every stake is refunded and nothing else is paid
+        NonRevealPolicy nonRevealPolicy;
+        uint256 slashPercentage;
+        uint256 reservedReward;
+        uint256 optionCount;
+        string[] optionLabels;
+        ConsensusMode consensusMode;
+        // Running tallies, updated by every reveal so finalization never loops over participants
+        uint256[] choiceCounts;
+        uint256[] choiceStakes;
+        uint256 revealedCount;
+        uint256 revealedStake;
+        uint256 pendingSlash;     // What the slash policy would take from everyone who has not revealed yet
+        // Result breakdown, recorded at finalization
+        bool coordinated;
+        uint256 winningChoice;
+        uint256 nonRevealCount;
+        uint256 rewardPerWinner;
+        uint256 totalReward;
+        bool slashWaived;         // Slashing into the winners' pool with nobody to receive it becomes a refund
+        uint256 refundBonus;      // Slashed stake added to each revealer's refund when coordination fails
+        // Settlement progress: payouts are credited in batches or claimed by each participant
+        uint256 unsettledCount;
+        uint256 settlementCursor;
+        uint256 payoutReserve;    // Still owed to unsettled participants; the remainder (rounding dust) returns to the pool
+        // Entry requirements, fixed when the round starts
+        uint256 minStake;
+        uint256 maxParticipants;
+        uint256 templateId;
+        bytes32 allowlistRoot;
+        uint256 minReputation;
+        address stakeToken;
+        RewardCurve rewardCurve;
     }
 
+    // Constants
+    uint256 public constant MIN_OPTIONS = 2;
+    uint256 public constant MAX_OPTIONS = 10;
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    // Participants settled by finalization itself; the rest are settled with settleRound or claimRoundRewards
+    uint256 public constant SETTLEMENT_BATCH_SIZE = 25;
+    // Reputation scores are success rates in basis points; each settled round weighs this percentage of the next
+    uint256 public constant REPUTATION_SCALE = 10000;
+    uint256 public constant REPUTATION_DECAY_PERCENT = 90;
+    uint256 internal constant REPUTATION_WEIGHT = 1e9;
+    // Key of the native currency in the per-token accounting
+    address internal constant NATIVE = address(0);
+    // Version of the commitment preimage, bumped whenever its fields change
+    uint256 public constant COMMITMENT_VERSION = 1;
+    // EIP-712 type a participant signs so anyone can reveal on their behalf
+    bytes32 public constant REVEAL_AUTHORIZATION_TYPEHASH =
+        keccak256("RevealAuthorization(uint256 roundId,uint256 choice,uint256 nonce)");
+
     // State variables
     address public owner;
+    address public pendingOwner;            // Nominated by the owner, becomes owner once it accepts
+    mapping(address => bool) public operators; // May start rounds alongside the owner
+    bool public paused;                     // Stops joins, reveals, finalization and scheduled starts during an incident
     uint256 public currentRoundId;
     uint256 public minStake;
     uint256 public coordinationReward;
     uint256 public totalRounds;
+    address public treasury;
+
+    // Solvency accounting per token (NATIVE for the native currency)
+    mapping(address => Liabilities) public liabilities;
+    // ERC-20 tokens rounds may be staked in, vetted by the owner
+    mapping(address => StakeTokenSettings) public stakeTokens;
 
-    mapping(uint256 => CoordinationRound) public rounds;
-    mapping(address => uint256) public participantRewards;
+    mapping(uint256 => CoordinationRound) internal rounds;
+    mapping(uint256 => RoundTemplate) internal roundTemplates;
+    uint256 public templateCount;
+    RoundSchedule public roundSchedule;
+    mapping(address => mapping(address => uint256)) public participantRewards; // token => participant => claimable
     mapping(address => uint256) public participantHistory;
+    mapping(address => Reputation) public reputations;
 
     // Events
-    event RoundStarted(uint256 indexed roundId, uint256 startTime, uint256 threshold);
+    event RoundStarted(uint256 indexed roundId, uint256 startTime, uint256 threshold, address stakeToken);
     event ParticipantJoined(uint256 indexed roundId, address indexed participant, uint256 stake);
     event CommitmentMade(uint256 indexed roundId, address indexed participant, bytes32 commitment);
     event ChoiceRevealed(uint256 indexed roundId, address indexed participant, uint256 choice);
+    event RevealRelayed(uint256 indexed roundId, address indexed participant, address indexed relayer);
     event RoundFinalized(uint256 indexed roundId, uint256 result, uint256 totalReward);
     event RewardClaimed(address indexed participant, uint256 amount);
+    event RewardCredited(uint256 indexed roundId, address indexed participant, uint256 amount);
+    event RoundSettled(uint256 indexed roundId);
+    event StakeSlashed(uint256 indexed roundId, address indexed participant, uint256 amount);
+    event TreasuryUpdated(address indexed treasury);
+    event RewardsDeposited(address indexed sponsor, uint256 amount);
+    event RewardPoolWithdrawn(address indexed owner, uint256 amount);
+    event RoundTemplateSaved(uint256 indexed templateId, string name);
+    event RoundScheduleUpdated(uint256 indexed templateId, uint256 nextStartTime, uint256 interval);
+    event RoundCancelled(uint256 indexed roundId);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event OperatorUpdated(address indexed operator, bool enabled);
+    event StakeTokenUpdated(address indexed token, uint256 minStake, uint256 coordinationReward);
+    event TokenRewardsDeposited(address indexed token, address indexed sponsor, uint256 amount);
+    event TokenRewardClaimed(address indexed token, address indexed participant, uint256 amount);
+    event TokenRewardPoolWithdrawn(address indexed token, address indexed owner, uint256 amount);
 
     // Modifiers
+    // Modifier checks live in functions so they are compiled once rather than inlined at every use
     modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner can call this function");
+        _checkOwner();
+        _;
+    }
+
+    modifier onlyOperator() {
+        _checkOperator();
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _checkNotPaused();
         _;
     }
 
     modifier roundExists(uint256 _roundId) {
-        require(_roundId <= currentRoundId && rounds[_roundId].isActive, "Round does not exist or inactive");
+        _checkRoundExists(_roundId);
         _;
     }
 
@@ -76,27 +252,197 @@ contract Project {
         _;
     }
 
-    constructor() {
+    modifier afterRevealPhase(uint256 _roundId) {
+        require(block.timestamp > rounds[_roundId].revealPhaseEnd, "Reveal phase not ended");
+        _;
+    }
+
+    function _checkOwner() internal view {
+        require(msg.sender == owner, "Only owner can call this function");
+    }
+
+    function _checkOperator() internal view {
+        require(msg.sender == owner || operators[msg.sender], "Only owner or operator can call this function");
+    }
+
+    function _checkNotPaused() internal view {
+        require(!paused, "Contract is paused");
+    }
+
+    function _checkRoundExists(uint256 _roundId) internal view {
+        require(_roundId <= currentRoundId && rounds[_roundId].isActive, "Round does not exist or inactive");
+    }
+
+    constructor() EIP712("The Consensus Paradox", "1") {
         owner = msg.sender;
         minStake = 0.01 ether;
         coordinationReward = 1 ether;
+        treasury = msg.sender;
         currentRoundId = 0;
         totalRounds = 0;
     }
 
+    /**
+     * @dev Plain transfers fund the reward pool
+     */
+    receive() external payable {
+        emit RewardsDeposited(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Fund the reward pool that backs coordination rewards. Open to the owner and any sponsor.
+     */
+    function depositRewards() external payable {
+        require(msg.value > 0, "No rewards deposited");
+        emit RewardsDeposited(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Fund the reward pool of an ERC-20 token. The sender must approve _amount first; what the
+     * contract actually receives is deposited.
+     */
+    function depositTokenRewards(address _token, uint256 _amount) external nonReentrant {
+        require(_token != NATIVE, "Invalid stake token");
+        uint256 received = _pullTokens(_token, _amount);
+        require(received > 0, "No rewards deposited");
+        emit TokenRewardsDeposited(_token, msg.sender, received);
+    }
+
     /**
      * @dev Core Function 1: Start a new coordination round
-     * @param _commitPhaseDuration Duration of commit phase in seconds
-     * @param _revealPhaseDuration Duration of reveal phase in seconds
-     * @param _consensusThreshold Minimum percentage needed for coordination (0-100)
+     * @param _params Phase durations, consensus threshold, non-reveal policy, option count and consensus mode
+     * @param _optionLabels Optional human-readable labels, either empty or one per option
      */
     function startCoordinationRound(
-        uint256 _commitPhaseDuration,
-        uint256 _revealPhaseDuration,
-        uint256 _consensusThreshold
-    ) external onlyOwner {
-        require(_consensusThreshold > 50 && _consensusThreshold <= 100, "Invalid threshold");
-        require(_commitPhaseDuration > 0 && _revealPhaseDuration > 0, "Invalid durations");
+        RoundParameters memory _params,
+        string[] memory _optionLabels
+    ) external onlyOperator {
+        _validateRoundParameters(_params, _optionLabels.length);
+        if (_params.stakeToken == NATIVE) {
+            _startRound(_params, _optionLabels, minStake, coordinationReward, 0);
+        } else {
+            StakeTokenSettings storage settings = stakeTokens[_params.stakeToken];
+            _startRound(_params, _optionLabels, settings.minStake, settings.coordinationReward, 0);
+        }
+    }
+
+    /**
+     * @dev Save a named round template. Templates fix everything a round needs, including its own
+     * minimum stake and coordination reward, so recurring rounds can be started from them.
+     * @param _templateId Template to overwrite, or 0 to create a new one
+     * @return templateId The id of the saved template
+     */
+    function saveRoundTemplate(
+        uint256 _templateId,
+        string calldata _name,
+        RoundParameters memory _params,
+        string[] memory _optionLabels,
+        uint256 _minStake,
+        uint256 _coordinationReward
+    ) external onlyOwner returns (uint256 templateId) {
+        require(_templateId <= templateCount, "Template does not exist");
+        require(bytes(_name).length > 0, "Invalid template name");
+        _validateRoundParameters(_params, _optionLabels.length);
+
+        templateId = _templateId == 0 ? ++templateCount : _templateId;
+        RoundTemplate storage template = roundTemplates[templateId];
+        template.name = _name;
+        template.params = _params;
+        delete template.optionLabels;
+        for (uint256 i = 0; i < _optionLabels.length; i++) {
+            template.optionLabels.push(_optionLabels[i]);
+        }
+        template.minStake = _minStake;
+        template.coordinationReward = _coordinationReward;
+
+        emit RoundTemplateSaved(templateId, _name);
+    }
+
+    /**
+     * @dev Start a round from a saved template
+     */
+    function startRoundFromTemplate(uint256 _templateId) external onlyOperator {
+        _startRoundFromTemplate(_templateId);
+    }
+
+    /**
+     * @dev Schedule recurring rounds from a template, or clear the schedule with template 0
+     * @param _templateId Template every scheduled round is started from
+     * @param _nextStartTime Earliest start of the next scheduled round
+     * @param _interval Seconds between scheduled starts
+     */
+    function setRoundSchedule(uint256 _templateId, uint256 _nextStartTime, uint256 _interval) external onlyOwner {
+        require(_templateId <= templateCount, "Template does not exist");
+        require(_templateId == 0 || _interval > 0, "Invalid interval");
+
+        roundSchedule.templateId = _templateId;
+        roundSchedule.nextStartTime = _nextStartTime;
+        roundSchedule.interval = _interval;
+
+        emit RoundScheduleUpdated(_templateId, _nextStartTime, _interval);
+    }
+
+    /**
+     * @dev Start the next scheduled round. Callable by anyone once the scheduled start time has passed
+     * and the previous scheduled round has been finalized.
+     * @return roundId The round that was started
+     */
+    function startScheduledRound() external whenNotPaused returns (uint256 roundId) {
+        RoundSchedule storage schedule = roundSchedule;
+        require(schedule.templateId != 0, "No round scheduled");
+        require(block.timestamp >= schedule.nextStartTime, "Scheduled start not reached");
+        require(
+            schedule.lastRoundId == 0 || rounds[schedule.lastRoundId].roundFinalized,
+            "Previous scheduled round not finalized"
+        );
+
+        roundId = _startRoundFromTemplate(schedule.templateId);
+        schedule.lastRoundId = roundId;
+
+        // Skip the slots missed while the previous round was still running
+        uint256 missedSlots = (block.timestamp - schedule.nextStartTime) / schedule.interval;
+        schedule.nextStartTime += (missedSlots + 1) * schedule.interval;
+    }
+
+    /**
+     * @dev Internal function to check round parameters shared by manual rounds and templates
+     */
+    function _validateRoundParameters(RoundParameters memory _params, uint256 _labelCount) internal pure {
+        require(_params.optionCount >= MIN_OPTIONS && _params.optionCount <= MAX_OPTIONS, "Invalid option count");
+        require(_labelCount == 0 || _labelCount == _params.optionCount, "Invalid option labels");
+        // The leading option must beat an even split across all options
+        require(_params.consensusThreshold * _params.optionCount > 100 && _params.consensusThreshold <= 100, "Invalid threshold");
+        require(_params.commitPhaseDuration > 0 && _params.revealPhaseDuration > 0, "Invalid durations");
+        require(_params.slashPercentage <= 100, "Invalid slash percentage");
+        require(_params.nonRevealPolicy != NonRevealPolicy.Refund || _params.slashPercentage == 0, "Refund policy cannot slash");
+        require(_params.minReputation <= REPUTATION_SCALE, "Invalid minimum reputation");
+    }
+
+    function _startRoundFromTemplate(uint256 _templateId) internal returns (uint256) {
+        require(_templateId != 0 && _templateId <= templateCount, "Template does not exist");
+        RoundTemplate storage template = roundTemplates[_templateId];
+        return _startRound(
+            template.params,
+            template.optionLabels,
+            template.minStake,
+            template.coordinationReward,
+            _templateId
+        );
+    }
+
+    /**
+     * @dev Internal function to open a round with validated parameters and reserve its coordination reward
+     */
+    function _startRound(
+        RoundParameters memory _params,
+        string[] memory _optionLabels,
+        uint256 _minStake,
+        uint256 _coordinationReward,
+        uint256 _templateId
+    ) internal returns (uint256) {
+        address token = _params.stakeToken;
+        require(token == NATIVE || stakeTokens[token].minStake > 0, "Stake token not accepted");
+        require(getTokenRewardPoolBalance(token) >= _coordinationReward, "Insufficient reward pool");
 
         currentRoundId++;
         totalRounds++;
@@ -104,184 +450,576 @@ contract Project {
         CoordinationRound storage newRound = rounds[currentRoundId];
         newRound.roundId = currentRoundId;
         newRound.startTime = block.timestamp;
-        newRound.commitPhaseEnd = block.timestamp + _commitPhaseDuration;
-        newRound.revealPhaseEnd = newRound.commitPhaseEnd + _revealPhaseDuration;
+        newRound.commitPhaseEnd = block.timestamp + _params.commitPhaseDuration;
+        newRound.revealPhaseEnd = newRound.commitPhaseEnd + _params.revealPhaseDuration;
         newRound.isActive = true;
-        newRound.consensusThreshold = _consensusThreshold;
+        newRound.consensusThreshold = _params.consensusThreshold;
         newRound.totalStake = 0;
         newRound.participantCount = 0;
         newRound.roundFinalized = false;
+        newRound.nonRevealPolicy = _params.nonRevealPolicy;
+        newRound.slashPercentage = _params.slashPercentage;
+        newRound.optionCount = _params.optionCount;
+        newRound.consensusMode = _params.consensusMode;
+        for (uint256 i = 0; i < _optionLabels.length; i++) {
+            newRound.optionLabels.push(_optionLabels[i]);
+        }
+        newRound.minStake = _minStake;
+        newRound.maxParticipants = _params.maxParticipants;
+        newRound.templateId = _templateId;
+        newRound.allowlistRoot = _params.allowlistRoot;
+        newRound.minReputation = _params.minReputation;
+        newRound.stakeToken = token;
+        newRound.rewardCurve = _params.rewardCurve;
+        newRound.choiceCounts = new uint256[](_params.optionCount);
+        newRound.choiceStakes = new uint256[](_params.optionCount);
+
+        // Reserve the coordination reward so it stays backed until the round is finalized
+        newRound.reservedReward = _coordinationReward;
+        liabilities[token].reservedRewards += _coordinationReward;
 
-        emit RoundStarted(currentRoundId, block.timestamp, _consensusThreshold);
+        emit RoundStarted(currentRoundId, block.timestamp, _params.consensusThreshold, token);
+        return currentRoundId;
     }
 
     /**
      * @dev Core Function 2: Join coordination round with cryptographic commitment
      * @param _roundId The round to join
-     * @param _commitmentHash Cryptographic hash of choice + nonce (keccak256(choice, nonce))
+     * @param _commitmentHash Commitment from getCommitmentHash, bound to this round and the sender
+     * @param _allowlistProof Merkle proof that the sender is on the round's allowlist, empty for open rounds
      */
     function joinCoordinationRound(
         uint256 _roundId,
-        bytes32 _commitmentHash
-    ) external payable roundExists(_roundId) inCommitPhase(_roundId) {
-        require(msg.value >= minStake, "Insufficient stake");
-        require(_commitmentHash != bytes32(0), "Invalid commitment hash");
-        require(!rounds[_roundId].participants[msg.sender].hasCommitted, "Already committed");
+        bytes32 _commitmentHash,
+        bytes32[] calldata _allowlistProof
+    ) external payable whenNotPaused roundExists(_roundId) inCommitPhase(_roundId) {
+        require(rounds[_roundId].stakeToken == NATIVE, "Round is staked in a token");
+        _join(_roundId, _commitmentHash, _allowlistProof, msg.value);
+    }
 
+    /**
+     * @dev Join a round staked in an ERC-20 token. The stake is pulled with transferFrom, so the sender must
+     * approve at least _amount first; what the contract actually receives is staked.
+     * @param _amount Stake to transfer, in the token's units
+     */
+    function joinTokenRound(
+        uint256 _roundId,
+        bytes32 _commitmentHash,
+        bytes32[] calldata _allowlistProof,
+        uint256 _amount
+    ) external nonReentrant whenNotPaused roundExists(_roundId) inCommitPhase(_roundId) {
+        address token = rounds[_roundId].stakeToken;
+        require(token != NATIVE, "Round is staked in the native currency");
+        _join(_roundId, _commitmentHash, _allowlistProof, _pullTokens(token, _amount));
+    }
+
+    /**
+     * @dev Internal function to record a commitment and its stake, whichever currency the stake came in
+     */
+    function _join(
+        uint256 _roundId,
+        bytes32 _commitmentHash,
+        bytes32[] calldata _allowlistProof,
+        uint256 _stake
+    ) internal {
         CoordinationRound storage round = rounds[_roundId];
+        require(_stake >= round.minStake, "Insufficient stake");
+        require(_commitmentHash != bytes32(0), "Invalid commitment hash");
+        require(!round.participants[msg.sender].hasCommitted, "Already committed");
+        require(round.maxParticipants == 0 || round.participantCount < round.maxParticipants, "Round is full");
+        require(_isAllowlisted(round.allowlistRoot, msg.sender, _allowlistProof), "Not on allowlist");
+        require(getReputationScore(msg.sender) >= round.minReputation, "Reputation too low");
 
         // Add participant
         Participant storage participant = round.participants[msg.sender];
         participant.participantAddress = msg.sender;
         participant.hasCommitted = true;
         participant.commitmentHash = _commitmentHash;
-        participant.stake = msg.value;
+        participant.stake = _stake;
         participant.isActive = true;
         participant.hasRevealed = false;
 
         round.participantList.push(msg.sender);
-        round.totalStake += msg.value;
+        round.totalStake += _stake;
+        liabilities[round.stakeToken].activeStakes += _stake;
         round.participantCount++;
+        round.pendingSlash += (_stake * round.slashPercentage) / 100;
+        reputations[msg.sender].roundsJoined++;
 
-        emit ParticipantJoined(_roundId, msg.sender, msg.value);
+        emit ParticipantJoined(_roundId, msg.sender, _stake);
         emit CommitmentMade(_roundId, msg.sender, _commitmentHash);
     }
 
     /**
      * @dev Core Function 3: Reveal choice and finalize coordination outcome
      * @param _roundId The round to reveal choice for
-     * @param _choice The original choice (0 or 1 for binary coordination)
+     * @param _choice The original choice (0 to optionCount - 1)
      * @param _nonce The nonce used in commitment
      */
     function revealChoiceAndCoordinate(
         uint256 _roundId,
         uint256 _choice,
         uint256 _nonce
-    ) external roundExists(_roundId) inRevealPhase(_roundId) {
-        require(_choice == 0 || _choice == 1, "Choice must be 0 or 1");
+    ) external whenNotPaused roundExists(_roundId) inRevealPhase(_roundId) {
+        _reveal(_roundId, msg.sender, _choice, _nonce);
+    }
+
+    /**
+     * @dev Reveal on behalf of a participant who signed an EIP-712 RevealAuthorization when committing.
+     * Callable by any relayer during the reveal phase; the reveal is attributed to the signer.
+     * @param _roundId The round to reveal choice for
+     * @param _participant The participant who signed the authorization
+     * @param _choice The original choice (0 to optionCount - 1)
+     * @param _nonce The nonce used in commitment
+     * @param _signature The participant's signature over the RevealAuthorization
+     */
+    function revealWithSignature(
+        uint256 _roundId,
+        address _participant,
+        uint256 _choice,
+        uint256 _nonce,
+        bytes calldata _signature
+    ) external whenNotPaused roundExists(_roundId) inRevealPhase(_roundId) {
+        bytes32 digest = getRevealAuthorizationDigest(_roundId, _choice, _nonce);
+        require(ECDSA.recover(digest, _signature) == _participant, "Invalid signature");
 
+        emit RevealRelayed(_roundId, _participant, msg.sender);
+        _reveal(_roundId, _participant, _choice, _nonce);
+    }
+
+    /**
+     * @dev Internal function to verify a reveal against the participant's commitment and record it
+     */
+    function _reveal(uint256 _roundId, address _participant, uint256 _choice, uint256 _nonce) internal {
         CoordinationRound storage round = rounds[_roundId];
-        Participant storage participant = round.participants[msg.sender];
+        require(_choice < round.optionCount, "Invalid choice");
+
+        Participant storage participant = round.participants[_participant];
 
         require(participant.hasCommitted, "Must commit first");
         require(!participant.hasRevealed, "Already revealed");
 
         // Verify cryptographic proof
-        bytes32 computedHash = keccak256(abi.encodePacked(_choice, _nonce));
+        bytes32 computedHash = getCommitmentHash(_roundId, _participant, _choice, _nonce);
         require(computedHash == participant.commitmentHash, "Invalid proof - commitment mismatch");
 
         participant.revealedChoice = _choice;
         participant.hasRevealed = true;
 
-        emit ChoiceRevealed(_roundId, msg.sender, _choice);
+        round.revealedCount++;
+        round.revealedStake += participant.stake;
+        round.choiceCounts[_choice]++;
+        round.choiceStakes[_choice] += participant.stake;
+        round.pendingSlash -= (participant.stake * round.slashPercentage) / 100;
+        reputations[_participant].reveals++;
 
-        // Check if all participants have revealed
-        _checkAndFinalizeRound(_roundId);
+        emit ChoiceRevealed(_roundId, _participant, _choice);
+
+        // Finalize in the last reveal once every participant has revealed
+        if (round.revealedCount == round.participantCount) {
+            _finalizeCoordinationResult(_roundId);
+        }
+    }
+
+    /**
+     * @dev Finalize a round whose reveal window has closed without every participant revealing.
+     * Callable by anyone so revealed stakes are never locked by participants who do not show up.
+     * @param _roundId The round to finalize
+     */
+    function finalizeRound(uint256 _roundId) external whenNotPaused roundExists(_roundId) afterRevealPhase(_roundId) {
+        _finalizeCoordinationResult(_roundId);
     }
 
     /**
-     * @dev Internal function to finalize round when all participants reveal
+     * @dev Cancel a misconfigured or disrupted round before it is finalized. Every stake is refunded in full,
+     * settled like payouts (the first batch here, the rest with settleRound or claimRoundRewards), the
+     * reserved reward returns to the pool and the round does not count towards anyone's reputation.
+     * Works while paused, so rounds whose reveal window an incident swallowed can be cancelled before
+     * anyone finalizes them.
      */
-    function _checkAndFinalizeRound(uint256 _roundId) internal {
+    function cancelRound(uint256 _roundId) external onlyOwner roundExists(_roundId) {
         CoordinationRound storage round = rounds[_roundId];
+        round.cancelled = true;
+        round.roundFinalized = true;
+        round.isActive = false;
 
-        // Count revealed participants
-        uint256 revealedCount = 0;
-        uint256 choiceOneCount = 0;
-
-        for (uint256 i = 0; i < round.participantList.length; i++) {
-            address participantAddr = round.participantList[i];
-            if (round.participants[participantAddr].hasRevealed) {
-                revealedCount++;
-                if (round.participants[participantAddr].revealedChoice == 1) {
-                    choiceOneCount++;
-                }
-            }
-        }
+        Liabilities storage owed = liabilities[round.stakeToken];
+        owed.activeStakes -= round.totalStake;
+        owed.reservedRewards -= round.reservedReward;
+        round.payoutReserve = round.totalStake;
+        round.unsettledCount = round.participantCount;
+        owed.unsettledPayouts += round.totalStake;
+
+        emit RoundCancelled(_roundId);
 
-        // Only finalize if all participants have revealed or reveal phase ended
-        if (revealedCount == round.participantCount || block.timestamp > round.revealPhaseEnd) {
-            _finalizeCoordinationResult(_roundId, revealedCount, choiceOneCount);
+        if (round.unsettledCount == 0) {
+            _closeSettlement(_roundId);
+        } else {
+            _settleBatch(_roundId, SETTLEMENT_BATCH_SIZE);
         }
     }
 
     /**
-     * @dev Internal function to calculate coordination results and distribute rewards
+     * @dev Internal function to calculate the coordination result from the running tallies and reserve
+     * every payout. Only the first SETTLEMENT_BATCH_SIZE participants are credited here, so the cost does
+     * not grow with the number of participants.
      */
-    function _finalizeCoordinationResult(
-        uint256 _roundId,
-        uint256 _revealedCount,
-        uint256 _choiceOneCount
-    ) internal {
+    function _finalizeCoordinationResult(uint256 _roundId) internal {
         CoordinationRound storage round = rounds[_roundId];
         require(!round.roundFinalized, "Round already finalized");
 
-        uint256 choiceZeroCount = _revealedCount - _choiceOneCount;
+        // Tally by head count or by stake depending on the round's mode
+        uint256[] memory tallies = round.consensusMode == ConsensusMode.StakeWeighted ? round.choiceStakes : round.choiceCounts;
+        (uint256 majorityChoice, bool isTie, uint256 totalTally) = _findPlurality(tallies);
+
         uint256 coordinationPercentage = 0;
-        uint256 majorityChoice = 0;
-
-        // Determine coordination success
-        if (_choiceOneCount > choiceZeroCount) {
-            majorityChoice = 1;
-            coordinationPercentage = (_choiceOneCount * 100) / _revealedCount;
-        } else if (choiceZeroCount > _choiceOneCount) {
-            majorityChoice = 0;
-            coordinationPercentage = (choiceZeroCount * 100) / _revealedCount;
-        } else {
-            // Tie case - no coordination achieved
-            coordinationPercentage = 50;
+        if (totalTally > 0) {
+            coordinationPercentage = (tallies[majorityChoice] * 100) / totalTally;
         }
 
         round.coordinationResult = coordinationPercentage;
         round.roundFinalized = true;
         round.isActive = false;
+        round.winningChoice = majorityChoice;
+        round.nonRevealCount = round.participantCount - round.revealedCount;
+
+        // The round's stakes and reserved reward move into payouts below; whatever is not owed to anyone
+        // (reserved reward of a failed round, rounding dust once everyone is settled) returns to the reward pool
+        Liabilities storage owed = liabilities[round.stakeToken];
+        owed.activeStakes -= round.totalStake;
+        owed.reservedRewards -= round.reservedReward;
 
-        // Distribute rewards if coordination threshold met
+        // Settle the non-reveal policy in aggregate; each non-revealer's refund is credited when they are settled
+        uint256 slashed = round.pendingSlash;
+        if (round.nonRevealPolicy == NonRevealPolicy.SlashToWinners && round.revealedCount == 0) {
+            round.slashWaived = true;
+            slashed = 0;
+        }
+        uint256 slashedToPool = slashed;
+        if (round.nonRevealPolicy == NonRevealPolicy.SlashToTreasury && slashed > 0) {
+            _creditReward(_roundId, treasury, slashed);
+            slashedToPool = 0;
+        }
+        uint256 nonRevealerRefunds = round.totalStake - round.revealedStake - slashed;
+
+        // Distribute rewards if coordination threshold met, with as much of the reserved reward as the curve grants
         uint256 totalReward = 0;
-        if (coordinationPercentage >= round.consensusThreshold) {
-            totalReward = round.totalStake + coordinationReward;
-            uint256 successfulParticipants = (majorityChoice == 1) ? _choiceOneCount : choiceZeroCount;
-            uint256 rewardPerParticipant = totalReward / successfulParticipants;
-
-            // Distribute rewards to coordinated participants
-            for (uint256 i = 0; i < round.participantList.length; i++) {
-                address participantAddr = round.participantList[i];
-                Participant storage participant = round.participants[participantAddr];
-
-                if (participant.hasRevealed && participant.revealedChoice == majorityChoice) {
-                    participantRewards[participantAddr] += rewardPerParticipant;
-                    participantHistory[participantAddr]++;
-                }
+        if (!isTie && coordinationPercentage >= round.consensusThreshold) {
+            totalReward = round.revealedStake + slashedToPool + _curveReward(round, coordinationPercentage);
+            round.coordinated = true;
+            round.totalReward = totalReward;
+            if (round.consensusMode != ConsensusMode.StakeWeighted) {
+                round.rewardPerWinner = totalReward / tallies[majorityChoice];
             }
+            round.payoutReserve = totalReward + nonRevealerRefunds;
         } else {
-            // Return stakes if coordination failed
-            for (uint256 i = 0; i < round.participantList.length; i++) {
-                address participantAddr = round.participantList[i];
-                Participant storage participant = round.participants[participantAddr];
-
-                if (participant.hasRevealed) {
-                    participantRewards[participantAddr] += participant.stake;
-                }
-            }
+            // Slashed stakes are shared among those who revealed
+            round.refundBonus = round.revealedCount > 0 ? slashedToPool / round.revealedCount : 0;
+            round.payoutReserve = round.revealedStake + slashedToPool + nonRevealerRefunds;
         }
+        round.unsettledCount = round.participantCount;
+        owed.unsettledPayouts += round.payoutReserve;
 
         emit RoundFinalized(_roundId, coordinationPercentage, totalReward);
+
+        if (round.unsettledCount == 0) {
+            _closeSettlement(_roundId);
+        } else {
+            _settleBatch(_roundId, SETTLEMENT_BATCH_SIZE);
+        }
+    }
+
+    /**
+     * @dev Internal function to scale a coordinated round's reserved reward by its reward curve.
+     * The part of the reward the curve withholds returns to the reward pool.
+     */
+    function _curveReward(CoordinationRound storage _round, uint256 _percentage) internal view returns (uint256) {
+        uint256 span = 100 - _round.consensusThreshold;
+        if (_round.rewardCurve == RewardCurve.Step || span == 0) {
+            return _round.reservedReward;
+        }
+        uint256 progress = _percentage - _round.consensusThreshold;
+        if (_round.rewardCurve == RewardCurve.Linear) {
+            return (_round.reservedReward * progress) / span;
+        }
+        return (_round.reservedReward * progress * progress) / (span * span);
+    }
+
+    /**
+     * @dev Internal function to find the leading option; a shared lead means no option won
+     */
+    function _findPlurality(uint256[] memory _tallies) internal pure returns (
+        uint256 leader,
+        bool isTie,
+        uint256 total
+    ) {
+        total = _tallies[0];
+        for (uint256 option = 1; option < _tallies.length; option++) {
+            total += _tallies[option];
+            if (_tallies[option] > _tallies[leader]) {
+                leader = option;
+                isTie = false;
+            } else if (_tallies[option] == _tallies[leader]) {
+                isTie = true;
+            }
+        }
+    }
+
+    /**
+     * @dev Internal function to work out what a participant of a finalized round is owed.
+     * Winners split the reward in equal shares or, in stake-weighted rounds, pro rata to stake; revealers
+     * get their stake back plus a share of the slashed stakes when coordination fails; non-revealers are
+     * refunded or slashed according to the round's policy.
+     * @return payout Amount owed to the participant
+     * @return slashed Amount slashed from a non-revealer's stake
+     */
+    function _payoutOf(
+        CoordinationRound storage _round,
+        Participant storage _participant
+    ) internal view returns (uint256 payout, uint256 slashed) {
+        if (_round.cancelled) {
+            return (_participant.stake, 0);
+        }
+        if (!_participant.hasRevealed) {
+            slashed = _round.slashWaived ? 0 : (_participant.stake * _round.slashPercentage) / 100;
+            return (_participant.stake - slashed, slashed);
+        }
+        if (!_round.coordinated) {
+            return (_participant.stake + _round.refundBonus, 0);
+        }
+        if (_participant.revealedChoice != _round.winningChoice) {
+            return (0, 0);
+        }
+        if (_round.consensusMode == ConsensusMode.StakeWeighted) {
+            return ((_round.totalReward * _participant.stake) / _round.choiceStakes[_round.winningChoice], 0);
+        }
+        return (_round.rewardPerWinner, 0);
+    }
+
+    /**
+     * @dev Internal function to credit a participant's payout from a finalized round, once
+     */
+    function _settleParticipant(uint256 _roundId, address _participantAddr) internal {
+        CoordinationRound storage round = rounds[_roundId];
+        Participant storage participant = round.participants[_participantAddr];
+        if (participant.settled) return;
+
+        (uint256 payout, uint256 slashed) = _payoutOf(round, participant);
+        participant.settled = true;
+
+        if (slashed > 0) {
+            emit StakeSlashed(_roundId, _participantAddr, slashed);
+        }
+        if (payout > 0) {
+            round.payoutReserve -= payout;
+            liabilities[round.stakeToken].unsettledPayouts -= payout;
+            _creditReward(_roundId, _participantAddr, payout);
+        }
+        bool won = round.coordinated && participant.hasRevealed && participant.revealedChoice == round.winningChoice;
+        if (won) {
+            participantHistory[_participantAddr]++;
+        }
+        if (!round.cancelled) {
+            _recordOutcome(_participantAddr, participant.hasRevealed, won);
+        } else {
+            // A cancelled round leaves no mark: undo what joining and revealing it counted
+            Reputation storage reputation = reputations[_participantAddr];
+            reputation.roundsJoined--;
+            if (participant.hasRevealed) {
+                reputation.reveals--;
+            }
+        }
+
+        round.unsettledCount--;
+        if (round.unsettledCount == 0) {
+            _closeSettlement(_roundId);
+        }
+    }
+
+    /**
+     * @dev Internal function to add a settled round to an address's reputation, decaying the older rounds
+     */
+    function _recordOutcome(address _account, bool _revealed, bool _won) internal {
+        Reputation storage reputation = reputations[_account];
+        if (!_revealed) {
+            reputation.noShows++;
+        } else if (_won) {
+            reputation.wins++;
+        } else {
+            reputation.losses++;
+        }
+
+        reputation.weightedWins = uint48(
+            (uint256(reputation.weightedWins) * REPUTATION_DECAY_PERCENT) / 100 + (_won ? REPUTATION_WEIGHT : 0)
+        );
+        reputation.weightedRounds = uint48(
+            (uint256(reputation.weightedRounds) * REPUTATION_DECAY_PERCENT) / 100 + REPUTATION_WEIGHT
+        );
     }
 
     /**
-     * @dev Allow participants to claim their rewards
+     * @dev Internal function to settle participants in join order, visiting at most _maxCount of them
+     * @return remaining Participants of the round still waiting to be settled
+     */
+    function _settleBatch(uint256 _roundId, uint256 _maxCount) internal returns (uint256 remaining) {
+        CoordinationRound storage round = rounds[_roundId];
+        uint256 cursor = round.settlementCursor;
+        uint256 end = cursor + _maxCount;
+        if (end > round.participantList.length) {
+            end = round.participantList.length;
+        }
+
+        for (; cursor < end; cursor++) {
+            _settleParticipant(_roundId, round.participantList[cursor]);
+        }
+        round.settlementCursor = cursor;
+        return round.unsettledCount;
+    }
+
+    /**
+     * @dev Internal function to return what is left of a fully settled round's payouts to the reward pool
+     */
+    function _closeSettlement(uint256 _roundId) internal {
+        CoordinationRound storage round = rounds[_roundId];
+        liabilities[round.stakeToken].unsettledPayouts -= round.payoutReserve;
+        round.payoutReserve = 0;
+        emit RoundSettled(_roundId);
+    }
+
+    /**
+     * @dev Internal function to credit a claimable amount from a round, in its stake token, and track it as a liability
+     */
+    function _creditReward(uint256 _roundId, address _participant, uint256 _amount) internal {
+        address token = rounds[_roundId].stakeToken;
+        participantRewards[token][_participant] += _amount;
+        liabilities[token].outstandingRewards += _amount;
+        emit RewardCredited(_roundId, _participant, _amount);
+    }
+
+    /**
+     * @dev Credit the payouts of the next participants of a finalized round, in join order.
+     * Callable by anyone, so large rounds can be settled in batches that fit in a block.
+     * @param _roundId The finalized round to settle
+     * @param _maxCount Maximum number of participants to visit
+     * @return remaining Participants of the round still waiting to be settled
+     */
+    function settleRound(uint256 _roundId, uint256 _maxCount) external returns (uint256 remaining) {
+        CoordinationRound storage round = rounds[_roundId];
+        require(round.roundFinalized, "Round not finalized");
+        require(round.unsettledCount > 0, "Round already settled");
+        return _settleBatch(_roundId, _maxCount);
+    }
+
+    /**
+     * @dev Allow participants to claim their native-currency rewards
      */
     function claimRewards() external {
-        uint256 reward = participantRewards[msg.sender];
-        require(reward > 0, "No rewards to claim");
+        require(_payOut(msg.sender, NATIVE) > 0, "No rewards to claim");
+    }
 
-        participantRewards[msg.sender] = 0;
-        payable(msg.sender).transfer(reward);
+    /**
+     * @dev Claim everything credited to the sender in an ERC-20 token
+     */
+    function claimTokenRewards(address _token) external {
+        require(_payOut(msg.sender, _token) > 0, "No rewards to claim");
+    }
+
+    /**
+     * @dev Claim your share of finalized rounds that have not been settled yet, together with everything
+     * already credited in the native currency and in the rounds' tokens, without waiting for anyone to
+     * settle the rounds
+     * @param _roundIds Finalized rounds the sender committed in
+     */
+    function claimRoundRewards(uint256[] calldata _roundIds) external {
+        for (uint256 i = 0; i < _roundIds.length; i++) {
+            CoordinationRound storage round = rounds[_roundIds[i]];
+            require(round.roundFinalized, "Round not finalized");
+            require(round.participants[msg.sender].hasCommitted, "Must commit first");
+            _settleParticipant(_roundIds[i], msg.sender);
+        }
+
+        // One transfer per currency: rounds sharing a token find its balance already paid out
+        bool paid = _payOut(msg.sender, NATIVE) > 0;
+        for (uint256 i = 0; i < _roundIds.length; i++) {
+            if (_payOut(msg.sender, rounds[_roundIds[i]].stakeToken) > 0) {
+                paid = true;
+            }
+        }
+        require(paid, "No rewards to claim");
+    }
+
+    /**
+     * @dev Internal function to pay out everything credited to a participant in one currency
+     * @return reward The amount paid, 0 when nothing was credited
+     */
+    function _payOut(address _participant, address _token) internal returns (uint256 reward) {
+        reward = participantRewards[_token][_participant];
+        if (reward == 0) {
+            return 0;
+        }
+
+        participantRewards[_token][_participant] = 0;
+        liabilities[_token].outstandingRewards -= reward;
+        _transferOut(_token, _participant, reward);
+
+        if (_token == NATIVE) {
+            emit RewardClaimed(_participant, reward);
+        } else {
+            emit TokenRewardClaimed(_token, _participant, reward);
+        }
+    }
+
+    /**
+     * @dev Internal function to send native currency or ERC-20 tokens out of the contract
+     */
+    function _transferOut(address _token, address _to, uint256 _amount) internal {
+        if (_token == NATIVE) {
+            payable(_to).transfer(_amount);
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
 
-        emit RewardClaimed(msg.sender, reward);
+    /**
+     * @dev Internal function to pull approved ERC-20 tokens from the sender
+     * @return received What the contract's balance grew by, which is less than _amount for fee-on-transfer tokens
+     */
+    function _pullTokens(address _token, uint256 _amount) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        return IERC20(_token).balanceOf(address(this)) - balanceBefore;
     }
 
     // View functions
+
+    /**
+     * @dev Compute the commitment hash for a choice and nonce exactly as reveals are verified.
+     * The preimage binds it to this contract, chain, round and committer, so a hash copied from someone
+     * else's CommitmentMade event, an earlier round or another deployment can never be revealed by the copier.
+     * Lets clients check their locally computed commitment before submitting it.
+     */
+    function getCommitmentHash(
+        uint256 _roundId,
+        address _participant,
+        uint256 _choice,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        return keccak256(
+            abi.encode(COMMITMENT_VERSION, address(this), block.chainid, _roundId, _participant, _choice, _nonce)
+        );
+    }
+
+    /**
+     * @dev EIP-712 digest a participant signs to authorize a relayed reveal of their choice and nonce
+     */
+    function getRevealAuthorizationDigest(
+        uint256 _roundId,
+        uint256 _choice,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(REVEAL_AUTHORIZATION_TYPEHASH, _roundId, _choice, _nonce)));
+    }
+
     function getRoundInfo(uint256 _roundId) external view returns (
         uint256 roundId,
         uint256 startTime,
@@ -309,6 +1047,180 @@ contract Project {
         );
     }
 
+    function getRoundPolicy(uint256 _roundId) external view returns (
+        NonRevealPolicy nonRevealPolicy,
+        uint256 slashPercentage,
+        RewardCurve rewardCurve
+    ) {
+        CoordinationRound storage round = rounds[_roundId];
+        return (round.nonRevealPolicy, round.slashPercentage, round.rewardCurve);
+    }
+
+    function getConsensusMode(uint256 _roundId) external view returns (ConsensusMode) {
+        return rounds[_roundId].consensusMode;
+    }
+
+    /**
+     * @dev Entry requirements of a round, the template it was started from (0 for manual rounds) and the
+     * token it is staked in (address(0) for the native currency)
+     */
+    function getRoundLimits(uint256 _roundId) external view returns (
+        uint256 minStake_,
+        uint256 maxParticipants,
+        uint256 reservedReward,
+        uint256 templateId,
+        bytes32 allowlistRoot,
+        uint256 minReputation,
+        address stakeToken
+    ) {
+        CoordinationRound storage round = rounds[_roundId];
+        return (
+            round.minStake,
+            round.maxParticipants,
+            round.reservedReward,
+            round.templateId,
+            round.allowlistRoot,
+            round.minReputation,
+            round.stakeToken
+        );
+    }
+
+    /**
+     * @dev Whether an account may join a round with the given allowlist proof (any proof for open rounds)
+     */
+    function isEligible(
+        uint256 _roundId,
+        address _account,
+        bytes32[] calldata _allowlistProof
+    ) external view returns (bool) {
+        return _isAllowlisted(rounds[_roundId].allowlistRoot, _account, _allowlistProof);
+    }
+
+    /**
+     * @dev Internal function to check an allowlist proof. Leaves are hashed twice so a leaf can never be
+     * passed off as an inner node of the tree.
+     */
+    function _isAllowlisted(
+        bytes32 _root,
+        address _account,
+        bytes32[] calldata _proof
+    ) internal pure returns (bool) {
+        if (_root == bytes32(0)) return true;
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_account))));
+        return MerkleProof.verifyCalldata(_proof, _root, leaf);
+    }
+
+    function getRoundTemplate(uint256 _templateId) external view returns (
+        string memory name,
+        RoundParameters memory params,
+        string[] memory optionLabels,
+        uint256 minStake_,
+        uint256 coordinationReward_
+    ) {
+        RoundTemplate storage template = roundTemplates[_templateId];
+        return (template.name, template.params, template.optionLabels, template.minStake, template.coordinationReward);
+    }
+
+    function getRoundOptions(uint256 _roundId) external view returns (
+        uint256 optionCount,
+        string[] memory optionLabels
+    ) {
+        CoordinationRound storage round = rounds[_roundId];
+        return (round.optionCount, round.optionLabels);
+    }
+
+    /**
+     * @dev Result breakdown of a finalized round
+     * @return coordinated Whether a single option reached the threshold and winners were paid
+     * @return winningChoice The leading option (the winner when coordinated)
+     * @return choiceCounts Number of revealed participants per option
+     * @return choiceStakes Revealed stake per option
+     * @return nonRevealCount Participants who committed but never revealed
+     * @return rewardPerWinner Equal share paid to each winner (0 in stake-weighted rounds, which pay pro rata)
+     * @return totalReward Total amount split among the winners
+     */
+    function getRoundResult(uint256 _roundId) external view returns (
+        bool coordinated,
+        uint256 winningChoice,
+        uint256[] memory choiceCounts,
+        uint256[] memory choiceStakes,
+        uint256 nonRevealCount,
+        uint256 rewardPerWinner,
+        uint256 totalReward,
+        bool cancelled
+    ) {
+        CoordinationRound storage round = rounds[_roundId];
+        return (
+            round.coordinated,
+            round.winningChoice,
+            round.choiceCounts,
+            round.choiceStakes,
+            round.nonRevealCount,
+            round.rewardPerWinner,
+            round.totalReward,
+            round.cancelled
+        );
+    }
+
+    /**
+     * @dev Paginated list of a round's participants, in join order
+     * @param _offset Index of the first participant to return
+     * @param _limit Maximum number of participants to return (capped at MAX_PAGE_SIZE)
+     * @return page The participants in the requested range
+     * @return total Total number of participants in the round
+     * @return payouts What the finalized round owes each participant of the page (zero before finalization)
+     */
+    function getParticipants(
+        uint256 _roundId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Participant[] memory page, uint256 total, uint256[] memory payouts) {
+        CoordinationRound storage round = rounds[_roundId];
+        total = round.participantList.length;
+        if (_offset >= total) {
+            return (new Participant[](0), total, new uint256[](0));
+        }
+
+        uint256 end = _offset + (_limit > MAX_PAGE_SIZE ? MAX_PAGE_SIZE : _limit);
+        if (end > total) {
+            end = total;
+        }
+
+        page = new Participant[](end - _offset);
+        payouts = new uint256[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            Participant storage participant = round.participants[round.participantList[i]];
+            page[i - _offset] = participant;
+            // Payouts are derived from the round's result rather than stored for every participant
+            if (round.roundFinalized) {
+                (payouts[i - _offset], ) = _payoutOf(round, participant);
+            }
+        }
+    }
+
+    /**
+     * @dev Settlement progress of a finalized round
+     * @return unsettledCount Participants whose payout has not been credited yet
+     * @return payoutReserve Amount still reserved for them
+     */
+    function getRoundSettlement(uint256 _roundId) external view returns (uint256 unsettledCount, uint256 payoutReserve) {
+        CoordinationRound storage round = rounds[_roundId];
+        return (round.unsettledCount, round.payoutReserve);
+    }
+
+    /**
+     * @dev What a participant is owed by a finalized round and whether it has been credited already
+     */
+    function getPendingPayout(uint256 _roundId, address _participant) external view returns (uint256 amount, bool settled) {
+        CoordinationRound storage round = rounds[_roundId];
+        Participant storage participant = round.participants[_participant];
+        if (!round.roundFinalized || !participant.hasCommitted) {
+            return (0, false);
+        }
+        (amount, ) = _payoutOf(round, participant);
+        settled = participant.settled;
+    }
+
     function getParticipantInfo(uint256 _roundId, address _participant) external view returns (
         bool hasCommitted,
         bool hasRevealed,
@@ -325,7 +1237,65 @@ contract Project {
     }
 
     function getParticipantReward(address _participant) external view returns (uint256) {
-        return participantRewards[_participant];
+        return participantRewards[NATIVE][_participant];
+    }
+
+    /**
+     * @dev Share of an address's settled rounds it won, in basis points, with every older round weighing
+     * REPUTATION_DECAY_PERCENT of the next one. Addresses without settled rounds score 0.
+     */
+    function getReputationScore(address _account) public view returns (uint256) {
+        Reputation storage reputation = reputations[_account];
+        if (reputation.weightedRounds == 0) {
+            return 0;
+        }
+        return (uint256(reputation.weightedWins) * REPUTATION_SCALE) / reputation.weightedRounds;
+    }
+
+    /**
+     * @dev Reputation records and scores of several addresses, for leaderboards
+     */
+    function getReputations(address[] calldata _accounts) external view returns (
+        Reputation[] memory records,
+        uint256[] memory scores
+    ) {
+        records = new Reputation[](_accounts.length);
+        scores = new uint256[](_accounts.length);
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            records[i] = reputations[_accounts[i]];
+            scores[i] = getReputationScore(_accounts[i]);
+        }
+    }
+
+    /**
+     * @dev Everything the contract currently owes in the native currency: reserved rewards, unclaimed
+     * credits, active stakes and payouts of finalized rounds that have not been settled yet
+     */
+    function getTotalLiabilities() public view returns (uint256) {
+        return getTokenLiabilities(NATIVE);
+    }
+
+    /**
+     * @dev The same total for one token (address(0) for the native currency)
+     */
+    function getTokenLiabilities(address _token) public view returns (uint256) {
+        Liabilities storage owed = liabilities[_token];
+        return owed.reservedRewards + owed.outstandingRewards + owed.activeStakes + owed.unsettledPayouts;
+    }
+
+    /**
+     * @dev Unreserved native funds available to back new rounds or be withdrawn by the owner
+     */
+    function getRewardPoolBalance() public view returns (uint256) {
+        return getTokenRewardPoolBalance(NATIVE);
+    }
+
+    /**
+     * @dev Unreserved funds of one token (address(0) for the native currency)
+     */
+    function getTokenRewardPoolBalance(address _token) public view returns (uint256) {
+        uint256 balance = _token == NATIVE ? address(this).balance : IERC20(_token).balanceOf(address(this));
+        return balance - getTokenLiabilities(_token);
     }
 
     // Owner functions
@@ -337,7 +1307,86 @@ contract Project {
         coordinationReward = _newReward;
     }
 
+    /**
+     * @dev Accept an ERC-20 token for staking with the minimum stake and coordination reward of manual rounds
+     * staked in it, in the token's own units. A zero minimum stake stops new rounds from using the token;
+     * rounds already running in it are not affected. Fee-on-transfer tokens are accounted by what arrives,
+     * but rebasing tokens are not supported.
+     */
+    function setStakeToken(address _token, uint256 _minStake, uint256 _coordinationReward) external onlyOwner {
+        require(_token != NATIVE, "Invalid stake token");
+        stakeTokens[_token] = StakeTokenSettings(_minStake, _coordinationReward);
+        emit StakeTokenUpdated(_token, _minStake, _coordinationReward);
+    }
+
+    function updateTreasury(address _newTreasury) external onlyOwner {
+        require(_newTreasury != address(0), "Invalid treasury");
+        treasury = _newTreasury;
+        emit TreasuryUpdated(_newTreasury);
+    }
+
+    /**
+     * @dev Let an operator start rounds (manually or from templates), or revoke that right
+     */
+    function setOperator(address _operator, bool _enabled) external onlyOwner {
+        require(_operator != address(0), "Invalid operator");
+        operators[_operator] = _enabled;
+        emit OperatorUpdated(_operator, _enabled);
+    }
+
+    /**
+     * @dev Stop joins, reveals, finalization and scheduled starts. Claims, settlement and cancellation keep working.
+     */
+    function pause() external onlyOwner {
+        require(!paused, "Contract is paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyOwner {
+        require(paused, "Contract is not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @dev Nominate a new owner, who takes over once it calls acceptOwnership. Nominating the zero
+     * address withdraws a pending nomination.
+     */
+    function transferOwnership(address _newOwner) external onlyOwner {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Only pending owner can accept");
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    /**
+     * @dev Withdraw the unreserved reward pool. Stakes, reserved rewards and unclaimed credits stay untouched.
+     */
     function withdrawContractBalance() external onlyOwner {
-        payable(owner).transfer(address(this).balance);
+        uint256 amount = getRewardPoolBalance();
+        require(amount > 0, "No unreserved funds");
+
+        payable(owner).transfer(amount);
+
+        emit RewardPoolWithdrawn(owner, amount);
+    }
+
+    /**
+     * @dev Withdraw the unreserved reward pool of an ERC-20 token, including tokens sent to the contract by mistake
+     */
+    function withdrawTokenBalance(address _token) external onlyOwner {
+        require(_token != NATIVE, "Invalid stake token");
+        uint256 amount = getTokenRewardPoolBalance(_token);
+        require(amount > 0, "No unreserved funds");
+
+        IERC20(_token).safeTransfer(owner, amount);
+
+        emit TokenRewardPoolWithdrawn(_token, owner, amount);
     }
 }
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Test token with open minting, configurable decimals and an optional fee burnt on every transfer,
+ * used to exercise rounds staked in an ERC-20 token
+ */
+contract MockERC20 is ERC20 {
+    uint8 private immutable tokenDecimals;
+    uint256 public transferFeePercentage;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) ERC20(_name, _symbol) {
+        tokenDecimals = _decimals;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return tokenDecimals;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function setTransferFeePercentage(uint256 _percentage) external {
+        require(_percentage <= 100, "Invalid fee");
+        transferFeePercentage = _percentage;
+    }
+
+    function _transfer(address _from, address _to, uint256 _amount) internal override {
+        uint256 fee = (_amount * transferFeePercentage) / 100;
+        if (fee > 0) {
+            _burn(_from, fee);
+        }
+        super._transfer(_from, _to, _amount - fee);
+    }
+}
@@ -0,0 +1,62 @@
+// allowlist.js - Merkle allowlists for closed rounds
+//
+// A closed round stores only the Merkle root of its members. The proofs live in a JSON file written by
+// `npx hardhat build-allowlist` to allowlists/<root>.json next to this page, shaped as
+// { root, count, proofs: { <address>: [sibling hashes] } }. Serve the frontend over HTTP so it can be fetched.
+
+const ALLOWLIST_BASE_URL = 'allowlists';
+
+// Allowlist files by root; a failed fetch is not cached so it is retried on the next refresh
+const allowlistCache = {};
+
+function isOpenRound(allowlistRoot) {
+    return allowlistRoot === ethers.constants.HashZero;
+}
+
+async function fetchAllowlist(allowlistRoot) {
+    if (allowlistCache[allowlistRoot]) return allowlistCache[allowlistRoot];
+
+    const response = await fetch(`${ALLOWLIST_BASE_URL}/${allowlistRoot}.json`);
+    if (!response.ok) {
+        throw new Error(`Allowlist file for ${allowlistRoot} not found (${response.status})`);
+    }
+    const allowlist = await response.json();
+    if (!allowlist.root || allowlist.root.toLowerCase() !== allowlistRoot.toLowerCase()) {
+        throw new Error('Allowlist file does not match the round');
+    }
+
+    // Look members up by lowercase address regardless of how the file spells them
+    allowlist.proofsByAddress = {};
+    Object.entries(allowlist.proofs || {}).forEach(([address, proof]) => {
+        allowlist.proofsByAddress[address.toLowerCase()] = proof;
+    });
+    allowlistCache[allowlistRoot] = allowlist;
+    return allowlist;
+}
+
+/**
+ * Find the allowlist proof of an account for a round and check it on-chain.
+ * @returns {Promise<{ eligible: boolean, proof: string[], reason: string }>}
+ */
+async function getAllowlistProof(roundId, account) {
+    const { allowlistRoot } = await contract.getRoundLimits(roundId);
+    if (isOpenRound(allowlistRoot)) {
+        return { eligible: true, proof: [], reason: 'Open to everyone' };
+    }
+
+    let allowlist;
+    try {
+        allowlist = await fetchAllowlist(allowlistRoot);
+    } catch (error) {
+        console.error('Error loading allowlist:', error);
+        return { eligible: false, proof: [], reason: 'Allowlist file unavailable' };
+    }
+
+    const proof = allowlist.proofsByAddress[account.toLowerCase()];
+    if (!proof) {
+        return { eligible: false, proof: [], reason: 'Not on the allowlist' };
+    }
+    // A stale or edited file must not send a join that is bound to revert
+    const eligible = await contract.isEligible(roundId, account, proof);
+    return { eligible, proof, reason: eligible ? 'On the allowlist' : 'Allowlist proof rejected' };
+}
@@ -1,52 +1,55 @@
 // app.js - JavaScript for interacting with the ConsensusParadox smart contract
 
 // Configuration
-const CONTRACT_ADDRESS = "YOUR_DEPLOYED_CONTRACT_ADDRESS_HERE"; // Replace with actual deployed address
-const CONTRACT_ABI = [
-    // Core functions
-    "function startCoordinationRound(uint256 _commitPhaseDuration, uint256 _revealPhaseDuration, uint256 _consensusThreshold) external",
-    "function joinCoordinationRound(uint256 _roundId, bytes32 _commitmentHash) external payable",
-    "function revealChoiceAndCoordinate(uint256 _roundId, uint256 _choice, uint256 _nonce) external",
-    
-    // View functions
-    "function currentRoundId() external view returns (uint256)",
-    "function totalRounds() external view returns (uint256)",
-    "function minStake() external view returns (uint256)",
-    "function coordinationReward() external view returns (uint256)",
-    "function owner() external view returns (address)",
-    "function getRoundInfo(uint256 _roundId) external view returns (uint256,uint256,uint256,uint256,uint256,uint256,bool,uint256,bool,uint256)",
-    "function getParticipantInfo(uint256 _roundId, address _participant) external view returns (bool,bool,uint256,uint256)",
-    "function getParticipantReward(address _participant) external view returns (uint256)",
-    "function participantHistory(address) external view returns (uint256)",
-    
-    // Other functions
-    "function claimRewards() external",
-    "function updateMinStake(uint256 _newMinStake) external",
-    "function updateCoordinationReward(uint256 _newReward) external",
-    
-    // Events
-    "event RoundStarted(uint256 indexed roundId, uint256 startTime, uint256 threshold)",
-    "event ParticipantJoined(uint256 indexed roundId, address indexed participant, uint256 stake)",
-    "event CommitmentMade(uint256 indexed roundId, address indexed participant, bytes32 commitment)",
-    "event ChoiceRevealed(uint256 indexed roundId, address indexed participant, uint256 choice)",
-    "event RoundFinalized(uint256 indexed roundId, uint256 result, uint256 totalReward)",
-    "event RewardClaimed(address indexed participant, uint256 amount)"
-];
+// Contract addresses, deployment blocks and ABIs come from deployments.js, generated by `npx hardhat deploy`
+
+// Non-reveal policies, indexed by the contract's NonRevealPolicy enum
+const NON_REVEAL_POLICIES = ['Refund', 'SlashToWinners', 'SlashToTreasury'];
+
+// Consensus modes, indexed by the contract's ConsensusMode enum
+const CONSENSUS_MODES = ['One address, one vote', 'Stake-weighted'];
+const STAKE_WEIGHTED_MODE = 1;
+
+// Participants fetched per page in the result table
+const PARTICIPANT_PAGE_SIZE = 25;
+
+// Version and layout of the commitment preimage, matching the contract's COMMITMENT_VERSION and getCommitmentHash
+const COMMITMENT_VERSION = 1;
+const COMMITMENT_TYPES = ['uint256', 'address', 'uint256', 'uint256', 'address', 'uint256', 'uint256'];
+
+// Icons for up to MAX_OPTIONS (10) choices
+const OPTION_ICONS = ['🔴', '🔵', '🟢', '🟡', '🟣', '🟠', '🟤', '⚫', '⚪', '🔶'];
 
 // Global variables
 let provider;
 let signer;
 let contract;
+let deployment;
+let networkConfig;
 let userAddress;
+let chainId;
 let isOwner = false;
-let currentUserChoice;
-let currentUserNonce;
+let isOperator = false;
+let isPaused = false;
 let currentRoundTimer;
+let renderedOptionsKey;
+let resultTable = { roundId: null, labels: [], loaded: 0, total: 0 };
+let viewedRoundId = null;
+let displayedRoundId = null;
+let currentLedger = null;
+let pendingRounds = [];
+let pendingRoundsTimer;
+let unsettledPayouts = [];
+let tokenRewards = [];
+let roundCurrency = null;
+let roundTemplates = [];
+let scheduleTimer;
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('Initializing The Consensus Paradox dApp...');
     setupEventListeners();
+    await startSpectatorMode();
     await checkWalletConnection();
 });
 
@@ -57,13 +60,49 @@ function setupEventListeners() {
     
     // Admin functions
     document.getElementById('startRound').addEventListener('click', startCoordinationRound);
+    document.getElementById('nonRevealPolicy').addEventListener('change', updateSlashInputState);
+    document.getElementById('consensusThreshold').addEventListener('input', updateCurvePreview);
+    document.getElementById('rewardCurve').addEventListener('change', updateCurvePreview);
+    document.getElementById('stakeToken').addEventListener('change', updateCurvePreview);
+    document.getElementById('updateTreasury').addEventListener('click', updateTreasury);
+    document.getElementById('withdrawPool').addEventListener('click', withdrawRewardPool);
+    document.getElementById('setStakeToken').addEventListener('click', setStakeToken);
+    document.getElementById('withdrawTokenPool').addEventListener('click', withdrawTokenPool);
+    document.getElementById('saveTemplate').addEventListener('click', saveRoundTemplate);
+    document.getElementById('saveSchedule').addEventListener('click', saveRoundSchedule);
+    document.getElementById('clearSchedule').addEventListener('click', clearRoundSchedule);
+    document.getElementById('togglePause').addEventListener('click', togglePause);
+    document.getElementById('cancelRound').addEventListener('click', cancelRound);
+    document.getElementById('addOperator').addEventListener('click', () => updateOperator(true));
+    document.getElementById('removeOperator').addEventListener('click', () => updateOperator(false));
+    document.getElementById('transferOwnership').addEventListener('click', transferOwnership);
+    document.getElementById('withdrawNomination').addEventListener('click', withdrawOwnershipNomination);
+    document.getElementById('acceptOwnership').addEventListener('click', acceptOwnership);
     
     // User functions
     document.getElementById('refreshStatus').addEventListener('click', refreshContractStatus);
+    document.getElementById('depositRewards').addEventListener('click', depositRewards);
     document.getElementById('generateNonce').addEventListener('click', generateRandomNonce);
     document.getElementById('commitChoice').addEventListener('click', commitChoice);
-    document.getElementById('revealChoice').addEventListener('click', revealChoice);
-    document.getElementById('claimRewards').addEventListener('click', claimRewards);
+    document.getElementById('revealChoiceBtn').addEventListener('click', revealChoice);
+    document.getElementById('claimRewards').addEventListener('click', () => claimRewards());
+    document.getElementById('finalizeRound').addEventListener('click', () => finalizeRound(displayedRoundId));
+    document.getElementById('startScheduledRound').addEventListener('click', startScheduledRound);
+    document.getElementById('loadMoreParticipants').addEventListener('click', loadMoreParticipants);
+    
+    // History and ledger
+    document.getElementById('syncHistory').addEventListener('click', syncAndRenderHistory);
+    document.getElementById('backToCurrentRound').addEventListener('click', () => viewRound(null));
+    document.getElementById('exportLedgerCsv').addEventListener('click', () => exportLedger(currentLedger, 'csv'));
+    document.getElementById('exportLedgerJson').addEventListener('click', () => exportLedger(currentLedger, 'json'));
+    
+    // Commitment vault
+    document.getElementById('unlockVault').addEventListener('click', handleUnlockVault);
+    document.getElementById('lockVault').addEventListener('click', handleLockVault);
+    document.getElementById('exportVault').addEventListener('click', handleExportVault);
+    document.getElementById('importVault').addEventListener('click', () => document.getElementById('importVaultFile').click());
+    document.getElementById('importVaultFile').addEventListener('change', handleImportVault);
+    updateVaultUI();
 }
 
 // Check if wallet is already connected
@@ -80,6 +119,68 @@ async function checkWalletConnection() {
     }
 }
 
+// Show the configured chain read-only until a wallet connects
+async function startSpectatorMode() {
+    const readOnlyChainId = getReadOnlyChainId();
+    if (!readOnlyChainId) return;
+    
+    try {
+        networkConfig = getNetworkConfig(readOnlyChainId);
+        chainId = readOnlyChainId;
+        deployment = DEPLOYMENTS[chainId];
+        provider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrls[0], chainId);
+        contract = new ethers.Contract(deployment.address, deployment.abi, provider);
+        
+        renderNetworkInfo({ chainId, name: networkConfig.name });
+        document.getElementById('networkInfo').prepend('👀 Read-only · ');
+        updateWalletLockUI();
+        
+        await refreshContractStatus();
+        setupContractEventListeners();
+        syncAndRenderHistory();
+    } catch (error) {
+        console.error('Error starting read-only mode:', error);
+    }
+}
+
+// Wallet-dependent actions stay locked until a signer is available
+function updateWalletLockUI() {
+    const locked = !signer;
+    document.getElementById('walletLockedNotice').classList.toggle('hidden', !locked);
+    document.getElementById('depositRewards').disabled = locked;
+    document.getElementById('finalizeRound').disabled = locked;
+    document.getElementById('startScheduledRound').disabled = locked;
+    if (locked) {
+        document.getElementById('claimRewards').disabled = true;
+        document.getElementById('adminPanel').classList.add('hidden');
+        document.getElementById('ownershipCard').classList.add('hidden');
+    }
+}
+
+// Release everything bound to the current provider before switching to another one
+function resetContractState() {
+    if (contract) {
+        contract.removeAllListeners();
+    }
+    contract = null;
+    deployment = null;
+    viewedRoundId = null;
+    renderedOptionsKey = null;
+    currentLedger = null;
+    stopTimer();
+    if (pendingRoundsTimer) {
+        clearInterval(pendingRoundsTimer);
+        pendingRoundsTimer = null;
+    }
+    clearTimeout(scheduleTimer);
+    roundTemplates = [];
+    // Token addresses are per chain
+    tokenCurrencies.clear();
+    tokenRewards = [];
+    document.getElementById('tokenRewardsList').innerHTML = '';
+    document.getElementById('roundViewBanner').classList.add('hidden');
+}
+
 // Connect wallet
 async function connectWallet() {
     if (typeof window.ethereum === 'undefined') {
@@ -91,30 +192,38 @@ async function connectWallet() {
         showLoading('Connecting wallet...');
         
         await window.ethereum.request({ method: 'eth_requestAccounts' });
+        resetContractState();
         provider = new ethers.providers.Web3Provider(window.ethereum);
         signer = provider.getSigner();
         userAddress = await signer.getAddress();
         
-        // Initialize contract
-        contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
-        
         // Update UI
         document.getElementById('connectWallet').style.display = 'none';
         document.getElementById('walletAddress').textContent = `${userAddress.slice(0, 6)}...${userAddress.slice(-4)}`;
         document.getElementById('walletAddress').classList.remove('hidden');
+        updateWalletLockUI();
         
         // Get network info
         const network = await provider.getNetwork();
-        document.getElementById('networkInfo').textContent = `${network.name} (${network.chainId})`;
-        document.getElementById('networkInfo').classList.remove('hidden');
+        chainId = network.chainId;
+        networkConfig = getNetworkConfig(chainId);
+        renderNetworkInfo(network);
+        document.getElementById('relayerOption').classList.toggle('hidden', !hasRevealService());
         
-        // Check if user is owner
-        const owner = await contract.owner();
-        isOwner = owner.toLowerCase() === userAddress.toLowerCase();
-        
-        if (isOwner) {
-            document.getElementById('adminPanel').classList.remove('hidden');
+        // Stop here on a network without a deployment instead of failing every call
+        if (!isSupportedNetwork(chainId)) {
+            showNetworkGuard(network);
+            hideLoading();
+            return;
         }
+        hideNetworkGuard();
+        
+        // Initialize contract from the deployment recorded for this chain
+        deployment = DEPLOYMENTS[chainId];
+        contract = new ethers.Contract(deployment.address, deployment.abi, signer);
+        
+        // Check if user is owner or operator
+        await refreshRoles();
         
         // Load contract status
         await refreshContractStatus();
@@ -122,6 +231,9 @@ async function connectWallet() {
         // Setup event listeners for contract events
         setupContractEventListeners();
         
+        // Load round history and the personal ledger in the background
+        syncAndRenderHistory();
+        
         hideLoading();
         console.log('Wallet connected successfully');
         
@@ -132,10 +244,88 @@ async function connectWallet() {
     }
 }
 
+// Owners see the whole admin panel, operators only the controls for starting rounds
+async function refreshRoles() {
+    const owner = await contract.owner();
+    isOwner = owner.toLowerCase() === userAddress.toLowerCase();
+    isOperator = !isOwner && await contract.operators(userAddress);
+    document.getElementById('adminPanel').classList.toggle('hidden', !isOwner && !isOperator);
+    document.querySelectorAll('#adminPanel .owner-only').forEach(element => element.classList.toggle('hidden', !isOwner));
+    
+    if (isOwner) {
+        document.getElementById('currentTreasury').textContent = await contract.treasury();
+    }
+    if (isOwner || isOperator) {
+        updateSlashInputState();
+        await updateCurvePreview();
+    }
+}
+
+// Show the connected network, linking the contract on the explorer when there is one
+function renderNetworkInfo(network) {
+    const networkInfo = document.getElementById('networkInfo');
+    const name = networkConfig ? networkConfig.name : network.name;
+    networkInfo.textContent = `${name} (${network.chainId})`;
+    
+    const contractUrl = isSupportedNetwork(network.chainId)
+        ? explorerAddressUrl(network.chainId, DEPLOYMENTS[network.chainId].address)
+        : null;
+    if (contractUrl) {
+        const link = document.createElement('a');
+        link.href = contractUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'Contract ↗';
+        networkInfo.append(' · ', link);
+    }
+    networkInfo.classList.remove('hidden');
+    
+    document.querySelectorAll('.currency-symbol').forEach(element => {
+        element.textContent = currencySymbol();
+    });
+}
+
+// Offer to switch to a network the contract is deployed on
+function showNetworkGuard(network) {
+    const name = networkConfig ? networkConfig.name : network.name;
+    document.getElementById('networkGuardMessage').textContent =
+        `The Consensus Paradox is not deployed on ${name} (chain ${network.chainId}). Switch to a supported network to continue.`;
+    
+    const actions = document.getElementById('networkGuardActions');
+    actions.innerHTML = '';
+    Object.entries(NETWORKS).forEach(([targetChainId, target]) => {
+        const label = isSupportedNetwork(targetChainId) ? `Switch to ${target.name}` : `Switch to ${target.name} (not deployed)`;
+        actions.appendChild(createActionButton(label, 'btn btn-primary', () => handleSwitchNetwork(targetChainId)));
+    });
+    
+    document.getElementById('networkGuard').classList.remove('hidden');
+    document.getElementById('mainContent').classList.add('hidden');
+}
+
+function hideNetworkGuard() {
+    document.getElementById('networkGuard').classList.add('hidden');
+    document.getElementById('mainContent').classList.remove('hidden');
+}
+
+async function handleSwitchNetwork(targetChainId) {
+    try {
+        await switchToNetwork(targetChainId);
+        // The wallet emits chainChanged, which reconnects on the new network
+    } catch (error) {
+        console.error('Error switching network:', error);
+        alert('Failed to switch network: ' + error.message);
+    }
+}
+
+// Reconnect on the new network; connectWallet tears down everything bound to the previous one
+async function handleChainChanged() {
+    await connectWallet();
+}
+
 // Setup contract event listeners
 function setupContractEventListeners() {
     // Listen for new rounds
-    contract.on('RoundStarted', (roundId, startTime, threshold) => {
+    contract.on('RoundStarted', (roundId, startTime, threshold, stakeToken) => {
         console.log(`New round started: ${roundId}`);
         refreshContractStatus();
         showNotification('New coordination round started!', 'success');
@@ -143,7 +333,7 @@ function setupContractEventListeners() {
     
     // Listen for participants joining
     contract.on('ParticipantJoined', (roundId, participant, stake) => {
-        if (participant.toLowerCase() === userAddress.toLowerCase()) {
+        if (userAddress && participant.toLowerCase() === userAddress.toLowerCase()) {
             showNotification('Successfully joined the round!', 'success');
         }
         refreshContractStatus();
@@ -153,14 +343,57 @@ function setupContractEventListeners() {
     contract.on('RoundFinalized', (roundId, result, totalReward) => {
         console.log(`Round ${roundId} finalized with ${result}% coordination`);
         refreshContractStatus();
-        showNotification(`Round completed! Coordination: ${result}%`, 'info');
+        syncAndRenderHistory();
+        showNotification(`Round #${roundId} completed! Coordination: ${result}%`, 'info');
+    });
+    
+    contract.on('RoundCancelled', (roundId) => {
+        refreshContractStatus();
+        syncAndRenderHistory();
+        showNotification(`Round #${roundId} was cancelled and every stake refunded`, 'info');
+    });
+    
+    // Pausing and unpausing change what the round card lets participants do
+    contract.on('Paused', () => {
+        refreshContractStatus();
+        showNotification('The owner paused joins, reveals, finalization and scheduled rounds', 'info');
+    });
+    contract.on('Unpaused', () => {
+        refreshContractStatus();
+        showNotification('Joins, reveals, finalization and scheduled rounds have resumed', 'info');
+    });
+    
+    // Role changes show or hide the admin panel
+    contract.on('OwnershipTransferred', async () => {
+        if (!userAddress) return;
+        await refreshRoles();
+        refreshContractStatus();
+    });
+    contract.on('OperatorUpdated', (operator) => {
+        if (userAddress && operator.toLowerCase() === userAddress.toLowerCase()) {
+            refreshRoles();
+            refreshSchedule();
+        }
+    });
+    
+    // Listen for schedule changes so the upcoming round card stays current
+    contract.on('RoundScheduleUpdated', () => {
+        refreshSchedule();
     });
     
     // Listen for rewards claimed
     contract.on('RewardClaimed', (participant, amount) => {
-        if (participant.toLowerCase() === userAddress.toLowerCase()) {
-            showNotification(`Claimed ${ethers.utils.formatEther(amount)} ETH rewards!`, 'success');
+        if (userAddress && participant.toLowerCase() === userAddress.toLowerCase()) {
+            showNotification(`Claimed ${formatAmount(amount)} rewards!`, 'success');
             refreshContractStatus();
+            syncAndRenderHistory();
+        }
+    });
+    contract.on('TokenRewardClaimed', async (token, participant, amount) => {
+        if (userAddress && participant.toLowerCase() === userAddress.toLowerCase()) {
+            showNotification(`Claimed ${formatAmount(amount, await loadCurrency(token))} rewards!`, 'success');
+            refreshContractStatus();
+            syncAndRenderHistory();
         }
     });
 }
@@ -174,27 +407,52 @@ async function refreshContractStatus() {
         const currentRound = await contract.currentRoundId();
         const totalRounds = await contract.totalRounds();
         const minStake = await contract.minStake();
-        const userRewards = await contract.getParticipantReward(userAddress);
-        const userHistory = await contract.participantHistory(userAddress);
+        const rewardPool = await contract.getRewardPoolBalance();
+        const { reservedRewards } = await contract.liabilities(ethers.constants.AddressZero);
+        const totalLiabilities = await contract.getTotalLiabilities();
+        isPaused = await contract.paused();
         
         // Update status display
         document.getElementById('currentRound').textContent = currentRound.toString();
         document.getElementById('totalRounds').textContent = totalRounds.toString();
-        document.getElementById('minStake').textContent = `${ethers.utils.formatEther(minStake)} ETH`;
-        document.getElementById('userRewards').textContent = `${ethers.utils.formatEther(userRewards)} ETH`;
-        document.getElementById('userHistory').textContent = userHistory.toString();
-        document.getElementById('pendingRewards').textContent = `${ethers.utils.formatEther(userRewards)} ETH`;
+        document.getElementById('minStake').textContent = formatAmount(minStake);
+        document.getElementById('rewardPool').textContent = formatAmount(rewardPool);
+        document.getElementById('reservedRewards').textContent = formatAmount(reservedRewards);
+        document.getElementById('totalLiabilities').textContent = formatAmount(totalLiabilities);
+        document.getElementById('withdrawPool').disabled = rewardPool.eq(0);
+        document.getElementById('contractPaused').textContent = isPaused ? '⏸️ Paused' : 'Open';
         
-        // Enable/disable claim button
-        document.getElementById('claimRewards').disabled = userRewards.eq(0);
+        // Personal figures need a connected wallet
+        if (userAddress) {
+            await refreshAdminStatus();
+            const userRewards = await contract.getParticipantReward(userAddress);
+            const userHistory = await contract.participantHistory(userAddress);
+            await refreshUnsettledPayouts();
+            const claimable = unsettledPayouts
+                .filter(entry => isNativeToken(entry.stakeToken))
+                .reduce((sum, entry) => sum.add(entry.amount), userRewards);
+            document.getElementById('userRewards').textContent = formatAmount(userRewards);
+            document.getElementById('userHistory').textContent = userHistory.toString();
+            await refreshUserReputation();
+            document.getElementById('pendingRewards').textContent = formatAmount(claimable);
+            
+            // Enable/disable claim button
+            document.getElementById('claimRewards').disabled = claimable.eq(0);
+            await refreshTokenRewards();
+        }
         
-        // Get current round info if exists
-        if (currentRound.gt(0)) {
+        // Get info of the round being viewed, or the current round if exists
+        if (viewedRoundId) {
+            await updateRoundInfo(viewedRoundId);
+        } else if (currentRound.gt(0)) {
             await updateRoundInfo(currentRound);
         } else {
             resetRoundInfo();
         }
         
+        await refreshSchedule();
+        await refreshPendingRounds();
+        
     } catch (error) {
         console.error('Error refreshing contract status:', error);
     }
@@ -207,18 +465,67 @@ async function updateRoundInfo(roundId) {
         const [roundIdValue, startTime, commitPhaseEnd, revealPhaseEnd, totalStake, participantCount, isActive, consensusThreshold, roundFinalized, coordinationResult] = roundInfo;
         
         // Update round display
+        displayedRoundId = roundIdValue;
         document.getElementById('roundId').textContent = roundIdValue.toString();
-        document.getElementById('participantCount').textContent = participantCount.toString();
-        document.getElementById('totalStake').textContent = `${ethers.utils.formatEther(totalStake)} ETH`;
+        
+        const limits = await contract.getRoundLimits(roundId);
+        roundCurrency = await loadCurrency(limits.stakeToken);
+        document.getElementById('participantCount').textContent = limits.maxParticipants.eq(0)
+            ? participantCount.toString()
+            : `${participantCount} / ${limits.maxParticipants}`;
+        document.getElementById('stakeTokenDisplay').textContent = isNativeToken(limits.stakeToken)
+            ? roundCurrency.symbol
+            : `${roundCurrency.symbol} (${limits.stakeToken.slice(0, 6)}...${limits.stakeToken.slice(-4)})`;
+        document.getElementById('roundMinStakeDisplay').textContent = formatAmount(limits.minStake_, roundCurrency);
+        const isFull = !limits.maxParticipants.eq(0) && participantCount.gte(limits.maxParticipants);
+        document.getElementById('seatsDisplay').textContent = limits.maxParticipants.eq(0)
+            ? 'Unlimited'
+            : `${limits.maxParticipants.sub(participantCount)} of ${limits.maxParticipants} left`;
+        document.getElementById('eligibilityDisplay').textContent = isOpenRound(limits.allowlistRoot)
+            ? 'Open to everyone'
+            : 'Allowlist only';
+        document.getElementById('roundMinReputationDisplay').textContent = limits.minReputation.eq(0)
+            ? 'None'
+            : formatReputation(limits.minReputation);
+        document.getElementById('totalStake').textContent = formatAmount(totalStake, roundCurrency);
         document.getElementById('thresholdDisplay').textContent = `${consensusThreshold}%`;
         
+        const [nonRevealPolicy, slashPercentage, rewardCurve] = await contract.getRoundPolicy(roundId);
+        document.getElementById('nonRevealPolicyDisplay').textContent = describeNonRevealPolicy(nonRevealPolicy, slashPercentage.toNumber());
+        document.getElementById('rewardCurveDisplay').textContent = REWARD_CURVES[rewardCurve];
+        const curveTerms = {
+            reward: limits.reservedReward,
+            threshold: consensusThreshold.toNumber(),
+            curve: rewardCurve,
+            currency: roundCurrency
+        };
+        renderCurvePreview(document.getElementById('roundCurvePreviewBody'), curveTerms);
+        
+        const [optionCount, optionLabels] = await contract.getRoundOptions(roundId);
+        document.getElementById('optionCountDisplay').textContent = optionCount.toString();
+        renderChoiceOptions(roundIdValue, optionCount.toNumber(), optionLabels);
+        
+        const consensusMode = await contract.getConsensusMode(roundId);
+        document.getElementById('consensusModeDisplay').textContent = CONSENSUS_MODES[consensusMode];
+        document.getElementById('stakeWeightHint').classList.toggle('hidden', consensusMode !== STAKE_WEIGHTED_MODE);
+        
         // Determine current phase
         const now = Math.floor(Date.now() / 1000);
         const commitEnd = commitPhaseEnd.toNumber();
         const revealEnd = revealPhaseEnd.toNumber();
         
-        if (roundFinalized) {
-            updatePhaseUI('finalized', coordinationResult.toNumber());
+        const result = roundFinalized ? await contract.getRoundResult(roundId) : null;
+        const cancelled = result !== null && result.cancelled;
+        document.getElementById('roundCurvePreview').classList.toggle('hidden', cancelled);
+        if (cancelled) {
+            updatePhaseUI('cancelled');
+            document.getElementById('roundStatus').textContent = 'Cancelled';
+            document.getElementById('roundStatus').className = 'value status-badge status-inactive';
+            stopTimer();
+        } else if (roundFinalized) {
+            const outcome = { ...curveTerms, percentage: coordinationResult.toNumber(), coordinated: result.coordinated };
+            updatePhaseUI('finalized', outcome, null, consensusMode);
+            await renderRoundResult(roundIdValue, optionLabels, consensusMode);
             document.getElementById('roundStatus').textContent = 'Finalized';
             document.getElementById('roundStatus').className = 'value status-badge status-finalized';
             stopTimer();
@@ -242,11 +549,30 @@ async function updateRoundInfo(roundId) {
             resetRoundInfo();
         }
         
+        // Spectators see the round but cannot participate
+        if (!userAddress) {
+            updateSpectatorUI();
+            return;
+        }
+        
         // Get user participation info
         const participantInfo = await contract.getParticipantInfo(roundId, userAddress);
         const [hasCommitted, hasRevealed, revealedChoice, stake] = participantInfo;
         
-        updateParticipationUI(hasCommitted, hasRevealed, stake, isActive, now <= commitEnd, now <= revealEnd && now > commitEnd);
+        // Closed rounds only admit addresses with a valid proof from the round's allowlist file
+        const entry = await getAllowlistProof(roundId, userAddress);
+        document.getElementById('eligibilityDisplay').textContent = `${entry.eligible ? '✅' : '❌'} ${entry.reason}`;
+        const userScore = await contract.getReputationScore(userAddress);
+        let joinBlocker = null;
+        if (!entry.eligible) {
+            joinBlocker = `${entry.reason}. Only addresses on this round's allowlist can join.`;
+        } else if (isFull) {
+            joinBlocker = 'Every seat in this round is taken. Wait for the next round.';
+        } else if (userScore.lt(limits.minReputation)) {
+            joinBlocker = `This round requires a reputation of ${formatReputation(limits.minReputation)} and yours is ${formatReputation(userScore)}.`;
+        }
+        
+        updateParticipationUI(roundIdValue, hasCommitted, hasRevealed, stake, isActive, now <= commitEnd, now <= revealEnd && now > commitEnd, joinBlocker, cancelled);
         
     } catch (error) {
         console.error('Error updating round info:', error);
@@ -255,10 +581,13 @@ async function updateRoundInfo(roundId) {
 }
 
 // Update phase UI
-function updatePhaseUI(phase, result = null, endTime = null) {
+function updatePhaseUI(phase, result = null, endTime = null, consensusMode = null) {
     const phaseElement = document.getElementById('currentPhase');
     const timerElement = document.getElementById('phaseTimer');
     const resultElement = document.getElementById('roundResult');
+    const finalizeElement = document.getElementById('finalizePrompt');
+    
+    finalizeElement.classList.add('hidden');
     
     switch (phase) {
         case 'commit':
@@ -274,7 +603,14 @@ function updatePhaseUI(phase, result = null, endTime = null) {
             resultElement.classList.add('hidden');
             break;
         case 'ended':
-            phaseElement.textContent = 'Phase Ended';
+            phaseElement.textContent = 'Awaiting Finalization';
+            phaseElement.className = 'value phase-badge phase-ended';
+            timerElement.classList.add('hidden');
+            resultElement.classList.add('hidden');
+            finalizeElement.classList.remove('hidden');
+            break;
+        case 'cancelled':
+            phaseElement.textContent = 'Cancelled';
             phaseElement.className = 'value phase-badge phase-ended';
             timerElement.classList.add('hidden');
             resultElement.classList.add('hidden');
@@ -285,15 +621,140 @@ function updatePhaseUI(phase, result = null, endTime = null) {
             timerElement.classList.add('hidden');
             resultElement.classList.remove('hidden');
             
-            const resultText = result >= 67 ? 'Successful Coordination!' : 
-                              result >= 51 ? 'Partial Coordination' : 'Coordination Failed';
-            document.getElementById('resultText').textContent = `${resultText} (${result}% agreement)`;
+            document.getElementById('resultText').textContent = describeOutcome(result);
+            document.getElementById('resultReward').textContent = describeOutcomeReward(result);
+            document.getElementById('resultMode').textContent = consensusMode === STAKE_WEIGHTED_MODE
+                ? 'Stake-weighted: agreement is measured by stake and winners are paid pro rata to their stake.'
+                : 'One address, one vote: every participant counted once and winners share equally.';
             break;
     }
 }
 
+// Result headline, measured against the round's own threshold
+function describeOutcome({ percentage, threshold, coordinated }) {
+    if (coordinated) {
+        return `Successful Coordination! (${percentage}% agreement, ${threshold}% needed)`;
+    }
+    // Reaching the threshold without coordinating means the lead was shared
+    if (percentage >= threshold) {
+        return `Coordination Failed (options tied for the lead at ${percentage}% agreement)`;
+    }
+    return `Coordination Failed (${percentage}% agreement, ${threshold}% needed)`;
+}
+
+// How much of the reserved coordination reward the round's curve paid out at the agreement it reached
+function describeOutcomeReward({ reward, threshold, curve, currency, percentage, coordinated }) {
+    const total = formatAmount(reward, currency);
+    if (!coordinated) {
+        return `The ${total} coordination reward returned to the reward pool.`;
+    }
+    const part = curveReward(reward, threshold, percentage, curve);
+    return `${REWARD_CURVES[curve]} curve: winners shared ${formatAmount(part, currency)} of the ${total} coordination reward `
+        + `(${describeRewardShare(part, ethers.BigNumber.from(reward))}) on top of the revealed stakes.`;
+}
+
+// Render the finalized round's tally chart, summary and participant table
+async function renderRoundResult(roundId, labels, consensusMode) {
+    const [coordinated, winningChoice, choiceCounts, choiceStakes, nonRevealCount, rewardPerWinner, totalReward] = await contract.getRoundResult(roundId);
+    const isWeighted = consensusMode === STAKE_WEIGHTED_MODE;
+    
+    // Summary stats
+    const stats = [
+        ['Winning Option', coordinated ? formatOption(winningChoice.toNumber(), labels) : 'None'],
+        ['Revealed', choiceCounts.reduce((sum, count) => sum.add(count), ethers.constants.Zero).toString()],
+        ['No-shows', nonRevealCount.toString()],
+        ['Reward per Winner', !coordinated ? '-' : isWeighted ? 'Pro rata to stake' : formatAmount(rewardPerWinner, roundCurrency)],
+        ['Total Reward', formatAmount(totalReward, roundCurrency)]
+    ];
+    const statsElement = document.getElementById('coordinationStats');
+    statsElement.innerHTML = '';
+    stats.forEach(([label, value]) => {
+        const stat = document.createElement('div');
+        stat.className = 'coordination-stat';
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'value';
+        valueSpan.textContent = value;
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'label';
+        labelSpan.textContent = label;
+        stat.append(valueSpan, labelSpan);
+        statsElement.appendChild(stat);
+    });
+    
+    // Tally chart, scaled by the measure the round was decided on
+    const tallies = isWeighted ? choiceStakes : choiceCounts;
+    const totalTally = tallies.reduce((sum, tally) => sum.add(tally), ethers.constants.Zero);
+    const chartElement = document.getElementById('tallyChart');
+    chartElement.innerHTML = '';
+    tallies.forEach((tally, option) => {
+        const percentage = totalTally.isZero() ? 0 : tally.mul(10000).div(totalTally).toNumber() / 100;
+        
+        const row = document.createElement('div');
+        row.className = 'tally-row' + (coordinated && option === winningChoice.toNumber() ? ' tally-winner' : '');
+        
+        const label = document.createElement('span');
+        label.className = 'tally-label';
+        label.textContent = `${OPTION_ICONS[option % OPTION_ICONS.length]} ${formatOption(option, labels)}`;
+        
+        const track = document.createElement('div');
+        track.className = 'tally-track';
+        const bar = document.createElement('div');
+        bar.className = 'tally-bar';
+        bar.style.width = `${percentage}%`;
+        track.appendChild(bar);
+        
+        const detail = document.createElement('span');
+        detail.className = 'tally-detail';
+        detail.textContent = `${choiceCounts[option]} votes · ${formatAmount(choiceStakes[option], roundCurrency)} · ${percentage}%`;
+        
+        row.append(label, track, detail);
+        chartElement.appendChild(row);
+    });
+    
+    // Participant table, loaded page by page
+    resultTable = { roundId, labels, loaded: 0, total: 0 };
+    document.getElementById('participantTableBody').innerHTML = '';
+    await loadMoreParticipants();
+}
+
+// Append the next page of participants to the result table
+async function loadMoreParticipants() {
+    try {
+        const [page, total, payouts] = await contract.getParticipants(resultTable.roundId, resultTable.loaded, PARTICIPANT_PAGE_SIZE);
+        const tableBody = document.getElementById('participantTableBody');
+        
+        page.forEach((participant, index) => {
+            const row = document.createElement('tr');
+            if (userAddress && participant.participantAddress.toLowerCase() === userAddress.toLowerCase()) {
+                row.className = 'participant-self';
+            }
+            
+            const cells = [
+                `${participant.participantAddress.slice(0, 6)}...${participant.participantAddress.slice(-4)}`,
+                participant.hasRevealed ? formatOption(participant.revealedChoice.toNumber(), resultTable.labels) : 'Not revealed',
+                formatAmount(participant.stake, roundCurrency),
+                formatAmount(payouts[index], roundCurrency)
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tableBody.appendChild(row);
+        });
+        
+        resultTable.loaded += page.length;
+        resultTable.total = total.toNumber();
+        document.getElementById('participantTableStatus').textContent = `Showing ${resultTable.loaded} of ${resultTable.total} participants`;
+        document.getElementById('loadMoreParticipants').classList.toggle('hidden', resultTable.loaded >= resultTable.total);
+        
+    } catch (error) {
+        console.error('Error loading participants:', error);
+    }
+}
+
 // Update participation UI based on user status
-function updateParticipationUI(hasCommitted, hasRevealed, stake, roundActive, inCommitPhase, inRevealPhase) {
+function updateParticipationUI(roundId, hasCommitted, hasRevealed, stake, roundActive, inCommitPhase, inRevealPhase, joinBlocker = null, roundCancelled = false) {
     const commitSection = document.getElementById('commitSection');
     const revealSection = document.getElementById('revealSection');
     const waitingSection = document.getElementById('waitingSection');
@@ -303,26 +764,54 @@ function updateParticipationUI(hasCommitted, hasRevealed, stake, roundActive, in
     revealSection.classList.add('hidden');
     waitingSection.classList.add('hidden');
     
-    if (!roundActive) {
+    if (roundCancelled) {
+        // Cancelled by the owner, stakes are refunded like payouts
+        waitingSection.classList.remove('hidden');
+        document.getElementById('statusTitle').textContent = '🛑 Round Cancelled';
+        document.getElementById('statusMessage').textContent = hasCommitted
+            ? 'The owner cancelled this round. Your stake is refunded in full and can be claimed from your rewards.'
+            : 'The owner cancelled this round. Every stake was refunded.';
+    } else if (!roundActive) {
         // No active round
         waitingSection.classList.remove('hidden');
         document.getElementById('statusTitle').textContent = '⏳ Waiting for Active Round';
         document.getElementById('statusMessage').textContent = 'No active coordination round. Wait for an admin to start a new round.';
+    } else if (isPaused && !hasRevealed && (inCommitPhase || (hasCommitted && inRevealPhase))) {
+        // Joins and reveals revert while paused, but the phase deadlines keep running
+        waitingSection.classList.remove('hidden');
+        document.getElementById('statusTitle').textContent = '⏸️ Contract Paused';
+        document.getElementById('statusMessage').textContent = 'The owner has paused joins and reveals. The phase deadlines keep running; if this round cannot be completed, the owner can cancel it, which refunds every stake.';
+    } else if (inCommitPhase && !hasCommitted && joinBlocker) {
+        // The round is full or closed to this address
+        waitingSection.classList.remove('hidden');
+        document.getElementById('statusTitle').textContent = '🚫 Cannot Join This Round';
+        document.getElementById('statusMessage').textContent = joinBlocker;
     } else if (inCommitPhase && !hasCommitted) {
         // Show commit section
         commitSection.classList.remove('hidden');
-        // Set minimum stake
-        document.getElementById('stakeAmount').placeholder = document.getElementById('minStake').textContent;
+        // Set the round's minimum stake, and say that token stakes are approved before the commitment is sent
+        const isTokenRound = !isNativeToken(roundCurrency.address);
+        document.getElementById('stakeCurrency').textContent = roundCurrency.symbol;
+        document.getElementById('stakeAmount').placeholder = document.getElementById('roundMinStakeDisplay').textContent;
+        document.getElementById('tokenStakeHint').classList.toggle('hidden', !isTokenRound);
+        document.getElementById('tokenStakeSymbol').textContent = roundCurrency.symbol;
+        document.getElementById('commitChoice').textContent = isTokenRound ? '🔐 Approve & Commit' : '🔐 Commit Choice';
     } else if (hasCommitted && !hasRevealed) {
         if (inRevealPhase) {
             // Show reveal section
             revealSection.classList.remove('hidden');
-            document.getElementById('userStake').textContent = `${ethers.utils.formatEther(stake)} ETH`;
-        } else {
+            document.getElementById('userStake').textContent = formatAmount(stake, roundCurrency);
+            fillRevealFormFromVault(roundId);
+        } else if (inCommitPhase) {
             // Waiting for reveal phase
             waitingSection.classList.remove('hidden');
             document.getElementById('statusTitle').textContent = '⏳ Waiting for Reveal Phase';
             document.getElementById('statusMessage').textContent = 'You have committed your choice. Wait for the reveal phase to begin.';
+        } else {
+            // Reveal window closed without a reveal
+            waitingSection.classList.remove('hidden');
+            document.getElementById('statusTitle').textContent = '⌛ Reveal Window Missed';
+            document.getElementById('statusMessage').textContent = 'The reveal phase has ended before you revealed. The round can now be finalized.';
         }
     } else if (hasRevealed) {
         // Already participated
@@ -337,6 +826,14 @@ function updateParticipationUI(hasCommitted, hasRevealed, stake, roundActive, in
     }
 }
 
+function updateSpectatorUI() {
+    document.getElementById('commitSection').classList.add('hidden');
+    document.getElementById('revealSection').classList.add('hidden');
+    document.getElementById('waitingSection').classList.remove('hidden');
+    document.getElementById('statusTitle').textContent = '🔒 Connect to Participate';
+    document.getElementById('statusMessage').textContent = 'You are watching in read-only mode. Connect your wallet to commit, reveal or claim rewards.';
+}
+
 // Timer functions
 function startTimer(endTime, label) {
     document.getElementById('timerLabel').textContent = label;
@@ -355,12 +852,7 @@ function startTimer(endTime, label) {
             clearInterval(currentRoundTimer);
             setTimeout(refreshContractStatus, 1000); // Refresh after phase ends
         } else {
-            const hours = Math.floor(timeLeft / 3600);
-            const minutes = Math.floor((timeLeft % 3600) / 60);
-            const seconds = timeLeft % 60;
-            
-            document.getElementById('countdown').textContent = 
-                `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+            document.getElementById('countdown').textContent = formatCountdown(timeLeft);
         }
     }, 1000);
 }
@@ -375,14 +867,26 @@ function stopTimer() {
 
 // Reset round info display
 function resetRoundInfo() {
+    displayedRoundId = null;
+    roundCurrency = nativeCurrency();
     document.getElementById('roundId').textContent = '-';
     document.getElementById('roundStatus').textContent = 'No Active Round';
     document.getElementById('roundStatus').className = 'value status-badge';
     document.getElementById('currentPhase').textContent = '-';
     document.getElementById('currentPhase').className = 'value phase-badge';
     document.getElementById('participantCount').textContent = '0';
-    document.getElementById('totalStake').textContent = '0 ETH';
+    document.getElementById('roundMinStakeDisplay').textContent = '-';
+    document.getElementById('stakeTokenDisplay').textContent = '-';
+    document.getElementById('seatsDisplay').textContent = '-';
+    document.getElementById('eligibilityDisplay').textContent = '-';
+    document.getElementById('roundMinReputationDisplay').textContent = '-';
+    document.getElementById('totalStake').textContent = formatAmount(0);
     document.getElementById('thresholdDisplay').textContent = '-';
+    document.getElementById('nonRevealPolicyDisplay').textContent = '-';
+    document.getElementById('optionCountDisplay').textContent = '-';
+    document.getElementById('consensusModeDisplay').textContent = '-';
+    document.getElementById('rewardCurveDisplay').textContent = '-';
+    document.getElementById('roundCurvePreview').classList.add('hidden');
     
     stopTimer();
     
@@ -391,192 +895,1486 @@ function resetRoundInfo() {
     document.getElementById('revealSection').classList.add('hidden');
     document.getElementById('waitingSection').classList.remove('hidden');
     document.getElementById('roundResult').classList.add('hidden');
+    document.getElementById('finalizePrompt').classList.add('hidden');
 }
 
-// Admin function: Start coordination round
-async function startCoordinationRound() {
-    if (!isOwner) {
-        alert('Only the contract owner can start rounds');
-        return;
-    }
+// Human-readable name for an option, falling back to letters when the round has no labels
+function formatOption(index, labels) {
+    const label = labels[index] || `Option ${String.fromCharCode(65 + index)}`;
+    return `${label} (${index})`;
+}
+
+// Render the commit radios and reveal dropdown for the round's options
+function renderChoiceOptions(roundId, optionCount, labels) {
+    // Only re-render when the options change so an in-progress selection is kept
+    const optionsKey = `${roundId}:${optionCount}:${labels.join('|')}`;
+    if (optionsKey === renderedOptionsKey) return;
+    renderedOptionsKey = optionsKey;
     
-    try {
-        const commitDuration = parseInt(document.getElementById('commitDuration').value) * 60; // Convert to seconds
-        const revealDuration = parseInt(document.getElementById('revealDuration').value) * 60;
-        const consensusThreshold = parseInt(document.getElementById('consensusThreshold').value);
+    const choiceSelection = document.getElementById('choiceSelection');
+    const revealSelect = document.getElementById('revealChoice');
+    
+    choiceSelection.innerHTML = '';
+    revealSelect.innerHTML = '<option value="">Select your choice...</option>';
+    
+    for (let i = 0; i < optionCount; i++) {
+        const icon = OPTION_ICONS[i % OPTION_ICONS.length];
         
-        if (commitDuration <= 0 || revealDuration <= 0) {
-            alert('Please enter valid durations');
-            return;
-        }
+        const group = document.createElement('div');
+        group.className = 'choice-group';
         
-        if (consensusThreshold < 51 || consensusThreshold > 100) {
-            alert('Consensus threshold must be between 51-100%');
-            return;
-        }
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.id = `choice${i}`;
+        radio.name = 'choice';
+        radio.value = i;
+        radio.className = 'choice-radio';
         
-        showLoading('Starting new coordination round...');
+        const label = document.createElement('label');
+        label.htmlFor = radio.id;
+        label.className = `choice-label choice-${i}`;
         
-        const tx = await contract.startCoordinationRound(commitDuration, revealDuration, consensusThreshold);
-        await tx.wait();
+        const iconSpan = document.createElement('span');
+        iconSpan.className = 'choice-icon';
+        iconSpan.textContent = icon;
         
-        hideLoading();
-        showNotification('New coordination round started successfully!', 'success');
+        const textSpan = document.createElement('span');
+        textSpan.className = 'choice-text';
+        textSpan.textContent = formatOption(i, labels);
         
-    } catch (error) {
-        console.error('Error starting round:', error);
-        hideLoading();
-        alert('Failed to start round: ' + error.message);
+        label.append(iconSpan, textSpan);
+        group.append(radio, label);
+        choiceSelection.appendChild(group);
+        
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `${icon} ${formatOption(i, labels)}`;
+        revealSelect.appendChild(option);
     }
 }
 
-// Generate random nonce
-function generateRandomNonce() {
-    const randomNonce = Math.floor(Math.random() * 1000000000);
-    document.getElementById('nonce').value = randomNonce;
+// Describe the penalty for committing without revealing
+function describeNonRevealPolicy(policy, slashPercentage) {
+    switch (NON_REVEAL_POLICIES[policy]) {
+        case 'SlashToWinners':
+            return `${slashPercentage}% of stake slashed to winners`;
+        case 'SlashToTreasury':
+            return `${slashPercentage}% of stake slashed to treasury`;
+        default:
+            return 'Full refund';
+    }
 }
 
-// Commit choice
-async function commitChoice() {
-    try {
-        const choice = document.querySelector('input[name="choice"]:checked')?.value;
-        const stakeAmount = document.getElementById('stakeAmount').value;
-        const nonce = document.getElementById('nonce').value;
-        
-        if (!choice) {
-            alert('Please select a choice (0 or 1)');
-            return;
-        }
-        
-        if (!stakeAmount || parseFloat(stakeAmount) <= 0) {
-            alert('Please enter a valid stake amount');
-            return;
-        }
-        
-        if (!nonce) {
-            alert('Please enter a nonce for your commitment');
-            return;
-        }
-        
-        // Store choice and nonce for reveal phase
-        currentUserChoice = parseInt(choice);
-        currentUserNonce = parseInt(nonce);
-        
-        // Create commitment hash
-        const commitmentHash = ethers.utils.keccak256(
-            ethers.utils.defaultAbiCoder.encode(['uint256', 'uint256'], [currentUserChoice, currentUserNonce])
-        );
-        
-        showLoading('Committing your choice...');
-        
-        const currentRound = await contract.currentRoundId();
-        const stakeWei = ethers.utils.parseEther(stakeAmount);
-        
-        const tx = await contract.joinCoordinationRound(currentRound, commitmentHash, {
-            value: stakeWei
-        });
-        
-        await tx.wait();
-        
-        hideLoading();
-        showNotification('Choice committed successfully!', 'success');
-        
-        // Store commitment for reveal section
-        document.getElementById('userCommitment').textContent = commitmentHash;
-        
-        // Clear form
-        document.querySelectorAll('input[name="choice"]').forEach(radio => radio.checked = false);
-        document.getElementById('stakeAmount').value = '';
-        document.getElementById('nonce').value = '';
-        
-    } catch (error) {
-        console.error('Error committing choice:', error);
-        hideLoading();
-        alert('Failed to commit choice: ' + error.message);
+// The slash percentage only applies to slashing policies
+function updateSlashInputState() {
+    const isRefund = document.getElementById('nonRevealPolicy').value === '0';
+    const slashInput = document.getElementById('slashPercentage');
+    
+    slashInput.disabled = isRefund;
+    if (isRefund) {
+        slashInput.value = 0;
     }
 }
 
-// Reveal choice
-async function revealChoice() {
-    try {
-        const revealChoiceValue = document.getElementById('revealChoice').value;
-        const revealNonceValue = document.getElementById('revealNonce').value;
-        
-        if (!revealChoiceValue || !revealNonceValue) {
-            alert('Please enter both your original choice and nonce');
-            return;
-        }
-        
-        const choice = parseInt(revealChoiceValue);
-        const nonce = parseInt(revealNonceValue);
-        
-        showLoading('Revealing your choice...');
-        
-        const currentRound = await contract.currentRoundId();
-        const tx = await contract.revealChoiceAndCoordinate(currentRound, choice, nonce);
-        
-        await tx.wait();
-        
-        hideLoading();
-        showNotification('Choice revealed successfully!', 'success');
-        
-        // Clear reveal form
-        document.getElementById('revealChoice').value = '';
-        document.getElementById('revealNonce').value = '';
-        
-    } catch (error) {
-        console.error('Error revealing choice:', error);
-        hideLoading();
-        alert('Failed to reveal choice: ' + error.message);
+// Preview the round form's reward curve at the coordination reward manual rounds in its stake token start with
+async function updateCurvePreview() {
+    const tableBody = document.getElementById('curvePreviewBody');
+    const threshold = parseInt(document.getElementById('consensusThreshold').value);
+    const curve = parseInt(document.getElementById('rewardCurve').value);
+    const stakeToken = document.getElementById('stakeToken').value.trim() || ethers.constants.AddressZero;
+    if (!contract || !(threshold > 0 && threshold <= 100) || !ethers.utils.isAddress(stakeToken)) {
+        tableBody.innerHTML = '';
+        return;
     }
-}
 
-// Claim rewards
-async function claimRewards() {
     try {
-        showLoading('Claiming rewards...');
-        
-        const tx = await contract.claimRewards();
-        await tx.wait();
-        
-        hideLoading();
-        showNotification('Rewards claimed successfully!', 'success');
-        
+        const reward = isNativeToken(stakeToken)
+            ? await contract.coordinationReward()
+            : (await contract.stakeTokens(stakeToken)).coordinationReward;
+        renderCurvePreview(tableBody, { reward, threshold, curve, currency: await loadCurrency(stakeToken) });
     } catch (error) {
-        console.error('Error claiming rewards:', error);
-        hideLoading();
-        alert('Failed to claim rewards: ' + error.message);
+        console.error('Error previewing reward curve:', error);
     }
 }
 
-// Utility functions
-function showLoading(message = 'Processing...') {
-    document.getElementById('loadingMessage').textContent = message;
-    document.getElementById('loadingOverlay').classList.remove('hidden');
-}
+// Read and validate the round settings form shared by new rounds and templates, or return null after
+// telling the admin what is wrong
+function readRoundForm() {
+    const commitDuration = parseInt(document.getElementById('commitDuration').value) * 60; // Convert to seconds
+    const revealDuration = parseInt(document.getElementById('revealDuration').value) * 60;
+    const consensusThreshold = parseInt(document.getElementById('consensusThreshold').value);
+    const nonRevealPolicy = parseInt(document.getElementById('nonRevealPolicy').value);
+    const slashPercentage = parseInt(document.getElementById('slashPercentage').value) || 0;
+    const optionCount = parseInt(document.getElementById('optionCount').value);
+    const consensusMode = parseInt(document.getElementById('consensusMode').value);
+    const rewardCurve = parseInt(document.getElementById('rewardCurve').value);
+    const maxParticipants = parseInt(document.getElementById('maxParticipants').value) || 0;
+    const allowlistRoot = document.getElementById('allowlistRoot').value.trim() || ethers.constants.HashZero;
+    const minReputationPercent = parseFloat(document.getElementById('minReputation').value) || 0;
+    const stakeToken = document.getElementById('stakeToken').value.trim() || ethers.constants.AddressZero;
+    const optionLabels = document.getElementById('optionLabels').value
+        .split('\n')
+        .map(label => label.trim())
+        .filter(label => label.length > 0);
 
-function hideLoading() {
-    document.getElementById('loadingOverlay').classList.add('hidden');
-}
+    if (commitDuration <= 0 || revealDuration <= 0) {
+        alert('Please enter valid durations');
+        return null;
+    }
 
-function showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.innerHTML = `
-        <span>${message}</span>
-        <button onclick="this.parentElement.remove()">×</button>
-    `;
-    
-    // Add to page
-    document.body.appendChild(notification);
-    
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-        if (notification.parentElement) {
-            notification.remove();
-        }
-    }, 5000);
+    if (!(optionCount >= 2 && optionCount <= 10)) {
+        alert('Number of options must be between 2-10');
+        return null;
+    }
+
+    if (optionLabels.length > 0 && optionLabels.length !== optionCount) {
+        alert(`Please enter exactly ${optionCount} labels (one per line) or leave the labels empty`);
+        return null;
+    }
+
+    // The leading option must beat an even split across all options
+    const minThreshold = Math.floor(100 / optionCount) + 1;
+    if (consensusThreshold < minThreshold || consensusThreshold > 100) {
+        alert(`Consensus threshold must be between ${minThreshold}-100% for ${optionCount} options`);
+        return null;
+    }
+
+    if (slashPercentage < 0 || slashPercentage > 100) {
+        alert('Slash percentage must be between 0-100%');
+        return null;
+    }
+
+    if (maxParticipants < 0) {
+        alert('Max participants cannot be negative');
+        return null;
+    }
+    
+    if (!ethers.utils.isHexString(allowlistRoot, 32)) {
+        alert('The allowlist root must be a 32-byte hex value (0x followed by 64 hex digits)');
+        return null;
+    }
+
+    if (minReputationPercent < 0 || minReputationPercent > 100) {
+        alert('Minimum reputation must be between 0-100%');
+        return null;
+    }
+
+    if (!ethers.utils.isAddress(stakeToken)) {
+        alert('The stake token must be an ERC-20 token address, or empty for the native currency');
+        return null;
+    }
+
+    return {
+        params: {
+            commitPhaseDuration: commitDuration,
+            revealPhaseDuration: revealDuration,
+            consensusThreshold,
+            nonRevealPolicy,
+            slashPercentage,
+            optionCount,
+            consensusMode,
+            maxParticipants,
+            allowlistRoot,
+            minReputation: reputationFromPercent(minReputationPercent),
+            stakeToken,
+            rewardCurve
+        },
+        optionLabels
+    };
+}
+
+// Admin function: Start coordination round
+async function startCoordinationRound() {
+    if (!isOwner && !isOperator) {
+        alert('Only the contract owner or an operator can start rounds');
+        return;
+    }
+
+    try {
+        const form = readRoundForm();
+        if (!form) return;
+
+        await sendTransaction({
+            label: 'Start coordination round',
+            method: 'startCoordinationRound',
+            args: [form.params, form.optionLabels]
+        });
+
+        showNotification('New coordination round started successfully!', 'success');
+
+    } catch (error) {
+        reportError('Failed to start round', error);
+    }
+}
+
+// Admin function: Save the round settings form as a new template or over an existing one
+async function saveRoundTemplate() {
+    const templateId = parseInt(document.getElementById('templateTarget').value);
+    const name = document.getElementById('templateName').value.trim();
+    const minStakeValue = document.getElementById('templateMinStake').value;
+    const rewardValue = document.getElementById('templateReward').value || '0';
+
+    if (!name) {
+        alert('Please enter a template name');
+        return;
+    }
+
+    if (!minStakeValue || parseFloat(minStakeValue) < 0 || parseFloat(rewardValue) < 0) {
+        alert('Please enter a valid minimum stake and reward');
+        return;
+    }
+
+    const form = readRoundForm();
+    if (!form) return;
+
+    if (templateId !== 0 && !confirm(`Overwrite template #${templateId}? Rounds already started from it keep their settings.`)) {
+        return;
+    }
+
+    try {
+        // The template's amounts are in its stake token
+        const currency = await loadCurrency(form.params.stakeToken);
+        await sendTransaction({
+            label: templateId === 0 ? `Save template "${name}"` : `Update template #${templateId}`,
+            method: 'saveRoundTemplate',
+            args: [
+                templateId,
+                name,
+                form.params,
+                form.optionLabels,
+                parseAmount(minStakeValue, currency),
+                parseAmount(rewardValue, currency)
+            ]
+        });
+
+        showNotification(`Template "${name}" saved!`, 'success');
+        await refreshSchedule();
+
+    } catch (error) {
+        reportError('Failed to save template', error);
+    }
+}
+
+// Fill the round settings and template forms from a saved template so it can be edited
+function loadTemplateIntoForm(template) {
+    const { params } = template;
+    document.getElementById('commitDuration').value = params.commitPhaseDuration.toNumber() / 60;
+    document.getElementById('revealDuration').value = params.revealPhaseDuration.toNumber() / 60;
+    document.getElementById('optionCount').value = params.optionCount.toString();
+    document.getElementById('optionLabels').value = template.optionLabels.join('\n');
+    document.getElementById('consensusMode').value = params.consensusMode.toString();
+    document.getElementById('consensusThreshold').value = params.consensusThreshold.toString();
+    document.getElementById('rewardCurve').value = params.rewardCurve.toString();
+    document.getElementById('nonRevealPolicy').value = params.nonRevealPolicy.toString();
+    document.getElementById('slashPercentage').value = params.slashPercentage.toString();
+    document.getElementById('maxParticipants').value = params.maxParticipants.toString();
+    document.getElementById('allowlistRoot').value = isOpenRound(params.allowlistRoot) ? '' : params.allowlistRoot;
+    document.getElementById('minReputation').value = params.minReputation.toNumber() * 100 / REPUTATION_SCALE;
+    document.getElementById('stakeToken').value = isNativeToken(params.stakeToken) ? '' : params.stakeToken;
+    updateSlashInputState();
+
+    document.getElementById('templateTarget').value = template.templateId.toString();
+    document.getElementById('templateName').value = template.name;
+    const { decimals } = currencyOf(params.stakeToken);
+    document.getElementById('templateMinStake').value = ethers.utils.formatUnits(template.minStake, decimals);
+    document.getElementById('templateReward').value = ethers.utils.formatUnits(template.coordinationReward, decimals);
+    updateCurvePreview();
+}
+
+// Admin function: Start a round from a saved template
+async function startTemplateRound(template) {
+    try {
+        await sendTransaction({
+            label: `Start round from "${template.name}"`,
+            method: 'startRoundFromTemplate',
+            args: [template.templateId]
+        });
+
+        showNotification(`Round started from template "${template.name}"!`, 'success');
+
+    } catch (error) {
+        reportError('Failed to start round from template', error);
+    }
+}
+
+// Admin function: Schedule recurring rounds from a template
+async function saveRoundSchedule() {
+    const templateId = parseInt(document.getElementById('scheduleTemplate').value);
+    const startValue = document.getElementById('scheduleStart').value;
+    const intervalHours = parseFloat(document.getElementById('scheduleInterval').value);
+
+    if (!templateId) {
+        alert('Please save a template to schedule first');
+        return;
+    }
+
+    if (!(intervalHours > 0)) {
+        alert('Please enter a valid interval');
+        return;
+    }
+
+    const nextStartTime = Math.floor((startValue ? new Date(startValue).getTime() : Date.now()) / 1000);
+    const interval = Math.round(intervalHours * 3600);
+
+    try {
+        await sendTransaction({
+            label: `Schedule template #${templateId}`,
+            method: 'setRoundSchedule',
+            args: [templateId, nextStartTime, interval]
+        });
+
+        showNotification('Round schedule saved!', 'success');
+        await refreshSchedule();
+
+    } catch (error) {
+        reportError('Failed to save schedule', error);
+    }
+}
+
+// Admin function: Stop starting scheduled rounds
+async function clearRoundSchedule() {
+    if (!confirm('Clear the recurring schedule? Rounds that are already running are not affected.')) {
+        return;
+    }
+
+    try {
+        await sendTransaction({ label: 'Clear round schedule', method: 'setRoundSchedule', args: [0, 0, 0] });
+
+        showNotification('Round schedule cleared', 'success');
+        await refreshSchedule();
+
+    } catch (error) {
+        reportError('Failed to clear schedule', error);
+    }
+}
+
+// Start the next scheduled round (open to anyone once it is due)
+async function startScheduledRound() {
+    try {
+        await sendTransaction({ label: 'Start scheduled round', method: 'startScheduledRound' });
+
+        showNotification('Scheduled round started!', 'success');
+
+    } catch (error) {
+        reportError('Failed to start scheduled round', error);
+    }
+}
+
+// Load the templates and the schedule, then render the upcoming round card and the admin controls
+async function refreshSchedule() {
+    if (!contract) return;
+
+    try {
+        roundTemplates = await loadRoundTemplates();
+        await loadCurrencies(roundTemplates.map(template => template.params.stakeToken));
+        const schedule = await loadRoundSchedule();
+
+        renderScheduleCard(schedule);
+        if (isOwner || isOperator) {
+            renderTemplateAdmin(schedule);
+        }
+    } catch (error) {
+        console.error('Error loading round schedule:', error);
+    }
+}
+
+function renderScheduleCard(schedule) {
+    clearTimeout(scheduleTimer);
+    document.getElementById('scheduleCard').classList.toggle('hidden', !schedule);
+    if (!schedule) return;
+
+    const template = roundTemplates.find(item => item.templateId === schedule.templateId);
+    const now = Math.floor(Date.now() / 1000);
+    const { due, status } = describeScheduleStatus(schedule, now);
+
+    document.getElementById('scheduleTemplateName').textContent = template ? `#${template.templateId} ${template.name}` : `#${schedule.templateId}`;
+    document.getElementById('scheduleNextStart').textContent = new Date(schedule.nextStartTime * 1000).toLocaleString();
+    document.getElementById('scheduleIntervalDisplay').textContent = formatInterval(schedule.interval);
+    document.getElementById('scheduleStatus').textContent = status;
+    document.getElementById('startScheduledRound').classList.toggle('hidden', !due);
+
+    // Show the start button as soon as the start time arrives
+    if (!due && schedule.previousFinalized) {
+        scheduleTimer = setTimeout(() => renderScheduleCard(schedule), (schedule.nextStartTime - now + 1) * 1000);
+    }
+}
+
+function renderTemplateAdmin(schedule) {
+    const tableBody = document.getElementById('templateTableBody');
+    tableBody.innerHTML = '';
+
+    roundTemplates.forEach(template => {
+        const { params } = template;
+        const row = document.createElement('tr');
+        appendCells(row, [
+            template.templateId,
+            template.name,
+            describeTemplatePhases(params),
+            `${params.consensusThreshold}% (${REWARD_CURVES[params.rewardCurve].toLowerCase()} curve)`,
+            params.optionCount.toString(),
+            params.maxParticipants.eq(0) ? '-' : params.maxParticipants.toString(),
+            formatAmount(template.minStake, currencyOf(params.stakeToken)),
+            formatAmount(template.coordinationReward, currencyOf(params.stakeToken))
+        ]);
+
+        // Operators may start rounds from templates but not change them
+        const actionCell = document.createElement('td');
+        if (isOwner) {
+            actionCell.appendChild(createActionButton('Edit', 'btn btn-small', () => loadTemplateIntoForm(template)));
+        }
+        actionCell.appendChild(createActionButton('Start', 'btn btn-small', () => startTemplateRound(template)));
+        row.appendChild(actionCell);
+
+        tableBody.appendChild(row);
+    });
+    document.getElementById('templateTableEmpty').classList.toggle('hidden', roundTemplates.length > 0);
+
+    // Rebuild the dropdowns without losing what the admin had selected
+    const targetSelect = document.getElementById('templateTarget');
+    const scheduleSelect = document.getElementById('scheduleTemplate');
+    const selectedTarget = targetSelect.value;
+    const selectedSchedule = scheduleSelect.value || (schedule ? schedule.templateId.toString() : '');
+    targetSelect.innerHTML = '<option value="0">New template</option>';
+    scheduleSelect.innerHTML = '';
+    roundTemplates.forEach(template => {
+        targetSelect.appendChild(new Option(`Update #${template.templateId} ${template.name}`, template.templateId));
+        scheduleSelect.appendChild(new Option(`#${template.templateId} ${template.name}`, template.templateId));
+    });
+    targetSelect.value = roundTemplates.some(item => item.templateId.toString() === selectedTarget) ? selectedTarget : '0';
+    if (roundTemplates.some(item => item.templateId.toString() === selectedSchedule)) {
+        scheduleSelect.value = selectedSchedule;
+    }
+
+    document.getElementById('currentSchedule').textContent = schedule
+        ? `Template #${schedule.templateId} every ${formatInterval(schedule.interval)}, next ${new Date(schedule.nextStartTime * 1000).toLocaleString()}`
+        : 'None';
+    document.getElementById('clearSchedule').disabled = !schedule;
+}
+
+// Admin function: Update the treasury that receives slashed stakes
+async function updateTreasury() {
+    const newTreasury = document.getElementById('treasuryAddress').value.trim();
+    
+    if (!ethers.utils.isAddress(newTreasury)) {
+        alert('Please enter a valid treasury address');
+        return;
+    }
+    
+    try {
+        await sendTransaction({ label: 'Update treasury', method: 'updateTreasury', args: [newTreasury] });
+        
+        document.getElementById('currentTreasury').textContent = ethers.utils.getAddress(newTreasury);
+        document.getElementById('treasuryAddress').value = '';
+        
+        showNotification('Treasury updated successfully!', 'success');
+        
+    } catch (error) {
+        reportError('Failed to update treasury', error);
+    }
+}
+
+// Admin function: Withdraw the unreserved reward pool
+async function withdrawRewardPool() {
+    try {
+        await sendTransaction({ label: 'Withdraw unreserved funds', method: 'withdrawContractBalance' });
+        
+        showNotification('Unreserved funds withdrawn successfully!', 'success');
+        await refreshContractStatus();
+        
+    } catch (error) {
+        reportError('Failed to withdraw reward pool', error);
+    }
+}
+
+// Read the token address typed in the stake token admin block
+function readStakeTokenAddress() {
+    const token = document.getElementById('stakeTokenAddress').value.trim();
+    if (!ethers.utils.isAddress(token) || isNativeToken(token)) {
+        alert('Please enter the address of an ERC-20 token');
+        return null;
+    }
+    return token;
+}
+
+// Admin function: Accept an ERC-20 token for staking, or stop new rounds from using it with a zero minimum stake
+async function setStakeToken() {
+    const token = readStakeTokenAddress();
+    if (!token) return;
+    const minStakeValue = document.getElementById('stakeTokenMinStake').value || '0';
+    const rewardValue = document.getElementById('stakeTokenReward').value || '0';
+    
+    if (parseFloat(minStakeValue) < 0 || parseFloat(rewardValue) < 0) {
+        alert('Please enter a valid minimum stake and reward');
+        return;
+    }
+    
+    try {
+        const currency = await loadCurrency(token);
+        const minStakeAmount = parseAmount(minStakeValue, currency);
+        if (minStakeAmount.eq(0) && !confirm(`Stop accepting ${currency.symbol}? Rounds already staked in it are not affected.`)) {
+            return;
+        }
+        
+        await sendTransaction({
+            label: minStakeAmount.eq(0) ? `Stop accepting ${currency.symbol}` : `Accept ${currency.symbol} stakes`,
+            method: 'setStakeToken',
+            args: [token, minStakeAmount, parseAmount(rewardValue, currency)]
+        });
+        
+        showNotification(`${currency.symbol} stake settings saved`, 'success');
+        
+    } catch (error) {
+        reportError('Failed to update stake token', error);
+    }
+}
+
+// Admin function: Withdraw the unreserved reward pool of an ERC-20 token
+async function withdrawTokenPool() {
+    const token = readStakeTokenAddress();
+    if (!token) return;
+    
+    try {
+        const currency = await loadCurrency(token);
+        const amount = await contract.getTokenRewardPoolBalance(token);
+        if (!confirm(`Withdraw the unreserved ${formatAmount(amount, currency)}?`)) return;
+        
+        await sendTransaction({ label: `Withdraw unreserved ${currency.symbol}`, method: 'withdrawTokenBalance', args: [token] });
+        
+        showNotification(`Unreserved ${currency.symbol} withdrawn successfully!`, 'success');
+        
+    } catch (error) {
+        reportError('Failed to withdraw token pool', error);
+    }
+}
+
+// Pause state and pending ownership transfer, for the admin panel and the nominated owner
+async function refreshAdminStatus() {
+    const pendingOwner = await contract.pendingOwner();
+    const hasNominee = pendingOwner !== ethers.constants.AddressZero;
+    document.getElementById('ownershipCard').classList.toggle('hidden', pendingOwner.toLowerCase() !== userAddress.toLowerCase());
+    if (!isOwner) return;
+    
+    document.getElementById('pauseState').textContent = isPaused ? 'Paused' : 'Running';
+    document.getElementById('togglePause').textContent = isPaused ? '▶️ Unpause' : '⏸️ Pause';
+    document.getElementById('pendingOwner').textContent = hasNominee ? pendingOwner : 'None';
+    document.getElementById('withdrawNomination').disabled = !hasNominee;
+}
+
+// Admin function: Stop or resume joins, reveals, finalization and scheduled starts
+async function togglePause() {
+    const pausing = !isPaused;
+    const question = pausing
+        ? 'Pause the contract? Joins, reveals, finalization and scheduled round starts stop until you unpause it, while phase deadlines keep running. Claims and settlement keep working.'
+        : 'Unpause the contract? Joins, reveals, finalization and scheduled round starts resume.';
+    if (!confirm(question)) return;
+    
+    try {
+        await sendTransaction({ label: pausing ? 'Pause contract' : 'Unpause contract', method: pausing ? 'pause' : 'unpause' });
+        
+        showNotification(pausing ? 'Contract paused' : 'Contract unpaused', 'success');
+        await refreshContractStatus();
+        
+    } catch (error) {
+        reportError(pausing ? 'Failed to pause' : 'Failed to unpause', error);
+    }
+}
+
+// Admin function: Cancel a round that is not finalized yet and refund every stake
+async function cancelRound() {
+    const roundId = parseInt(document.getElementById('cancelRoundId').value);
+    
+    if (!Number.isInteger(roundId) || roundId < 1) {
+        alert('Please enter a valid round number');
+        return;
+    }
+    
+    try {
+        const { participantCount, totalStake } = await contract.getRoundInfo(roundId);
+        const currency = await loadCurrency((await contract.getRoundLimits(roundId)).stakeToken);
+        if (!confirm(`Cancel round #${roundId}? Its ${participantCount} participants get their ${formatAmount(totalStake, currency)} in stakes back, nobody is rewarded and this cannot be undone.`)) {
+            return;
+        }
+        
+        await sendTransaction({ label: `Cancel round #${roundId}`, method: 'cancelRound', args: [roundId] });
+        
+        document.getElementById('cancelRoundId').value = '';
+        showNotification(`Round #${roundId} cancelled, stakes refunded`, 'success');
+        await refreshContractStatus();
+        
+    } catch (error) {
+        reportError('Failed to cancel round', error);
+    }
+}
+
+// Admin function: Grant or revoke the right to start rounds
+async function updateOperator(enabled) {
+    const operator = document.getElementById('operatorAddress').value.trim();
+    
+    if (!ethers.utils.isAddress(operator)) {
+        alert('Please enter a valid operator address');
+        return;
+    }
+    
+    const address = ethers.utils.getAddress(operator);
+    const question = enabled
+        ? `Let ${address} start rounds, manually and from templates?`
+        : `Revoke the right of ${address} to start rounds?`;
+    if (!confirm(question)) return;
+    
+    try {
+        await sendTransaction({
+            label: enabled ? 'Add operator' : 'Remove operator',
+            method: 'setOperator',
+            args: [address, enabled]
+        });
+        
+        document.getElementById('operatorAddress').value = '';
+        showNotification(enabled ? `${address} can now start rounds` : `${address} can no longer start rounds`, 'success');
+        
+    } catch (error) {
+        reportError('Failed to update operator', error);
+    }
+}
+
+// Admin function: Nominate a new owner, who takes over once it accepts
+async function transferOwnership() {
+    const newOwner = document.getElementById('newOwnerAddress').value.trim();
+    
+    if (!ethers.utils.isAddress(newOwner) || ethers.utils.getAddress(newOwner) === ethers.constants.AddressZero) {
+        alert('Please enter a valid owner address');
+        return;
+    }
+    
+    const address = ethers.utils.getAddress(newOwner);
+    if (!confirm(`Nominate ${address} as the new owner? You stay the owner until that address accepts, and can withdraw the nomination until then.`)) {
+        return;
+    }
+    
+    try {
+        await sendTransaction({ label: 'Nominate new owner', method: 'transferOwnership', args: [address] });
+        
+        document.getElementById('newOwnerAddress').value = '';
+        showNotification(`${address} nominated; the transfer completes once it accepts`, 'success');
+        await refreshAdminStatus();
+        
+    } catch (error) {
+        reportError('Failed to nominate new owner', error);
+    }
+}
+
+async function withdrawOwnershipNomination() {
+    if (!confirm('Withdraw the pending ownership nomination?')) return;
+    
+    try {
+        await sendTransaction({ label: 'Withdraw owner nomination', method: 'transferOwnership', args: [ethers.constants.AddressZero] });
+        
+        showNotification('Nomination withdrawn', 'success');
+        await refreshAdminStatus();
+        
+    } catch (error) {
+        reportError('Failed to withdraw nomination', error);
+    }
+}
+
+// Nominated owner: complete the ownership transfer
+async function acceptOwnership() {
+    if (!confirm('Accept ownership of the contract? The current owner loses every admin right to this address.')) return;
+    
+    try {
+        await sendTransaction({ label: 'Accept ownership', method: 'acceptOwnership' });
+        
+        showNotification('You are now the contract owner', 'success');
+        await refreshRoles();
+        await refreshContractStatus();
+        
+    } catch (error) {
+        reportError('Failed to accept ownership', error);
+    }
+}
+
+// Fund the reward pool of the native currency or of a stake token (open to any sponsor)
+async function depositRewards() {
+    const amount = document.getElementById('depositAmount').value;
+    const token = document.getElementById('depositToken').value.trim();
+    
+    if (!amount || parseFloat(amount) <= 0) {
+        alert('Please enter a valid deposit amount');
+        return;
+    }
+    
+    if (token && !ethers.utils.isAddress(token)) {
+        alert('The token must be an ERC-20 token address, or empty for the native currency');
+        return;
+    }
+    
+    try {
+        const currency = await loadCurrency(token);
+        const value = parseAmount(amount, currency);
+        if (isNativeToken(token)) {
+            await sendTransaction({
+                label: `Deposit ${amount} ${currency.symbol}`,
+                method: 'depositRewards',
+                overrides: { value }
+            });
+        } else {
+            await approveToken(currency, value);
+            await sendTransaction({
+                label: `Deposit ${amount} ${currency.symbol}`,
+                method: 'depositTokenRewards',
+                args: [currency.address, value]
+            });
+        }
+        
+        document.getElementById('depositAmount').value = '';
+        showNotification('Reward pool funded successfully!', 'success');
+        await refreshContractStatus();
+        
+    } catch (error) {
+        reportError('Failed to deposit rewards', error);
+    }
+}
+
+// Generate a cryptographically secure 256-bit nonce
+function generateRandomNonce() {
+    const randomBytes = crypto.getRandomValues(new Uint8Array(32));
+    document.getElementById('nonce').value = ethers.BigNumber.from(randomBytes).toString();
+}
+
+// Parse a nonce entered as a decimal or 0x-prefixed hex string into a uint256 BigNumber
+function parseNonce(value) {
+    let nonce;
+    try {
+        nonce = ethers.BigNumber.from(value.trim());
+    } catch (error) {
+        throw new Error('Nonce must be a decimal or 0x-prefixed hex number');
+    }
+    
+    if (nonce.lt(0) || nonce.gt(ethers.constants.MaxUint256)) {
+        throw new Error('Nonce must fit in 256 bits');
+    }
+    return nonce;
+}
+
+// Compute the commitment hash locally, mirroring getCommitmentHash. Binding it to the contract, chain, round
+// and committer means nobody can copy the hash from our CommitmentMade event and reveal it as their own.
+function computeCommitment(roundId, account, choice, nonce) {
+    const preimage = [COMMITMENT_VERSION, contract.address, chainId, roundId, account, choice, nonce];
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(COMMITMENT_TYPES, preimage));
+}
+
+// Recompute the commitment with the contract and refuse to continue if it disagrees
+async function verifyCommitment(roundId, account, choice, nonce, commitmentHash) {
+    const contractVersion = await contract.COMMITMENT_VERSION();
+    if (!contractVersion.eq(COMMITMENT_VERSION)) {
+        throw new Error(`The contract uses commitment version ${contractVersion} but this page builds version ${COMMITMENT_VERSION}. Reload the page.`);
+    }
+    const contractHash = await contract.getCommitmentHash(roundId, account, choice, nonce);
+    if (contractHash.toLowerCase() !== commitmentHash.toLowerCase()) {
+        throw new Error(`Commitment self-check failed: local ${commitmentHash} != contract ${contractHash}`);
+    }
+}
+
+// Commit choice
+async function commitChoice() {
+    try {
+        const choice = document.querySelector('input[name="choice"]:checked')?.value;
+        const stakeAmount = document.getElementById('stakeAmount').value;
+        const nonce = document.getElementById('nonce').value;
+        
+        if (!choice) {
+            alert('Please select a choice');
+            return;
+        }
+        
+        if (!stakeAmount || parseFloat(stakeAmount) <= 0) {
+            alert('Please enter a valid stake amount');
+            return;
+        }
+        
+        if (!nonce) {
+            alert('Please enter a nonce for your commitment');
+            return;
+        }
+        
+        const { eligible, proof, reason } = await getAllowlistProof(displayedRoundId, userAddress);
+        if (!eligible) {
+            alert(`You cannot join this round: ${reason}`);
+            return;
+        }
+        
+        // The vault must be unlocked so the secrets survive until the reveal phase
+        if (!await ensureVaultUnlocked()) {
+            alert('Your choice and nonce must be saved to the vault before committing');
+            return;
+        }
+        updateVaultUI();
+        
+        const userChoice = parseInt(choice);
+        const userNonce = parseNonce(nonce);
+        const currentRound = displayedRoundId;
+        
+        // Create commitment hash
+        const commitmentHash = computeCommitment(currentRound, userAddress, userChoice, userNonce);
+        
+        await verifyCommitment(currentRound, userAddress, userChoice, userNonce, commitmentHash);
+        
+        const stake = parseAmount(stakeAmount, roundCurrency);
+        const isTokenRound = !isNativeToken(roundCurrency.address);
+        const useRelayer = hasRevealService() && document.getElementById('useRelayer').checked;
+        let revealSignature = null;
+        
+        // Token stakes are pulled by the contract, so the approval has to be mined before the commit pre-flight
+        if (isTokenRound) {
+            await approveToken(roundCurrency, stake);
+        }
+        
+        await sendTransaction({
+            label: `Commit to round #${currentRound}`,
+            method: isTokenRound ? 'joinTokenRound' : 'joinCoordinationRound',
+            args: isTokenRound ? [currentRound, commitmentHash, proof, stake] : [currentRound, commitmentHash, proof],
+            overrides: isTokenRound ? {} : { value: stake },
+            beforeSend: async () => {
+                if (useRelayer) {
+                    revealSignature = await signRevealAuthorization(currentRound, userChoice, userNonce);
+                }
+                // Save secrets before sending so a reload during confirmation cannot lose them
+                await saveCommitment({
+                    roundId: currentRound,
+                    account: userAddress,
+                    chainId,
+                    choice: userChoice,
+                    nonce: userNonce,
+                    commitment: commitmentHash,
+                    revealSignature
+                });
+            }
+        });
+        
+        showNotification('Choice committed successfully!', 'success');
+        if (revealSignature) {
+            await relayReveal(getCommitment(chainId, userAddress, currentRound));
+        }
+        
+        // Store commitment for reveal section
+        document.getElementById('userCommitment').textContent = commitmentHash;
+        
+        // Clear form
+        document.querySelectorAll('input[name="choice"]').forEach(radio => radio.checked = false);
+        document.getElementById('stakeAmount').value = '';
+        document.getElementById('nonce').value = '';
+        
+    } catch (error) {
+        reportError('Failed to commit choice', error);
+    }
+}
+
+// Reveal choice
+async function revealChoice() {
+    try {
+        const revealChoiceValue = document.getElementById('revealChoice').value;
+        const revealNonceValue = document.getElementById('revealNonce').value;
+        
+        if (!revealChoiceValue || !revealNonceValue) {
+            alert('Please enter both your original choice and nonce');
+            return;
+        }
+        
+        const choice = parseInt(revealChoiceValue);
+        const nonce = parseNonce(revealNonceValue);
+        
+        await submitReveal(displayedRoundId, choice, nonce);
+        
+        // Clear reveal form
+        document.getElementById('revealChoice').value = '';
+        document.getElementById('revealNonce').value = '';
+        
+    } catch (error) {
+        reportError('Failed to reveal choice', error);
+    }
+}
+
+// Send the reveal transaction for a round
+async function submitReveal(roundId, choice, nonce) {
+    // Catch a mistyped choice or nonce before it costs gas
+    const entry = getCommitment(chainId, userAddress, roundId);
+    if (entry && computeCommitment(roundId, userAddress, choice, nonce).toLowerCase() !== entry.commitment.toLowerCase()) {
+        throw new Error('Choice and nonce do not match your saved commitment for this round');
+    }
+    
+    await sendTransaction({
+        label: `Reveal in round #${roundId}`,
+        method: 'revealChoiceAndCoordinate',
+        args: [roundId, choice, nonce]
+    });
+    
+    showNotification(`Choice revealed for round #${roundId}!`, 'success');
+    await refreshContractStatus();
+}
+
+// Hand a saved reveal authorization to the keeper (or relayer); the reveal can still be done by hand if this fails
+async function relayReveal(entry) {
+    const service = getKeeperUrl() ? 'keeper' : 'relayer';
+    try {
+        const authorization = { ...entry, signature: entry.revealSignature };
+        await (service === 'keeper' ? registerWithKeeper(authorization) : submitToRelayer(authorization));
+        showNotification(`The ${service} will reveal your choice for round #${entry.roundId} when the reveal phase opens.`, 'success');
+    } catch (error) {
+        console.error(`Error submitting to ${service}:`, error);
+        showNotification(`The ${service} is unavailable (${error.message}). Retry from Rounds Awaiting Your Action or reveal yourself.`, 'warning', 10000);
+    }
+}
+
+// Auto-fill the reveal form with the secrets saved for this round
+function fillRevealFormFromVault(roundId) {
+    const entry = getCommitment(chainId, userAddress, roundId);
+    if (!entry) {
+        document.getElementById('vaultRevealHint').classList.remove('hidden');
+        return;
+    }
+    
+    document.getElementById('vaultRevealHint').classList.add('hidden');
+    document.getElementById('userCommitment').textContent = entry.commitment;
+    document.getElementById('revealChoice').value = entry.choice;
+    document.getElementById('revealNonce').value = entry.nonce;
+}
+
+// Commitment vault handlers
+function updateVaultUI() {
+    const unlocked = isVaultUnlocked();
+    
+    document.getElementById('vaultStatus').textContent = unlocked ? 'Unlocked' : (hasStoredVault() ? 'Locked' : 'Not created');
+    document.getElementById('vaultStatus').className = `value status-badge ${unlocked ? 'status-active' : 'status-inactive'}`;
+    document.getElementById('vaultPassphrase').classList.toggle('hidden', unlocked);
+    document.getElementById('unlockVault').classList.toggle('hidden', unlocked);
+    document.getElementById('lockVault').classList.toggle('hidden', !unlocked);
+    document.getElementById('exportVault').disabled = !hasStoredVault();
+}
+
+async function handleUnlockVault() {
+    const passphraseInput = document.getElementById('vaultPassphrase');
+    
+    try {
+        await unlockVault(passphraseInput.value);
+        passphraseInput.value = '';
+        updateVaultUI();
+        showNotification('Commitment vault unlocked', 'success');
+        await refreshContractStatus();
+    } catch (error) {
+        console.error('Error unlocking vault:', error);
+        alert('Failed to unlock vault: ' + error.message);
+    }
+}
+
+function handleLockVault() {
+    lockVault();
+    updateVaultUI();
+    showNotification('Commitment vault locked', 'info');
+}
+
+function handleExportVault() {
+    try {
+        exportVault();
+    } catch (error) {
+        console.error('Error exporting vault:', error);
+        alert('Failed to export vault: ' + error.message);
+    }
+}
+
+async function handleImportVault(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const passphrase = prompt('Enter the passphrase of the vault you are importing:');
+    if (!passphrase) return;
+    
+    try {
+        const { imported, conflicts } = await importVault(file, passphrase);
+        updateVaultUI();
+        showNotification(`Imported ${imported} saved commitment(s)`, 'success');
+        if (conflicts > 0) {
+            showNotification(
+                `Kept your local copy of ${conflicts} commitment(s) the imported vault saved differently`,
+                'warning',
+                10000
+            );
+        }
+        await refreshContractStatus();
+    } catch (error) {
+        console.error('Error importing vault:', error);
+        alert('Failed to import vault: ' + error.message);
+    }
+}
+
+// Finalize a round whose reveal phase has ended (callable by anyone)
+async function finalizeRound(roundId) {
+    try {
+        await sendTransaction({ label: `Finalize round #${roundId}`, method: 'finalizeRound', args: [roundId] });
+        
+        showNotification('Round finalized successfully!', 'success');
+        
+    } catch (error) {
+        reportError('Failed to finalize round', error);
+    }
+}
+
+// Claim the rewards of one currency, settling the user's share of large rounds staked in it that nobody has
+// settled yet in the same transaction (which also pays out the native rewards)
+async function claimRewards(token = ethers.constants.AddressZero) {
+    const { symbol } = currencyOf(token);
+    const roundIds = unsettledPayouts.filter(entry => sameToken(entry.stakeToken, token)).map(entry => entry.roundId);
+    
+    try {
+        if (roundIds.length > 0) {
+            await sendTransaction({ label: `Claim ${symbol} rewards`, method: 'claimRoundRewards', args: [roundIds] });
+        } else if (isNativeToken(token)) {
+            await sendTransaction({ label: `Claim ${symbol} rewards`, method: 'claimRewards' });
+        } else {
+            await sendTransaction({ label: `Claim ${symbol} rewards`, method: 'claimTokenRewards', args: [token] });
+        }
+        
+        showNotification('Rewards claimed successfully!', 'success');
+        
+    } catch (error) {
+        reportError('Failed to claim rewards', error);
+    }
+}
+
+// Claimable rewards in every stake token of the synced history, including payouts not settled yet
+async function refreshTokenRewards() {
+    const tokens = new Set(collectStakeTokens(historyEvents));
+    unsettledPayouts.forEach(entry => {
+        if (!isNativeToken(entry.stakeToken)) tokens.add(entry.stakeToken.toLowerCase());
+    });
+    
+    const rewards = await Promise.all([...tokens].map(async (token) => {
+        const credited = await contract.participantRewards(token, userAddress);
+        const amount = unsettledPayouts
+            .filter(entry => sameToken(entry.stakeToken, token))
+            .reduce((sum, entry) => sum.add(entry.amount), credited);
+        return amount.eq(0) ? null : { currency: await loadCurrency(token), amount };
+    }));
+    tokenRewards = rewards.filter(Boolean);
+    
+    const list = document.getElementById('tokenRewardsList');
+    list.innerHTML = '';
+    tokenRewards.forEach(({ currency, amount }) => {
+        const item = document.createElement('li');
+        item.className = 'token-reward';
+        const details = document.createElement('span');
+        details.textContent = `${formatAmount(amount, currency)} claimable`;
+        item.append(details, createActionButton(`💰 Claim ${currency.symbol}`, 'btn btn-small btn-success', () => claimRewards(currency.address)));
+        list.appendChild(item);
+    });
+}
+
+// Sync history events and render the round history and personal ledger
+async function syncAndRenderHistory() {
+    if (!contract || historySyncing) return;
+    
+    const statusElement = document.getElementById('historyStatus');
+    historySyncing = true;
+    
+    try {
+        statusElement.textContent = 'Syncing history...';
+        const events = await syncHistory((block, latest) => {
+            statusElement.textContent = `Syncing history... block ${block} of ${latest}`;
+        });
+        
+        await loadCurrencies(collectStakeTokens(events));
+        renderRoundHistory(buildRoundHistory(events));
+        await refreshLeaderboard(events);
+        if (userAddress) {
+            currentLedger = buildLedger(events, userAddress);
+            renderLedger(currentLedger);
+            await refreshPendingRounds();
+        }
+        
+        statusElement.textContent = `${events.length} events synced`;
+    } catch (error) {
+        console.error('Error syncing history:', error);
+        statusElement.textContent = 'Failed to sync history: ' + error.message;
+    } finally {
+        historySyncing = false;
+    }
+}
+
+function appendCells(row, values) {
+    values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+}
+
+function renderRoundHistory(rounds) {
+    const tableBody = document.getElementById('roundHistoryBody');
+    tableBody.innerHTML = '';
+    
+    rounds.forEach(round => {
+        const row = document.createElement('tr');
+        const outcome = round.cancelled ? 'Cancelled' : !round.finalized ? 'In progress'
+            : round.totalReward.gt(0) ? `Coordinated (${round.result}%)` : `Failed (${round.result}%)`;
+        
+        appendCells(row, [
+            round.roundId,
+            round.startTime ? new Date(round.startTime * 1000).toLocaleString() : '-',
+            round.threshold !== null ? `${round.threshold}%` : '-',
+            `${round.reveals} / ${round.participants}`,
+            formatAmount(round.totalStake, currencyOf(round.stakeToken)),
+            outcome,
+            formatAmount(round.totalReward, currencyOf(round.stakeToken))
+        ]);
+        
+        const actionCell = document.createElement('td');
+        actionCell.appendChild(createActionButton('View', 'btn btn-small', () => viewRound(round.roundId)));
+        row.appendChild(actionCell);
+        
+        tableBody.appendChild(row);
+    });
+    
+    document.getElementById('roundHistoryEmpty').classList.toggle('hidden', rounds.length > 0);
+}
+
+// Rank everyone who joined a round in the synced history by reputation
+async function refreshLeaderboard(events) {
+    try {
+        renderLeaderboard(rankLeaderboard(await loadReputations(collectParticipants(events))));
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+    }
+}
+
+function renderLeaderboard(ranked) {
+    const tableBody = document.getElementById('leaderboardBody');
+    tableBody.innerHTML = '';
+    const account = userAddress ? userAddress.toLowerCase() : null;
+    
+    ranked.slice(0, LEADERBOARD_SIZE).forEach(entry => {
+        const row = document.createElement('tr');
+        if (entry.address.toLowerCase() === account) {
+            row.className = 'participant-self';
+        }
+        appendCells(row, [
+            entry.rank,
+            `${entry.address.slice(0, 6)}...${entry.address.slice(-4)}`,
+            formatReputation(entry.score),
+            entry.wins,
+            entry.losses,
+            entry.noShows,
+            entry.roundsJoined
+        ]);
+        tableBody.appendChild(row);
+    });
+    document.getElementById('leaderboardEmpty').classList.toggle('hidden', ranked.length > 0);
+    
+    // The user's own rank, also when it is below the part of the board that is shown
+    const userEntry = account ? ranked.find(entry => entry.address.toLowerCase() === account) : null;
+    const rankElement = document.getElementById('leaderboardRank');
+    rankElement.classList.toggle('hidden', !userEntry);
+    rankElement.textContent = userEntry ? `You are ranked #${userEntry.rank} of ${ranked.length}.` : '';
+}
+
+// Score and record of the connected account
+async function refreshUserReputation() {
+    const [record, score] = await Promise.all([
+        contract.reputations(userAddress),
+        contract.getReputationScore(userAddress)
+    ]);
+    const settled = record.wins + record.losses + record.noShows;
+    document.getElementById('userReputation').textContent = settled > 0 ? formatReputation(score) : '-';
+    document.getElementById('userReputationRecord').textContent = settled > 0
+        ? `${record.roundsJoined} rounds joined, ${record.reveals} revealed: ${record.wins} won, ${record.losses} lost, ${record.noShows} not revealed`
+        : 'Your reputation score appears once a round you joined has been settled.';
+}
+
+function describeLedgerStatus(entry) {
+    if (!entry.finalized) return 'In progress';
+    const credited = !unsettledPayouts.some(payout => payout.roundId === entry.roundId);
+    if (entry.cancelled) return credited ? 'Cancelled, stake refunded' : 'Cancelled, refund not credited yet';
+    return credited ? 'Finalized' : 'Finalized, not credited yet';
+}
+
+function renderLedger(ledger) {
+    const tableBody = document.getElementById('ledgerBody');
+    tableBody.innerHTML = '';
+    
+    ledger.rounds.forEach(entry => {
+        const row = document.createElement('tr');
+        appendCells(row, [
+            entry.roundId,
+            formatAmount(entry.stake, currencyOf(entry.stakeToken)),
+            entry.choice ?? 'Not revealed',
+            formatAmount(entry.credited, currencyOf(entry.stakeToken)),
+            describeLedgerStatus(entry)
+        ]);
+        tableBody.appendChild(row);
+    });
+    
+    const claimsList = document.getElementById('ledgerClaims');
+    claimsList.innerHTML = '';
+    ledger.claims.forEach(claim => {
+        const item = document.createElement('li');
+        item.textContent = `${formatAmount(claim.amount, currencyOf(claim.token))} claimed in block ${claim.blockNumber} (${claim.transactionHash.slice(0, 10)}...)`;
+        claimsList.appendChild(item);
+    });
+    
+    document.getElementById('ledgerRoundsJoined').textContent = ledger.rounds.length;
+    document.getElementById('ledgerTotalStaked').textContent = formatTotals(ledger.totals.staked);
+    document.getElementById('ledgerTotalCredited').textContent = formatTotals(ledger.totals.credited);
+    document.getElementById('ledgerTotalClaimed').textContent = formatTotals(ledger.totals.claimed);
+    document.getElementById('exportLedgerCsv').disabled = ledger.rounds.length === 0 && ledger.claims.length === 0;
+    document.getElementById('exportLedgerJson').disabled = ledger.rounds.length === 0 && ledger.claims.length === 0;
+}
+
+// Show a past round in the round information card (null returns to the current round)
+async function viewRound(roundId) {
+    viewedRoundId = roundId;
+    renderedOptionsKey = null;
+    document.getElementById('roundViewBanner').classList.toggle('hidden', roundId === null);
+    document.getElementById('viewedRoundLabel').textContent = roundId || '';
+    await refreshContractStatus();
+}
+
+// Finalization only credits the first participants of a round; find the finalized rounds that still owe
+// the user a payout, so claiming can settle them
+async function refreshUnsettledPayouts() {
+    const candidates = new Set();
+    
+    if (currentLedger) {
+        currentLedger.rounds.filter(entry => entry.finalized).forEach(entry => candidates.add(entry.roundId));
+    }
+    getCommitmentsFor(chainId, userAddress).forEach(entry => candidates.add(entry.roundId));
+    
+    const payouts = await Promise.all([...candidates].map(async (roundId) => {
+        const { amount, settled } = await contract.getPendingPayout(roundId, userAddress);
+        if (settled || amount.eq(0)) return null;
+        const { stakeToken } = await contract.getRoundLimits(roundId);
+        return { roundId, amount, stakeToken };
+    }));
+    
+    unsettledPayouts = payouts.filter(Boolean);
+}
+
+// Collect every round the user committed in that is not finalized yet, from the ledger and the vault
+async function refreshPendingRounds() {
+    if (!userAddress) return;
+    
+    const candidates = new Set();
+    
+    if (currentLedger) {
+        currentLedger.rounds.filter(entry => !entry.finalized).forEach(entry => candidates.add(entry.roundId));
+    }
+    getCommitmentsFor(chainId, userAddress).forEach(entry => candidates.add(entry.roundId));
+    
+    const rounds = await Promise.all([...candidates].map(async (roundId) => {
+        const [, , commitPhaseEnd, revealPhaseEnd, , , isActive, , roundFinalized] = await contract.getRoundInfo(roundId);
+        const [hasCommitted, hasRevealed, , stake] = await contract.getParticipantInfo(roundId, userAddress);
+        
+        if (!isActive || roundFinalized || !hasCommitted) return null;
+        const { stakeToken } = await contract.getRoundLimits(roundId);
+        return {
+            roundId,
+            commitEnd: commitPhaseEnd.toNumber(),
+            revealEnd: revealPhaseEnd.toNumber(),
+            hasRevealed,
+            stake,
+            currency: await loadCurrency(stakeToken)
+        };
+    }));
+    
+    pendingRounds = rounds.filter(Boolean).sort((a, b) => a.revealEnd - b.revealEnd);
+    renderPendingRounds();
+}
+
+// Work out what the user can do in a pending round right now
+function describePendingRound(round, now) {
+    if (now <= round.commitEnd) {
+        return { status: 'Waiting for reveal phase', endTime: round.commitEnd, action: null };
+    }
+    if (now <= round.revealEnd) {
+        return round.hasRevealed
+            ? { status: 'Revealed, awaiting finalization', endTime: round.revealEnd, action: null }
+            : { status: 'Reveal now', endTime: round.revealEnd, action: 'reveal' };
+    }
+    return {
+        status: round.hasRevealed ? 'Ready to finalize' : 'Reveal window missed',
+        endTime: null,
+        action: 'finalize'
+    };
+}
+
+function renderPendingRounds() {
+    const list = document.getElementById('pendingRoundsList');
+    const now = Math.floor(Date.now() / 1000);
+    list.innerHTML = '';
+    
+    pendingRounds.forEach(round => {
+        const { status, endTime, action } = describePendingRound(round, now);
+        const item = document.createElement('li');
+        item.className = 'pending-round';
+        
+        const details = document.createElement('div');
+        details.className = 'pending-round-details';
+        details.innerHTML = `<strong>Round #${round.roundId}</strong>`;
+        
+        const statusElement = document.createElement('span');
+        statusElement.className = `pending-round-status${action === 'reveal' ? ' urgent' : ''}`;
+        statusElement.textContent = `${status} · ${formatAmount(round.stake, round.currency)} staked`;
+        details.appendChild(statusElement);
+        
+        if (endTime) {
+            const countdown = document.createElement('span');
+            countdown.className = 'pending-round-countdown';
+            countdown.dataset.endTime = endTime;
+            countdown.textContent = formatCountdown(endTime - now);
+            details.appendChild(countdown);
+        }
+        item.appendChild(details);
+        
+        const actions = document.createElement('div');
+        actions.className = 'pending-round-actions';
+        if (action === 'reveal') {
+            actions.appendChild(createActionButton('🔓 Reveal', 'btn btn-small btn-success', () => revealPendingRound(round.roundId)));
+        }
+        const entry = getCommitment(chainId, userAddress, round.roundId);
+        if (action !== 'finalize' && !round.hasRevealed && entry?.revealSignature && hasRevealService()) {
+            actions.appendChild(createActionButton('🤖 Relay', 'btn btn-small', () => relayReveal(entry)));
+        }
+        if (action === 'finalize') {
+            actions.appendChild(createActionButton('🏁 Finalize', 'btn btn-small btn-secondary', () => finalizeRound(round.roundId)));
+        }
+        actions.appendChild(createActionButton('View', 'btn btn-small', () => viewRound(round.roundId)));
+        item.appendChild(actions);
+        
+        list.appendChild(item);
+    });
+    
+    document.getElementById('pendingRoundsEmpty').classList.toggle('hidden', pendingRounds.length > 0);
+    
+    // One ticker drives every countdown; re-render when any deadline passes
+    if (pendingRoundsTimer) {
+        clearInterval(pendingRoundsTimer);
+        pendingRoundsTimer = null;
+    }
+    if (list.querySelector('[data-end-time]')) {
+        pendingRoundsTimer = setInterval(tickPendingRounds, 1000);
+    }
+}
+
+function tickPendingRounds() {
+    const now = Math.floor(Date.now() / 1000);
+    let deadlinePassed = false;
+    
+    document.querySelectorAll('#pendingRoundsList [data-end-time]').forEach(element => {
+        const timeLeft = Number(element.dataset.endTime) - now;
+        if (timeLeft < 0) deadlinePassed = true;
+        element.textContent = formatCountdown(timeLeft);
+    });
+    
+    if (deadlinePassed) renderPendingRounds();
+}
+
+// Reveal a pending round with the secrets saved in the vault
+async function revealPendingRound(roundId) {
+    try {
+        if (!await ensureVaultUnlocked()) return;
+        updateVaultUI();
+        
+        const entry = getCommitment(chainId, userAddress, roundId);
+        if (!entry) {
+            // Nothing saved for this round: open it so the secrets can be entered by hand
+            await viewRound(roundId);
+            showNotification(`No saved commitment for round #${roundId}. Enter your choice and nonce manually.`, 'info');
+            return;
+        }
+        
+        await submitReveal(roundId, parseInt(entry.choice), parseNonce(entry.nonce));
+    } catch (error) {
+        reportError('Failed to reveal choice', error);
+    }
+}
+
+// Utility functions
+function currencySymbol() {
+    return (networkConfig ? networkConfig.currency : DEFAULT_CURRENCY).symbol;
+}
+
+// Format an amount of the native currency, or of the stake token a currency from tokens.js describes
+function formatAmount(value, currency = nativeCurrency()) {
+    return `${ethers.utils.formatUnits(value, currency.decimals)} ${currency.symbol}`;
+}
+
+// Per-token totals of the ledger, joined into one line
+function formatTotals(totals) {
+    const entries = Object.entries(totals);
+    if (entries.length === 0) return formatAmount(0);
+    return entries.map(([token, amount]) => formatAmount(amount, currencyOf(token))).join(' · ');
+}
+
+function createActionButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function formatCountdown(timeLeft) {
+    const seconds = Math.max(timeLeft, 0);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function showLoading(message = 'Processing...') {
+    document.getElementById('loadingMessage').textContent = message;
+    document.getElementById('loadingOverlay').classList.remove('hidden');
+}
+
+function hideLoading() {
+    document.getElementById('loadingOverlay').classList.add('hidden');
+}
+
+function showNotification(message, type = 'info', duration = 5000) {
+    // Create notification element
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    notification.innerHTML = `
+        <span></span>
+        <button onclick="this.parentElement.remove()">×</button>
+    `;
+    // Messages may contain revert reasons or other untrusted text
+    notification.querySelector('span').textContent = message;
+    
+    // Add to page
+    document.body.appendChild(notification);
+    
+    // Auto remove after the given duration
+    setTimeout(() => {
+        if (notification.parentElement) {
+            notification.remove();
+        }
+    }, duration);
+}
+
+// Log an error and show what went wrong, with guidance for contract reverts, without a blocking alert
+function reportError(action, error) {
+    console.error(`${action}:`, error);
+    showNotification(`${action}: ${decodeTransactionError(error).message}`, 'error', 10000);
 }
 
 // Handle account changes
@@ -591,9 +2389,11 @@ if (window.ethereum) {
         }
     });
     
-    window.ethereum.on('chainChanged', (chainId) => {
+    window.ethereum.on('chainChanged', () => {
         // User switched networks
-        location.reload();
+        if (userAddress) {
+            handleChainChanged();
+        }
     });
 }
 
@@ -629,6 +2429,10 @@ const notificationStyles = `
     background: linear-gradient(135deg, #3498db, #2980b9);
 }
 
+.notification-warning {
+    background: linear-gradient(135deg, #f39c12, #e67e22);
+}
+
 .notification button {
     background: none;
     border: none;
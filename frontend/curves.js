@@ -0,0 +1,60 @@
+// curves.js - Progressive reward curves
+//
+// Winners of a coordinated round share the revealed stakes plus part of the coordination reward the round
+// reserved. The round's reward curve sets that part from how far agreement went past the consensus
+// threshold: all of it as soon as the threshold is met (step), growing linearly from nothing at the
+// threshold to all of it at 100% (linear), or with the square of that progress (quadratic). Whatever the
+// curve withholds returns to the reward pool. curveReward mirrors the contract's _curveReward, so previews
+// match what finalization pays.
+
+// Reward curves, indexed by the contract's RewardCurve enum
+const REWARD_CURVES = ['Step', 'Linear', 'Quadratic'];
+const STEP_CURVE = 0;
+const LINEAR_CURVE = 1;
+
+// Agreement levels previewed between the threshold and 100%
+const CURVE_PREVIEW_STEPS = 5;
+
+// Part of the reward a coordinated round pays at a whole-number agreement percentage
+function curveReward(reward, threshold, percentage, curve) {
+    reward = ethers.BigNumber.from(reward);
+    if (percentage < threshold) return ethers.constants.Zero;
+
+    const span = 100 - threshold;
+    if (curve === STEP_CURVE || span === 0) return reward;
+    const progress = percentage - threshold;
+    if (curve === LINEAR_CURVE) return reward.mul(progress).div(span);
+    return reward.mul(progress * progress).div(span * span);
+}
+
+// The threshold, evenly spaced levels above it and unanimity
+function previewLevels(threshold) {
+    const levels = new Set([threshold, 100]);
+    for (let step = 1; step < CURVE_PREVIEW_STEPS; step++) {
+        levels.add(Math.round(threshold + (100 - threshold) * step / CURVE_PREVIEW_STEPS));
+    }
+    return [...levels].sort((a, b) => a - b);
+}
+
+function describeRewardShare(part, reward) {
+    if (reward.isZero()) return '-';
+    return `${part.mul(1000).div(reward).toNumber() / 10}%`;
+}
+
+// Fill a preview table with what winners would share of the reward at each agreement level
+function renderCurvePreview(tableBody, { reward, threshold, curve, currency }) {
+    reward = ethers.BigNumber.from(reward);
+    tableBody.innerHTML = '';
+
+    const rows = [[`Below ${threshold}%`, 'Not coordinated', 'Revealed stakes are refunded']];
+    previewLevels(threshold).forEach(level => {
+        const part = curveReward(reward, threshold, level, curve);
+        rows.push([`${level}%`, formatAmount(part, currency), `${describeRewardShare(part, reward)} of the reward`]);
+    });
+
+    rows.forEach(cells => {
+        const row = document.createElement('tr');
+        appendCells(row, cells);
+        tableBody.appendChild(row);
+    });
+}
@@ -0,0 +1,4 @@
+// deployments.js - Generated by `npx hardhat deploy`. Do not edit by hand.
+// Contract address, deployment block and ABI of The Consensus Paradox, keyed by chainId.
+
+const DEPLOYMENTS = {};
@@ -0,0 +1,287 @@
+// history.js - Round history and personal participation ledger rebuilt from contract events
+//
+// Logs are fetched with contract.queryFilter in fixed block-range chunks (public RPCs cap the
+// range of eth_getLogs) and cached in localStorage per chain and contract, so later syncs only
+// fetch blocks that have not been seen yet.
+
+const HISTORY_EVENTS = [
+    'RoundStarted',
+    'ParticipantJoined',
+    'ChoiceRevealed',
+    'RoundFinalized',
+    'RoundCancelled',
+    'RewardCredited',
+    'RewardClaimed',
+    'TokenRewardClaimed'
+];
+const HISTORY_CHUNK_SIZE = 5000;
+const HISTORY_CACHE_PREFIX = 'consensusParadox.history';
+// Bumped when HISTORY_EVENTS changes, so older caches are refetched with the new events
+const HISTORY_CACHE_VERSION = 3;
+
+let historyEvents = [];
+let historySyncing = false;
+
+function historyCacheKey() {
+    return `${HISTORY_CACHE_PREFIX}.${chainId}.${contract.address.toLowerCase()}`;
+}
+
+function loadHistoryCache() {
+    const raw = localStorage.getItem(historyCacheKey());
+    const cache = raw ? JSON.parse(raw) : null;
+
+    if (!cache || cache.version !== HISTORY_CACHE_VERSION) {
+        return { version: HISTORY_CACHE_VERSION, lastBlock: deployment.deploymentBlock - 1, events: [] };
+    }
+    return cache;
+}
+
+function saveHistoryCache(cache) {
+    localStorage.setItem(historyCacheKey(), JSON.stringify(cache));
+}
+
+// Flatten an ethers event into plain JSON (BigNumbers become decimal strings)
+function serializeEvent(event) {
+    const args = {};
+    event.eventFragment.inputs.forEach((input, index) => {
+        const value = event.args[index];
+        args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+
+    return {
+        name: event.event,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash,
+        args
+    };
+}
+
+// Fetch all history events since the last sync, chunked by block range
+async function syncHistory(onProgress) {
+    const cache = loadHistoryCache();
+    const latestBlock = await contract.provider.getBlockNumber();
+    const filter = {
+        address: contract.address,
+        topics: [HISTORY_EVENTS.map(name => contract.interface.getEventTopic(name))]
+    };
+
+    for (let fromBlock = cache.lastBlock + 1; fromBlock <= latestBlock; fromBlock += HISTORY_CHUNK_SIZE) {
+        const toBlock = Math.min(fromBlock + HISTORY_CHUNK_SIZE - 1, latestBlock);
+        const events = await contract.queryFilter(filter, fromBlock, toBlock);
+
+        events.forEach(event => cache.events.push(serializeEvent(event)));
+        cache.lastBlock = toBlock;
+
+        // Persist every chunk so an interrupted sync resumes where it stopped
+        saveHistoryCache(cache);
+        if (onProgress) onProgress(toBlock, latestBlock);
+    }
+
+    historyEvents = cache.events;
+    return historyEvents;
+}
+
+// Summarize every round from its events
+function buildRoundHistory(events) {
+    const rounds = new Map();
+    const getRound = (roundId) => {
+        if (!rounds.has(roundId)) {
+            rounds.set(roundId, {
+                roundId,
+                startTime: null,
+                threshold: null,
+                stakeToken: ethers.constants.AddressZero,
+                participants: 0,
+                reveals: 0,
+                totalStake: ethers.constants.Zero,
+                finalized: false,
+                cancelled: false,
+                result: null,
+                totalReward: ethers.constants.Zero
+            });
+        }
+        return rounds.get(roundId);
+    };
+
+    events.forEach(({ name, args }) => {
+        switch (name) {
+            case 'RoundStarted': {
+                const round = getRound(args.roundId);
+                round.startTime = Number(args.startTime);
+                round.threshold = Number(args.threshold);
+                round.stakeToken = args.stakeToken;
+                break;
+            }
+            case 'ParticipantJoined': {
+                const round = getRound(args.roundId);
+                round.participants++;
+                round.totalStake = round.totalStake.add(args.stake);
+                break;
+            }
+            case 'ChoiceRevealed':
+                getRound(args.roundId).reveals++;
+                break;
+            case 'RoundFinalized': {
+                const round = getRound(args.roundId);
+                round.finalized = true;
+                round.result = Number(args.result);
+                round.totalReward = ethers.BigNumber.from(args.totalReward);
+                break;
+            }
+            case 'RoundCancelled': {
+                const round = getRound(args.roundId);
+                round.finalized = true;
+                round.cancelled = true;
+                break;
+            }
+        }
+    });
+
+    return [...rounds.values()].sort((a, b) => Number(b.roundId) - Number(a.roundId));
+}
+
+// Build the participation ledger of one address; amounts are in the stake token of their round
+function buildLedger(events, address) {
+    const account = address.toLowerCase();
+    const finalizedRounds = new Set();
+    const cancelledRounds = new Set();
+    const roundTokens = new Map();
+    const entries = new Map();
+    const claims = [];
+
+    events.forEach(({ name, args, blockNumber, transactionHash }) => {
+        if (name === 'RoundStarted') {
+            roundTokens.set(args.roundId, args.stakeToken);
+            return;
+        }
+        if (name === 'RoundFinalized') {
+            finalizedRounds.add(args.roundId);
+            return;
+        }
+        // A cancelled round is closed like a finalized one, with every stake refunded
+        if (name === 'RoundCancelled') {
+            finalizedRounds.add(args.roundId);
+            cancelledRounds.add(args.roundId);
+            return;
+        }
+        if (args.participant.toLowerCase() !== account) return;
+
+        if (name === 'RewardClaimed' || name === 'TokenRewardClaimed') {
+            claims.push({
+                token: args.token || ethers.constants.AddressZero,
+                amount: ethers.BigNumber.from(args.amount),
+                blockNumber,
+                transactionHash
+            });
+            return;
+        }
+
+        if (!entries.has(args.roundId)) {
+            entries.set(args.roundId, {
+                roundId: args.roundId,
+                stakeToken: roundTokens.get(args.roundId) || ethers.constants.AddressZero,
+                stake: ethers.constants.Zero,
+                choice: null,
+                credited: ethers.constants.Zero,
+                blockNumber,
+                transactionHash
+            });
+        }
+        const entry = entries.get(args.roundId);
+
+        if (name === 'ParticipantJoined') {
+            entry.stake = ethers.BigNumber.from(args.stake);
+        } else if (name === 'ChoiceRevealed') {
+            entry.choice = args.choice;
+        } else if (name === 'RewardCredited') {
+            entry.credited = entry.credited.add(args.amount);
+        }
+    });
+
+    const rounds = [...entries.values()]
+        .map(entry => ({
+            ...entry,
+            finalized: finalizedRounds.has(entry.roundId),
+            cancelled: cancelledRounds.has(entry.roundId)
+        }))
+        .sort((a, b) => Number(b.roundId) - Number(a.roundId));
+    // Totals keyed by token, since amounts of different tokens cannot be added up
+    const sum = (items, key, tokenKey) => items.reduce((totals, item) => {
+        const token = item[tokenKey].toLowerCase();
+        totals[token] = (totals[token] || ethers.constants.Zero).add(item[key]);
+        return totals;
+    }, {});
+
+    return {
+        address,
+        rounds,
+        claims,
+        totals: {
+            staked: sum(rounds, 'stake', 'stakeToken'),
+            credited: sum(rounds, 'credited', 'stakeToken'),
+            claimed: sum(claims, 'amount', 'token')
+        }
+    };
+}
+
+// Export a ledger as CSV or JSON
+function exportLedger(ledger, format) {
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `consensus-paradox-ledger-${ledger.address.slice(0, 8)}-${date}.${format}`;
+
+    if (format === 'json') {
+        const data = {
+            address: ledger.address,
+            chainId,
+            contract: contract.address,
+            rounds: ledger.rounds.map(entry => ({
+                roundId: entry.roundId,
+                currency: currencyOf(entry.stakeToken).symbol,
+                stakeToken: entry.stakeToken,
+                stake: ethers.utils.formatUnits(entry.stake, currencyOf(entry.stakeToken).decimals),
+                choice: entry.choice,
+                rewardCredited: ethers.utils.formatUnits(entry.credited, currencyOf(entry.stakeToken).decimals),
+                finalized: entry.finalized,
+                cancelled: entry.cancelled,
+                blockNumber: entry.blockNumber,
+                transactionHash: entry.transactionHash
+            })),
+            claims: ledger.claims.map(claim => ({
+                currency: currencyOf(claim.token).symbol,
+                stakeToken: claim.token,
+                amount: ethers.utils.formatUnits(claim.amount, currencyOf(claim.token).decimals),
+                blockNumber: claim.blockNumber,
+                transactionHash: claim.transactionHash
+            }))
+        };
+        downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+        return;
+    }
+
+    const rows = [['type', 'roundId', 'currency', 'stake', 'choice', 'rewardCredited', 'claimed', 'blockNumber', 'transactionHash']];
+    ledger.rounds.forEach(entry => rows.push([
+        'round',
+        entry.roundId,
+        currencyOf(entry.stakeToken).symbol,
+        ethers.utils.formatUnits(entry.stake, currencyOf(entry.stakeToken).decimals),
+        entry.choice ?? '',
+        ethers.utils.formatUnits(entry.credited, currencyOf(entry.stakeToken).decimals),
+        '',
+        entry.blockNumber,
+        entry.transactionHash
+    ]));
+    ledger.claims.forEach(claim => rows.push([
+        'claim',
+        '',
+        currencyOf(claim.token).symbol,
+        '',
+        '',
+        '',
+        ethers.utils.formatUnits(claim.amount, currencyOf(claim.token).decimals),
+        claim.blockNumber,
+        claim.transactionHash
+    ]));
+
+    downloadFile(filename, rows.map(row => row.join(',')).join('\n'), 'text/csv');
+}
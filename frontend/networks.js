@@ -0,0 +1,85 @@
+// networks.js - Networks the dApp can run on, keyed by chainId
+//
+// Contract addresses live in deployments.js (generated by `npx hardhat deploy`); this registry holds
+// what the wallet needs to switch to or add a network, plus its explorer and native currency.
+// relayerUrl and keeperUrl point at a reveal relayer (scripts/relayer.js) or keeper (scripts/keeper.js)
+// that can reveal on participants' behalf; the keeper is preferred when both are set.
+
+const NETWORKS = {
+    1114: {
+        name: 'Core Testnet',
+        rpcUrls: ['https://rpc.test2.btcs.network'],
+        explorerUrl: 'https://scan.test2.btcs.network',
+        currency: { name: 'tCORE2', symbol: 'tCORE2', decimals: 18 },
+        relayerUrl: null,
+        keeperUrl: null
+    },
+    31337: {
+        name: 'Hardhat Local',
+        rpcUrls: ['http://127.0.0.1:8545'],
+        explorerUrl: null,
+        currency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        relayerUrl: 'http://127.0.0.1:8787',
+        keeperUrl: 'http://127.0.0.1:8788'
+    }
+};
+
+// Chain shown read-only to visitors without a connected wallet
+const READ_ONLY_CHAIN_ID = 1114;
+
+// Fallback for a chain that has a deployment but no registry entry
+const DEFAULT_CURRENCY = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+function getNetworkConfig(chainId) {
+    return NETWORKS[chainId] || null;
+}
+
+// A network is usable when the contract has been deployed to it
+function isSupportedNetwork(chainId) {
+    return Boolean(DEPLOYMENTS[chainId]);
+}
+
+// Pick the chain to spectate: the configured one if deployed, else any deployed chain with an RPC URL
+function getReadOnlyChainId() {
+    const candidates = [READ_ONLY_CHAIN_ID, ...Object.keys(NETWORKS).map(Number)];
+    return candidates.find(id => isSupportedNetwork(id) && getNetworkConfig(id)?.rpcUrls.length) || null;
+}
+
+function explorerAddressUrl(chainId, address) {
+    const network = getNetworkConfig(chainId);
+    return network && network.explorerUrl ? `${network.explorerUrl}/address/${address}` : null;
+}
+
+function explorerTxUrl(chainId, hash) {
+    const network = getNetworkConfig(chainId);
+    return network && network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null;
+}
+
+// Ask the wallet to switch to a registry network, adding it first if the wallet does not know it
+async function switchToNetwork(chainId) {
+    const network = getNetworkConfig(chainId);
+    const hexChainId = ethers.utils.hexValue(Number(chainId));
+
+    try {
+        await window.ethereum.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: hexChainId }]
+        });
+    } catch (error) {
+        // 4902: the wallet has no such chain yet
+        if (error.code !== 4902 && error.data?.originalError?.code !== 4902) {
+            throw error;
+        }
+
+        await window.ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId: hexChainId,
+                chainName: network.name,
+                rpcUrls: network.rpcUrls,
+                nativeCurrency: network.currency,
+                blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+            }]
+        });
+    }
+}
@@ -0,0 +1,128 @@
+// relayer.js - Signed reveal authorizations for relayed reveals
+//
+// When committing, a participant can sign an EIP-712 RevealAuthorization (roundId, choice, nonce).
+// Any relayer, such as scripts/relayer.js, can then submit it with revealWithSignature during the
+// reveal phase, so the reveal happens even if the participant is offline. A keeper (scripts/keeper.js)
+// also finalizes rounds and takes the authorization encrypted to its public key instead of in the clear.
+
+const REVEAL_AUTHORIZATION_TYPES = {
+    RevealAuthorization: [
+        { name: 'roundId', type: 'uint256' },
+        { name: 'choice', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' }
+    ]
+};
+
+// Must match the EIP712 name and version passed to the contract constructor
+const REVEAL_AUTHORIZATION_DOMAIN_NAME = 'The Consensus Paradox';
+const REVEAL_AUTHORIZATION_DOMAIN_VERSION = '1';
+
+// Must match PAYLOAD_FORMAT_VERSION in scripts/keeper.js
+const KEEPER_PAYLOAD_VERSION = 1;
+
+function getRelayerUrl() {
+    return networkConfig && networkConfig.relayerUrl ? networkConfig.relayerUrl : null;
+}
+
+function getKeeperUrl() {
+    return networkConfig && networkConfig.keeperUrl ? networkConfig.keeperUrl : null;
+}
+
+// Whether anyone can reveal on the user's behalf on this network
+function hasRevealService() {
+    return Boolean(getKeeperUrl() || getRelayerUrl());
+}
+
+// Ask the wallet to sign a reveal authorization for the connected contract
+async function signRevealAuthorization(roundId, choice, nonce) {
+    const domain = {
+        name: REVEAL_AUTHORIZATION_DOMAIN_NAME,
+        version: REVEAL_AUTHORIZATION_DOMAIN_VERSION,
+        chainId,
+        verifyingContract: contract.address
+    };
+    return signer._signTypedData(domain, REVEAL_AUTHORIZATION_TYPES, { roundId, choice, nonce });
+}
+
+// Encrypt a reveal payload to the keeper: ECDH on secp256k1 with a one-time key, then AES-256-GCM
+// bound to the round and participant so the ciphertext cannot be filed under another commitment
+async function encryptRevealPayload(keeperPublicKey, roundId, participant, payload) {
+    const ephemeral = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+    const sharedSecret = ephemeral.computeSharedSecret(keeperPublicKey);
+    const key = await crypto.subtle.importKey(
+        'raw',
+        ethers.utils.arrayify(ethers.utils.sha256(sharedSecret)),
+        'AES-GCM',
+        false,
+        ['encrypt']
+    );
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        {
+            name: 'AES-GCM',
+            iv,
+            additionalData: ethers.utils.toUtf8Bytes(`${roundId}:${participant.toLowerCase()}`)
+        },
+        key,
+        ethers.utils.toUtf8Bytes(JSON.stringify(payload))
+    );
+
+    return {
+        version: KEEPER_PAYLOAD_VERSION,
+        ephemeralPublicKey: ephemeral.publicKey,
+        iv: ethers.utils.hexlify(iv),
+        ciphertext: ethers.utils.hexlify(new Uint8Array(ciphertext))
+    };
+}
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || `${url} responded with ${response.status}`);
+    }
+    return result;
+}
+
+// Register an encrypted reveal payload with the network's keeper
+async function registerWithKeeper({ roundId, account, choice, nonce, signature }) {
+    const keeperUrl = getKeeperUrl();
+    if (!keeperUrl) {
+        throw new Error('No keeper is configured for this network');
+    }
+
+    const response = await fetch(`${keeperUrl}/public-key`);
+    if (!response.ok) {
+        throw new Error(`Keeper responded with ${response.status}`);
+    }
+    const { publicKey } = await response.json();
+
+    const roundIdText = roundId.toString();
+    const payload = await encryptRevealPayload(publicKey, roundIdText, account, {
+        choice: choice.toString(),
+        nonce: nonce.toString(),
+        signature
+    });
+    return postJson(`${keeperUrl}/payloads`, { roundId: roundIdText, participant: account, payload });
+}
+
+// Hand a signed authorization to the network's relayer
+async function submitToRelayer({ roundId, account, choice, nonce, signature }) {
+    const relayerUrl = getRelayerUrl();
+    if (!relayerUrl) {
+        throw new Error('No relayer is configured for this network');
+    }
+
+    return postJson(`${relayerUrl}/authorizations`, {
+        roundId: roundId.toString(),
+        participant: account,
+        choice: choice.toString(),
+        nonce: nonce.toString(),
+        signature
+    });
+}
@@ -0,0 +1,54 @@
+// reputation.js - Reputation scores and the leaderboard
+//
+// The contract keeps a coordination record per address (rounds joined, reveals, wins, losses, no-shows),
+// adds each round to it when the participant's payout is settled, and scores it as a success rate in basis
+// points in which every older round weighs 90% of the next. The leaderboard ranks every address seen
+// joining a round in the synced history.
+
+const REPUTATION_SCALE = 10000;
+const LEADERBOARD_SIZE = 50;
+// Addresses read per getReputations call
+const REPUTATION_BATCH_SIZE = 100;
+
+function formatReputation(score) {
+    return `${(Number(score) * 100 / REPUTATION_SCALE).toFixed(1)}%`;
+}
+
+// Convert a percentage typed by the admin to the basis points the contract stores
+function reputationFromPercent(percent) {
+    return Math.round(percent * REPUTATION_SCALE / 100);
+}
+
+function settledRounds(entry) {
+    return entry.wins + entry.losses + entry.noShows;
+}
+
+// Every address that joined a round, from synced history events
+function collectParticipants(events) {
+    const addresses = new Set();
+    events.forEach(({ name, args }) => {
+        if (name === 'ParticipantJoined') addresses.add(ethers.utils.getAddress(args.participant));
+    });
+    return [...addresses];
+}
+
+async function loadReputations(addresses) {
+    const entries = [];
+    for (let start = 0; start < addresses.length; start += REPUTATION_BATCH_SIZE) {
+        const batch = addresses.slice(start, start + REPUTATION_BATCH_SIZE);
+        const [records, scores] = await contract.getReputations(batch);
+        batch.forEach((address, index) => {
+            const { roundsJoined, reveals, wins, losses, noShows } = records[index];
+            entries.push({ address, score: scores[index].toNumber(), roundsJoined, reveals, wins, losses, noShows });
+        });
+    }
+    return entries;
+}
+
+// Highest score first, then more wins, then more settled rounds; addresses without a settled round are left out
+function rankLeaderboard(entries) {
+    return entries
+        .filter(entry => settledRounds(entry) > 0)
+        .sort((a, b) => b.score - a.score || b.wins - a.wins || settledRounds(b) - settledRounds(a))
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
@@ -0,0 +1,54 @@
+// schedule.js - Round templates and the recurring round schedule
+//
+// Templates are numbered from 1 to templateCount. The contract keeps one schedule that starts a round
+// from a template every `interval` seconds: once the next start time has passed and the previous
+// scheduled round is finalized, anyone can start it with startScheduledRound.
+
+async function loadRoundTemplates() {
+    const templateCount = (await contract.templateCount()).toNumber();
+    const templateIds = Array.from({ length: templateCount }, (_, index) => index + 1);
+
+    return Promise.all(templateIds.map(async (templateId) => {
+        const { name, params, optionLabels, minStake_, coordinationReward_ } = await contract.getRoundTemplate(templateId);
+        return { templateId, name, params, optionLabels, minStake: minStake_, coordinationReward: coordinationReward_ };
+    }));
+}
+
+// The active schedule, or null when none is set
+async function loadRoundSchedule() {
+    const schedule = await contract.roundSchedule();
+    if (schedule.templateId.eq(0)) return null;
+
+    const lastRoundId = schedule.lastRoundId.toNumber();
+    const previousFinalized = lastRoundId === 0 || (await contract.getRoundInfo(lastRoundId)).roundFinalized;
+    return {
+        templateId: schedule.templateId.toNumber(),
+        nextStartTime: schedule.nextStartTime.toNumber(),
+        interval: schedule.interval.toNumber(),
+        lastRoundId,
+        previousFinalized
+    };
+}
+
+// Whether the next scheduled round can be started now, and if not, what it is waiting for
+function describeScheduleStatus(schedule, now) {
+    if (!schedule.previousFinalized) {
+        return { due: false, status: `Waiting for round #${schedule.lastRoundId} to be finalized` };
+    }
+    if (now < schedule.nextStartTime) {
+        return { due: false, status: 'Waiting for the start time' };
+    }
+    return { due: true, status: 'Due, anyone can start it' };
+}
+
+function formatInterval(seconds) {
+    if (seconds % 86400 === 0) return `${seconds / 86400} day(s)`;
+    if (seconds % 3600 === 0) return `${seconds / 3600} hour(s)`;
+    if (seconds % 60 === 0) return `${seconds / 60} minute(s)`;
+    return `${seconds} second(s)`;
+}
+
+// Short summary of a template's phases for tables and dropdowns
+function describeTemplatePhases(params) {
+    return `${formatInterval(params.commitPhaseDuration.toNumber())} + ${formatInterval(params.revealPhaseDuration.toNumber())}`;
+}
@@ -0,0 +1,79 @@
+// tokens.js - ERC-20 stake tokens
+//
+// A round is staked in the network's native currency unless it names an ERC-20 stake token. Token stakes are
+// pulled with transferFrom, so committing approves the stake first, and rewards are credited and claimed per
+// token. Every amount is formatted with the symbol and decimals of the currency it is in.
+
+const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Symbol and decimals of every token seen this session, keyed by lowercase address
+const tokenCurrencies = new Map();
+
+function isNativeToken(token) {
+    return !token || token === ethers.constants.AddressZero;
+}
+
+function sameToken(a, b) {
+    return (a || ethers.constants.AddressZero).toLowerCase() === (b || ethers.constants.AddressZero).toLowerCase();
+}
+
+function nativeCurrency() {
+    const { symbol, decimals } = networkConfig ? networkConfig.currency : DEFAULT_CURRENCY;
+    return { address: ethers.constants.AddressZero, symbol, decimals };
+}
+
+// The currency of a token already loaded with loadCurrencies; unknown tokens show their address in wei-like units
+function currencyOf(token) {
+    if (isNativeToken(token)) return nativeCurrency();
+    return tokenCurrencies.get(token.toLowerCase())
+        || { address: token, symbol: `${token.slice(0, 6)}...${token.slice(-4)}`, decimals: 18 };
+}
+
+async function loadCurrency(token) {
+    if (isNativeToken(token)) return nativeCurrency();
+
+    const key = token.toLowerCase();
+    if (!tokenCurrencies.has(key)) {
+        const erc20 = new ethers.Contract(token, ERC20_ABI, contract.provider);
+        const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+        tokenCurrencies.set(key, { address: ethers.utils.getAddress(token), symbol, decimals });
+    }
+    return tokenCurrencies.get(key);
+}
+
+async function loadCurrencies(tokens) {
+    await Promise.all([...tokens].map(loadCurrency));
+}
+
+// Every ERC-20 token a round in the synced history is staked in
+function collectStakeTokens(events) {
+    const tokens = new Set();
+    events.forEach(({ name, args }) => {
+        if (name === 'RoundStarted' && !isNativeToken(args.stakeToken)) tokens.add(args.stakeToken.toLowerCase());
+    });
+    return [...tokens];
+}
+
+// Let the contract pull an amount of a token from the user, unless it already may
+async function approveToken(currency, amount) {
+    const token = new ethers.Contract(currency.address, ERC20_ABI, signer);
+    const allowance = await token.allowance(userAddress, contract.address);
+    if (allowance.gte(amount)) return;
+
+    await sendTransaction({
+        label: `Approve ${formatAmount(amount, currency)}`,
+        method: 'approve',
+        args: [contract.address, amount],
+        target: token
+    });
+}
+
+// Parse an amount typed by the user in a currency's own decimals
+function parseAmount(value, currency) {
+    return ethers.utils.parseUnits(value, currency.decimals);
+}
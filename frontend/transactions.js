@@ -0,0 +1,263 @@
+// transactions.js - Central transaction manager
+//
+// Every state-changing call goes through sendTransaction: a callStatic pre-flight and a gas estimate
+// catch reverts before the wallet prompt, revert reasons are mapped to actionable guidance, and each
+// transaction is tracked (pending, mined, failed, replaced, cancelled) in a non-blocking panel.
+
+const GAS_LIMIT_BUFFER_PERCENT = 20;
+const TX_TRACKER_DISMISS_DELAY = 15000;
+
+// Guidance for every revert reason of the contract
+const REVERT_GUIDANCE = {
+    'Only owner can call this function': 'Only the contract owner can do this. Switch to the owner account.',
+    'Only owner or operator can call this function': 'Only the contract owner or an operator can start rounds. Ask the owner to add this account as an operator.',
+    'Only pending owner can accept': 'Only the address the owner nominated can accept ownership. Switch to that account.',
+    'Contract is paused': 'The owner has paused joins, reveals, finalization and scheduled rounds. Claims still work; try again once the contract is unpaused.',
+    'Contract is not paused': 'The contract is not paused. Refresh to see its current state.',
+    'Invalid operator': 'Enter the address of the account that should start rounds.',
+    'Round does not exist or inactive': 'This round does not exist or has already been finalized or cancelled. Refresh to see the current round.',
+    'Commit phase has ended': 'The commit phase of this round is over, so it can no longer be joined. Wait for the next round.',
+    'Not in reveal phase': 'Reveals are only accepted after the commit phase ends and before the reveal deadline. Check the phase timer.',
+    'Reveal phase not ended': 'A round can only be finalized once its reveal deadline has passed.',
+    'Insufficient stake': 'Your stake is below the minimum stake of this round, shown in the round information. Fee-on-transfer tokens count only what arrives.',
+    'Round is staked in a token': 'This round is staked in an ERC-20 token. Refresh so the page approves and stakes the token.',
+    'Round is staked in the native currency': 'This round is staked in the native currency. Refresh so the page sends the stake with the transaction.',
+    'Stake token not accepted': 'The owner has not accepted this token for staking. Accept it with a minimum stake first, or leave the stake token empty.',
+    'Invalid stake token': 'Enter the address of an ERC-20 token; the native currency needs no configuration.',
+    'ERC20: insufficient allowance': 'The contract may not pull that many tokens yet. Approve the amount and try again.',
+    'ERC20: transfer amount exceeds balance': 'Your token balance is lower than the amount.',
+    'Round is full': 'This round has reached its participant cap. Wait for the next round.',
+    'Not on allowlist': 'This round is limited to the addresses on its allowlist, and no valid proof was found for this account.',
+    'Reputation too low': 'This round requires a minimum reputation score. Build your score by coordinating in open rounds.',
+    'Invalid commitment hash': 'The commitment is empty. Select a choice and generate a nonce again.',
+    'Already committed': 'This account has already joined the round.',
+    'Invalid choice': 'That choice is not one of the options of this round.',
+    'Must commit first': 'This account has not joined the round, so there is nothing to reveal or claim. Check that the right account is connected.',
+    'Already revealed': 'You have already revealed your choice in this round.',
+    'Invalid proof - commitment mismatch': 'The choice and nonce do not match your commitment. Use the exact values saved in your commitment vault.',
+    'Invalid signature': 'The reveal authorization was not signed by this participant for this round, choice and nonce.',
+    'Round already finalized': 'This round has already been finalized.',
+    'No rewards to claim': 'There is nothing to claim yet. Rewards become claimable when a round you joined is finalized.',
+    'Round not finalized': 'Payouts of this round can only be settled or claimed once it has been finalized.',
+    'Round already settled': 'Every participant of this round has already been credited.',
+    'No rewards deposited': 'Enter an amount greater than zero to deposit.',
+    'Insufficient reward pool': 'The reward pool cannot back the coordination reward. Deposit more funds or lower the reward first.',
+    'Invalid option count': 'A round needs between 2 and 10 options.',
+    'Invalid option labels': 'Enter one label per option, or leave the labels empty.',
+    'Invalid threshold': 'The threshold must beat an even split across the options and be at most 100%.',
+    'Invalid durations': 'Both the commit and the reveal duration must be greater than zero.',
+    'Invalid slash percentage': 'The slash percentage must be between 0 and 100.',
+    'Refund policy cannot slash': 'Set the slash percentage to 0 when non-revealers are refunded.',
+    'Invalid minimum reputation': 'The minimum reputation must be between 0 and 100%.',
+    'Invalid treasury': 'Enter a non-zero treasury address.',
+    'No unreserved funds': 'All funds are reserved for open rounds or owed to participants, so there is nothing to withdraw.',
+    'Template does not exist': 'There is no template with that id. Refresh the template list.',
+    'Invalid template name': 'Enter a name for the template.',
+    'Invalid interval': 'The schedule interval must be greater than zero.',
+    'No round scheduled': 'There is no recurring schedule right now.',
+    'Scheduled start not reached': 'The next scheduled round cannot be started before its start time.',
+    'Previous scheduled round not finalized': 'The previous scheduled round has to be finalized before the next one can start.'
+};
+
+const TX_STATUS_LABELS = {
+    simulating: 'Checking...',
+    signing: 'Confirm in wallet',
+    pending: 'Pending',
+    mined: 'Confirmed',
+    repriced: 'Confirmed (sped up)',
+    replaced: 'Replaced',
+    cancelled: 'Cancelled',
+    failed: 'Failed'
+};
+
+// Error carrying the decoded revert reason and the guidance shown to the user
+class TransactionError extends Error {
+    constructor(message, reason = null) {
+        super(message);
+        this.name = 'TransactionError';
+        this.reason = reason;
+    }
+}
+
+// Decode an Error(string) revert payload
+function decodeRevertData(data) {
+    if (typeof data !== 'string' || !data.startsWith('0x08c379a0')) return null;
+    try {
+        return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+    } catch (error) {
+        return null;
+    }
+}
+
+// Dig the revert reason out of the nested errors ethers and wallets produce
+function extractRevertReason(error) {
+    const messages = [];
+    const datas = [];
+    let current = error;
+    for (let depth = 0; current && depth < 5; depth++) {
+        if (current.reason) messages.push(current.reason);
+        if (current.message) messages.push(current.message);
+        if (typeof current.data === 'string') datas.push(current.data);
+        if (current.data?.message) messages.push(current.data.message);
+        if (current.data?.data) datas.push(current.data.data);
+        current = current.error || current.data?.originalError;
+    }
+
+    for (const data of datas) {
+        const reason = decodeRevertData(data);
+        if (reason) return reason;
+    }
+
+    const text = messages.join('\n');
+    const known = Object.keys(REVERT_GUIDANCE).find(reason => text.includes(reason));
+    if (known) return known;
+
+    const match = text.match(/reverted with reason string '([^']+)'/) || text.match(/execution reverted: ([^"\n]+)/);
+    return match ? match[1].trim() : null;
+}
+
+// Turn any provider, wallet or contract error into a TransactionError with a readable message
+function decodeTransactionError(error) {
+    if (error instanceof TransactionError) return error;
+
+    if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        return new TransactionError('You rejected the transaction in your wallet.');
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+        return new TransactionError('Your balance cannot cover the amount plus gas.');
+    }
+
+    const reason = extractRevertReason(error);
+    if (reason) {
+        return new TransactionError(REVERT_GUIDANCE[reason] || `The contract rejected the transaction: ${reason}`, reason);
+    }
+    if (error.code === 'CALL_EXCEPTION') {
+        return new TransactionError('The transaction reverted on-chain without a reason.');
+    }
+    if (error.code === 'NETWORK_ERROR' || error.code === 'SERVER_ERROR' || error.code === 'TIMEOUT') {
+        return new TransactionError('The network request failed. Check your connection and try again.');
+    }
+
+    return new TransactionError(error.message || String(error));
+}
+
+// Add an entry to the transaction tracker panel
+function trackTransaction(label) {
+    const element = document.createElement('li');
+    element.className = 'tx-entry';
+    element.innerHTML = `
+        <div class="tx-entry-header">
+            <span class="tx-label"></span>
+            <span class="tx-status"></span>
+        </div>
+        <div class="tx-detail"></div>
+    `;
+    element.querySelector('.tx-label').textContent = label;
+    document.getElementById('txTracker').prepend(element);
+
+    const entry = { element, hash: null };
+    updateTrackedTransaction(entry, 'simulating');
+    return entry;
+}
+
+function updateTrackedTransaction(entry, status, { hash, detail } = {}) {
+    if (hash) entry.hash = hash;
+
+    const statusElement = entry.element.querySelector('.tx-status');
+    statusElement.textContent = TX_STATUS_LABELS[status];
+    entry.element.className = `tx-entry tx-${status}`;
+
+    const detailElement = entry.element.querySelector('.tx-detail');
+    detailElement.textContent = detail || '';
+    if (entry.hash) {
+        const url = explorerTxUrl(chainId, entry.hash);
+        const link = document.createElement(url ? 'a' : 'span');
+        link.className = 'tx-hash';
+        link.textContent = `${entry.hash.slice(0, 10)}...${entry.hash.slice(-6)}`;
+        if (url) {
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+        }
+        detailElement.prepend(link, detail ? ' · ' : '');
+    }
+
+    // Settled entries clear themselves; failures stay until dismissed
+    if (['mined', 'repriced', 'replaced', 'cancelled'].includes(status)) {
+        setTimeout(() => entry.element.remove(), TX_TRACKER_DISMISS_DELAY);
+    } else if (status === 'failed') {
+        const dismiss = document.createElement('button');
+        dismiss.className = 'tx-dismiss';
+        dismiss.textContent = '×';
+        dismiss.addEventListener('click', () => entry.element.remove());
+        entry.element.querySelector('.tx-entry-header').appendChild(dismiss);
+    }
+}
+
+/**
+ * Simulate, estimate, send and track a contract transaction.
+ * Resolves with the receipt once mined (including when the wallet sped it up) and rejects with a
+ * TransactionError if the pre-flight fails, the user rejects it, it reverts, or it gets cancelled.
+ * @param {Object} options
+ * @param {string} options.label Description shown in the tracker
+ * @param {string} options.method Contract method name
+ * @param {Array} [options.args] Method arguments
+ * @param {Object} [options.overrides] Transaction overrides such as value
+ * @param {Function} [options.beforeSend] Called after the pre-flight passed, right before the wallet prompt
+ * @param {ethers.Contract} [options.target] Contract to call, such as a stake token to approve; defaults to ours
+ */
+async function sendTransaction({ label, method, args = [], overrides = {}, beforeSend, target = contract }) {
+    const entry = trackTransaction(label);
+    let settled = false;
+
+    try {
+        // Pre-flight: surfaces the revert reason without spending gas
+        await target.callStatic[method](...args, overrides);
+        const estimatedGas = await target.estimateGas[method](...args, overrides);
+        const gasLimit = estimatedGas.mul(100 + GAS_LIMIT_BUFFER_PERCENT).div(100);
+
+        if (beforeSend) await beforeSend();
+
+        updateTrackedTransaction(entry, 'signing');
+        const tx = await target[method](...args, { ...overrides, gasLimit });
+        updateTrackedTransaction(entry, 'pending', { hash: tx.hash });
+
+        let receipt;
+        try {
+            receipt = await tx.wait();
+        } catch (error) {
+            if (error.code !== 'TRANSACTION_REPLACED') throw error;
+
+            // The wallet re-sent the same call with a higher fee: the replacement is the real transaction
+            if (error.reason === 'repriced') {
+                entry.hash = error.replacement.hash;
+                if (error.receipt.status !== 1) {
+                    throw new TransactionError('The sped-up transaction reverted on-chain.');
+                }
+                updateTrackedTransaction(entry, 'repriced');
+                return error.receipt;
+            }
+
+            const status = error.reason === 'cancelled' ? 'cancelled' : 'replaced';
+            settled = true;
+            updateTrackedTransaction(entry, status, {
+                hash: error.replacement.hash,
+                detail: status === 'cancelled' ? 'Cancelled from the wallet' : 'Replaced by another transaction'
+            });
+            throw new TransactionError(
+                status === 'cancelled'
+                    ? 'The transaction was cancelled from your wallet.'
+                    : 'The transaction was replaced by another transaction with the same nonce.'
+            );
+        }
+
+        updateTrackedTransaction(entry, 'mined', { detail: `Block ${receipt.blockNumber}` });
+        return receipt;
+    } catch (error) {
+        const decoded = decodeTransactionError(error);
+        if (!settled) {
+            updateTrackedTransaction(entry, 'failed', { detail: decoded.message });
+        }
+        throw decoded;
+    }
+}
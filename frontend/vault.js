@@ -0,0 +1,209 @@
+// vault.js - Encrypted local storage for commitment secrets (choice + nonce)
+//
+// The vault keeps one entry per (chainId, account, roundId) so a reveal can be
+// completed after a reload, a wallet switch or from another browser (via export/import).
+// Entries are encrypted with AES-GCM using a key derived from a user passphrase (PBKDF2).
+
+const VAULT_STORAGE_KEY = 'consensusParadox.commitmentVault';
+const VAULT_FORMAT_VERSION = 1;
+const VAULT_KDF_ITERATIONS = 210000;
+
+// Decrypted entries and the passphrase only ever live in memory
+let vaultEntries = null;
+let vaultPassphrase = null;
+
+// Build the lookup key for a vault entry
+function vaultEntryKey(chainId, account, roundId) {
+    return `${chainId}:${account.toLowerCase()}:${roundId.toString()}`;
+}
+
+// Derive an AES-GCM key from the passphrase and salt
+async function deriveVaultKey(passphrase, salt) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        ethers.utils.toUtf8Bytes(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: VAULT_KDF_ITERATIONS, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Encrypt a set of entries into a serializable vault blob
+async function encryptVault(entries, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveVaultKey(passphrase, salt);
+
+    const plaintext = ethers.utils.toUtf8Bytes(JSON.stringify(entries));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    return {
+        version: VAULT_FORMAT_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: VAULT_KDF_ITERATIONS },
+        salt: ethers.utils.hexlify(salt),
+        iv: ethers.utils.hexlify(iv),
+        ciphertext: ethers.utils.hexlify(new Uint8Array(ciphertext))
+    };
+}
+
+// Decrypt a vault blob, throwing if the passphrase is wrong or the blob is corrupt
+async function decryptVault(blob, passphrase) {
+    if (!blob || blob.version !== VAULT_FORMAT_VERSION) {
+        throw new Error('Unsupported vault format');
+    }
+
+    const key = await deriveVaultKey(passphrase, ethers.utils.arrayify(blob.salt));
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: ethers.utils.arrayify(blob.iv) },
+            key,
+            ethers.utils.arrayify(blob.ciphertext)
+        );
+    } catch (error) {
+        throw new Error('Wrong passphrase or corrupted vault');
+    }
+
+    return JSON.parse(ethers.utils.toUtf8String(new Uint8Array(plaintext)));
+}
+
+function readStoredVault() {
+    const raw = localStorage.getItem(VAULT_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+}
+
+async function persistVault() {
+    const blob = await encryptVault(vaultEntries, vaultPassphrase);
+    localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(blob));
+}
+
+function isVaultUnlocked() {
+    return vaultEntries !== null;
+}
+
+function hasStoredVault() {
+    return readStoredVault() !== null;
+}
+
+// Unlock the stored vault, or create an empty one if none exists yet
+async function unlockVault(passphrase) {
+    if (!passphrase) {
+        throw new Error('A passphrase is required to unlock the vault');
+    }
+
+    const stored = readStoredVault();
+    vaultEntries = stored ? await decryptVault(stored, passphrase) : {};
+    vaultPassphrase = passphrase;
+
+    if (!stored) {
+        await persistVault();
+    }
+}
+
+function lockVault() {
+    vaultEntries = null;
+    vaultPassphrase = null;
+}
+
+// Make sure the vault is unlocked, asking the user for the passphrase if needed
+async function ensureVaultUnlocked() {
+    if (isVaultUnlocked()) return true;
+
+    const message = hasStoredVault()
+        ? 'Enter your vault passphrase to access saved commitments:'
+        : 'Choose a passphrase to encrypt your commitment vault:';
+    const passphrase = prompt(message);
+    if (!passphrase) return false;
+
+    await unlockVault(passphrase);
+    return true;
+}
+
+// Save the secrets of a commitment so it can be revealed later, with the signed reveal authorization if any
+async function saveCommitment({ roundId, account, chainId, choice, nonce, commitment, revealSignature = null }) {
+    if (!isVaultUnlocked()) {
+        throw new Error('Vault is locked');
+    }
+
+    vaultEntries[vaultEntryKey(chainId, account, roundId)] = {
+        roundId: roundId.toString(),
+        account: account.toLowerCase(),
+        chainId: Number(chainId),
+        choice: choice.toString(),
+        nonce: nonce.toString(),
+        commitment,
+        revealSignature,
+        savedAt: Date.now()
+    };
+
+    await persistVault();
+}
+
+// Look up the saved commitment for a round, or null if there is none
+function getCommitment(chainId, account, roundId) {
+    if (!isVaultUnlocked()) return null;
+    return vaultEntries[vaultEntryKey(chainId, account, roundId)] || null;
+}
+
+// List the saved commitments of an account on a chain (empty while the vault is locked)
+function getCommitmentsFor(chainId, account) {
+    if (!isVaultUnlocked()) return [];
+    return Object.values(vaultEntries).filter(entry =>
+        entry.chainId === Number(chainId) && entry.account === account.toLowerCase()
+    );
+}
+
+// Download the encrypted vault as a JSON file
+function exportVault() {
+    const stored = readStoredVault();
+    if (!stored) {
+        throw new Error('There is no vault to export yet');
+    }
+
+    downloadFile(
+        `consensus-paradox-vault-${new Date().toISOString().slice(0, 10)}.json`,
+        JSON.stringify(stored, null, 2),
+        'application/json'
+    );
+}
+
+// Merge an exported vault file into the local vault. Local entries win: an imported entry for a round the
+// vault already holds a different commitment for is skipped, since the local one may be newer.
+// Returns the number of imported entries and of conflicting ones that were kept local.
+async function importVault(file, importPassphrase) {
+    const blob = JSON.parse(await file.text());
+    const importedEntries = await decryptVault(blob, importPassphrase);
+
+    if (!isVaultUnlocked()) {
+        if (hasStoredVault()) {
+            throw new Error('Unlock your local vault before importing');
+        }
+        // No local vault yet: adopt the imported one with its passphrase
+        vaultEntries = {};
+        vaultPassphrase = importPassphrase;
+    }
+
+    let imported = 0;
+    let conflicts = 0;
+    for (const [key, entry] of Object.entries(importedEntries)) {
+        const local = vaultEntries[key];
+        if (!local) {
+            vaultEntries[key] = entry;
+            imported++;
+        } else if (local.commitment !== entry.commitment) {
+            conflicts++;
+        }
+    }
+    await persistVault();
+
+    return { imported, conflicts };
+}
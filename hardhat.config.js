@@ -4,9 +4,15 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
 require("dotenv").config();
+require("./tasks/consensus");
 
 module.exports = {
-  solidity: "0.8.17",
+  solidity: {
+    version: "0.8.19",
+    // The contract exceeds the 24KB code size limit without the optimizer and the IR pipeline;
+    // test/ConsensusParadox.js checks the deployed code still fits
+    settings: { optimizer: { enabled: true, runs: 200 }, viaIR: true },
+  },
   networks: {
     coreTestnet: {
       url: "https://rpc.test2.btcs.network",
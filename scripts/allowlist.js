@@ -0,0 +1,59 @@
+// Allowlist Merkle trees for closed rounds.
+//
+// Leaves are keccak256(keccak256(abi.encode(address))) and pairs are hashed in sorted order, matching
+// OpenZeppelin's MerkleProof and the contract's _isAllowlisted. The allowlist file the frontend fetches is
+// { root, count, proofs: { <checksummed address>: [sibling hashes] } }.
+const { ethers } = require("ethers");
+
+function allowlistLeaf(address) {
+  const encoded = ethers.utils.defaultAbiCoder.encode(["address"], [address]);
+  return ethers.utils.keccak256(ethers.utils.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.utils.keccak256(ethers.utils.concat([first, second]));
+}
+
+/**
+ * Build the allowlist file for a list of addresses. Duplicates are dropped and leaves are sorted, so the
+ * same members always produce the same root.
+ * @param {string[]} addresses Members allowed to join
+ * @returns {{ root: string, count: number, proofs: Object<string, string[]> }}
+ */
+function buildAllowlist(addresses) {
+  const members = [...new Set(addresses.map((address) => ethers.utils.getAddress(address.trim())))];
+  if (members.length === 0) {
+    throw new Error("An allowlist needs at least one address");
+  }
+
+  const leaves = members.map((address) => ({ address, leaf: allowlistLeaf(address) }));
+  leaves.sort((a, b) => (a.leaf < b.leaf ? -1 : 1));
+
+  // layers[0] holds the leaves, the last layer the root; an odd node out moves up unchanged
+  const layers = [leaves.map(({ leaf }) => leaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  leaves.forEach(({ address }, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    proofs[address] = proof;
+  });
+
+  return { root: layers[layers.length - 1][0], count: members.length, proofs };
+}
+
+module.exports = { allowlistLeaf, buildAllowlist };
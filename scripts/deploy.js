@@ -0,0 +1,13 @@
+// Deploys The Consensus Paradox and records it in frontend/deployments.js.
+// Usage: npx hardhat run scripts/deploy.js --network <network>
+// (equivalent to `npx hardhat deploy --network <network>`, which also accepts --fund)
+const hre = require("hardhat");
+
+async function main() {
+  await hre.run("deploy");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
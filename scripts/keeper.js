@@ -0,0 +1,510 @@
+// Reveal keeper: holds encrypted reveal payloads, reveals them during the reveal phase and finalizes every
+// round it watches once its reveal deadline passes, retrying failed sends and bumping fees on stuck ones.
+// Rounds too large to settle in the finalizing transaction are settled in batches on later passes.
+// While the contract is paused, reveals, finalization and scheduled starts wait (deadlines still apply);
+// settlement goes on.
+// It also starts the contract's scheduled recurring rounds when they fall due.
+//
+// Usage: npx hardhat run scripts/keeper.js --network localhost
+// The first configured account pays the gas. Environment overrides:
+//   KEEPER_PORT           HTTP port (default 8788)
+//   KEEPER_STORE          Jobs file, reloaded on restart (default keeper-store.json)
+//   KEEPER_KEY_FILE       Encryption key file, created on first run (default keeper.key)
+//   KEEPER_POLL_INTERVAL  Milliseconds between passes (default 5000)
+//   KEEPER_CONTRACT       Contract address (defaults to the deployment recorded for the network)
+//   KEEPER_SCHEDULE       Set to "off" to leave scheduled rounds to someone else
+//
+// Participants encrypt { choice, nonce, signature } to the keeper's public key (ECDH on secp256k1, then
+// AES-256-GCM bound to the round and participant), so payloads are only decrypted to validate and submit them.
+const fs = require("fs");
+const http = require("http");
+const { webcrypto } = require("crypto");
+const hre = require("hardhat");
+const { getContract, readDeployments } = require("../tasks/consensus");
+const { REVEAL_AUTHORIZATION_TYPES, isRevert, readBody, sendJson } = require("./relayer");
+
+const PAYLOAD_FORMAT_VERSION = 1;
+
+const KEEPER_DEFAULTS = {
+  pollInterval: 5000,
+  confirmationTimeout: 60000, // How long a transaction may stay pending before its fees are bumped
+  gasBumpPercent: 20, // Nodes only accept a replacement that pays at least 10% more
+  maxGasBumps: 3,
+  maxAttempts: 5,
+  retryDelay: 10000, // Doubled after every failed attempt
+  startScheduledRounds: true,
+  settlementBatchSize: 100, // Participants credited per settleRound transaction
+};
+
+function jobKey(roundId, participant) {
+  return `${roundId}:${participant.toLowerCase()}`;
+}
+
+// Binds a ciphertext to its round and participant so it cannot be replayed under another label
+function payloadAssociatedData(roundId, participant) {
+  return hre.ethers.utils.toUtf8Bytes(jobKey(roundId, participant));
+}
+
+async function payloadAesKey(sharedSecret, usage) {
+  const keyBytes = hre.ethers.utils.arrayify(hre.ethers.utils.sha256(sharedSecret));
+  return webcrypto.subtle.importKey("raw", keyBytes, "AES-GCM", false, [usage]);
+}
+
+// Encrypt a reveal payload to the keeper's public key, exactly as the frontend does
+async function encryptRevealPayload(keeperPublicKey, roundId, participant, payload) {
+  const { utils } = hre.ethers;
+  const ephemeral = new utils.SigningKey(utils.randomBytes(32));
+  const key = await payloadAesKey(ephemeral.computeSharedSecret(keeperPublicKey), "encrypt");
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await webcrypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: payloadAssociatedData(roundId, participant) },
+    key,
+    utils.toUtf8Bytes(JSON.stringify(payload))
+  );
+
+  return {
+    version: PAYLOAD_FORMAT_VERSION,
+    ephemeralPublicKey: ephemeral.publicKey,
+    iv: utils.hexlify(iv),
+    ciphertext: utils.hexlify(new Uint8Array(ciphertext)),
+  };
+}
+
+async function decryptRevealPayload(signingKey, roundId, participant, envelope) {
+  const { utils } = hre.ethers;
+  if (!envelope || envelope.version !== PAYLOAD_FORMAT_VERSION) {
+    throw new Error("Unsupported payload format");
+  }
+
+  let plaintext;
+  try {
+    const key = await payloadAesKey(signingKey.computeSharedSecret(envelope.ephemeralPublicKey), "decrypt");
+    plaintext = await webcrypto.subtle.decrypt(
+      { name: "AES-GCM", iv: utils.arrayify(envelope.iv), additionalData: payloadAssociatedData(roundId, participant) },
+      key,
+      utils.arrayify(envelope.ciphertext)
+    );
+  } catch (error) {
+    throw new Error("Payload cannot be decrypted by this keeper");
+  }
+  return JSON.parse(utils.toUtf8String(new Uint8Array(plaintext)));
+}
+
+// Load the keeper's encryption key, creating one on first run
+function loadSigningKey(keyFile) {
+  const { utils } = hre.ethers;
+  if (!fs.existsSync(keyFile)) {
+    fs.writeFileSync(keyFile, utils.hexlify(utils.randomBytes(32)), { mode: 0o600 });
+  }
+  return new utils.SigningKey(fs.readFileSync(keyFile, "utf8").trim());
+}
+
+function describeJob(job) {
+  return {
+    roundId: job.roundId,
+    participant: job.participant,
+    status: job.status,
+    attempts: job.attempts,
+    txHash: job.txHash || null,
+    error: job.error || null,
+  };
+}
+
+function logEvent(type, details) {
+  console.log(`[keeper] ${type}`, JSON.stringify(details));
+}
+
+/**
+ * Create a keeper for a deployed contract. The signer of `contract` pays for reveals and finalizations.
+ * @param {Object} contract ethers contract connected to the keeper's signer
+ * @param {Object} options
+ * @param {Object} options.signingKey ethers SigningKey payloads are encrypted to
+ * @param {string} [options.storePath] File the jobs are persisted to
+ * @param {number} [options.fromBlock] First block to look for RoundStarted events in
+ * @param {Function} [options.onEvent] Called with (type, details) for every job transition
+ */
+function createKeeper(contract, { signingKey, storePath = null, fromBlock = 0, onEvent = logEvent, ...overrides }) {
+  const { ethers } = hre;
+  const options = { ...KEEPER_DEFAULTS, ...overrides };
+  const provider = contract.provider;
+  const state = storePath && fs.existsSync(storePath)
+    ? JSON.parse(fs.readFileSync(storePath, "utf8"))
+    : { lastBlock: fromBlock - 1, rounds: {}, reveals: {} };
+  let running = false;
+  let timer = null;
+  let server = null;
+
+  function persist() {
+    if (storePath) fs.writeFileSync(storePath, JSON.stringify(state, null, 2));
+  }
+
+  async function domain() {
+    const { chainId } = await provider.getNetwork();
+    return { name: "The Consensus Paradox", version: "1", chainId, verifyingContract: contract.address };
+  }
+
+  // Chains that only mine on demand (like a local hardhat node) leave the latest block behind the clock
+  async function currentTime() {
+    const { timestamp } = await provider.getBlock("latest");
+    return Math.max(timestamp, Math.floor(Date.now() / 1000));
+  }
+
+  // Decrypt and check a payload before accepting it, but only ever store the ciphertext
+  async function registerPayload({ roundId, participant, payload }) {
+    if (roundId === undefined || !participant || !payload) {
+      throw new Error("roundId, participant and payload are required");
+    }
+    if (!ethers.utils.isAddress(participant)) {
+      throw new Error("Invalid participant address");
+    }
+
+    const id = ethers.BigNumber.from(roundId).toString();
+    const { choice, nonce, signature } = await decryptRevealPayload(signingKey, id, participant, payload);
+    let signer;
+    try {
+      signer = ethers.utils.verifyTypedData(await domain(), REVEAL_AUTHORIZATION_TYPES, { roundId: id, choice, nonce }, signature);
+    } catch (error) {
+      throw new Error("Malformed reveal authorization");
+    }
+    if (signer.toLowerCase() !== participant.toLowerCase()) {
+      throw new Error("Signature was not made by the participant");
+    }
+
+    const info = await contract.getRoundInfo(id);
+    if (!info.isActive || info.roundFinalized || (await currentTime()) > info.revealPhaseEnd.toNumber()) {
+      throw new Error(`Round ${id} is not open for reveals`);
+    }
+    const { hasCommitted, hasRevealed } = await contract.getParticipantInfo(id, participant);
+    if (!hasCommitted) throw new Error("Participant has not committed to this round");
+    if (hasRevealed) throw new Error("Participant has already revealed");
+
+    const job = {
+      roundId: id,
+      participant: ethers.utils.getAddress(participant),
+      payload,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: 0,
+    };
+    state.reveals[jobKey(id, participant)] = job;
+    watchRound(id, info);
+    persist();
+    onEvent("registered", describeJob(job));
+    return job;
+  }
+
+  function watchRound(roundId, info) {
+    if (state.rounds[roundId]) return;
+    state.rounds[roundId] = {
+      roundId,
+      commitEnd: info.commitPhaseEnd.toNumber(),
+      revealEnd: info.revealPhaseEnd.toNumber(),
+      // Rounds finalized before the keeper saw them are left to their participants' claims
+      status: info.roundFinalized ? "finalized" : "watching",
+      attempts: 0,
+      nextAttemptAt: 0,
+    };
+  }
+
+  // Pick up rounds started since the last pass
+  async function syncRounds() {
+    const latest = await provider.getBlockNumber();
+    if (latest <= state.lastBlock) return;
+
+    const events = await contract.queryFilter(contract.filters.RoundStarted(), state.lastBlock + 1, latest);
+    for (const event of events) {
+      const roundId = event.args.roundId.toString();
+      watchRound(roundId, await contract.getRoundInfo(roundId));
+    }
+    state.lastBlock = latest;
+  }
+
+  // EIP-1559 fees where the chain supports them, a legacy gas price where it does not
+  async function feesFor(pendingTx) {
+    if (pendingTx) {
+      const bump = (value) => ethers.BigNumber.from(value).mul(100 + options.gasBumpPercent).div(100);
+      if (pendingTx.gasPrice) return { gasPrice: bump(pendingTx.gasPrice) };
+      return { maxFeePerGas: bump(pendingTx.maxFeePerGas), maxPriorityFeePerGas: bump(pendingTx.maxPriorityFeePerGas) };
+    }
+    const { maxFeePerGas, maxPriorityFeePerGas, gasPrice } = await provider.getFeeData();
+    return maxFeePerGas ? { maxFeePerGas, maxPriorityFeePerGas } : { gasPrice };
+  }
+
+  async function findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async function waitForReceipt(hashes) {
+    try {
+      const receipt = await provider.waitForTransaction(hashes[hashes.length - 1], 1, options.confirmationTimeout);
+      if (receipt) return receipt;
+    } catch (error) {
+      if (error.code !== "TIMEOUT") throw error;
+    }
+    // A replaced transaction can still win the race
+    return findReceipt(hashes);
+  }
+
+  /**
+   * Send a contract call and wait for it, re-sending with the same nonce and higher fees while it is stuck.
+   * A transaction left pending by an earlier attempt is resumed instead of sending a duplicate.
+   */
+  async function sendWithGasBump(job, method, args) {
+    if (job.pendingTx) {
+      const receipt = await findReceipt(job.pendingTx.hashes);
+      if (receipt) return receipt;
+      // The nonce was used by another transaction, so the pending one can never be mined
+      if ((await contract.signer.getTransactionCount("latest")) > job.pendingTx.nonce) {
+        delete job.pendingTx;
+      }
+    }
+
+    const gasLimit = (await contract.estimateGas[method](...args)).mul(120).div(100);
+    const nonce = job.pendingTx ? job.pendingTx.nonce : await contract.signer.getTransactionCount("pending");
+    const hashes = job.pendingTx ? job.pendingTx.hashes : [];
+
+    for (let bump = 0; bump <= options.maxGasBumps; bump++) {
+      const fees = await feesFor(job.pendingTx);
+      const tx = await contract[method](...args, { gasLimit, nonce, ...fees });
+      const paid = Object.fromEntries(Object.entries(fees).map(([name, value]) => [name, value.toString()]));
+      hashes.push(tx.hash);
+      job.txHash = tx.hash;
+      job.pendingTx = { nonce, hashes, ...paid };
+      persist();
+
+      const receipt = await waitForReceipt(hashes);
+      if (receipt) {
+        delete job.pendingTx;
+        job.txHash = receipt.transactionHash;
+        if (receipt.status !== 1) throw Object.assign(new Error("Transaction reverted"), { code: "CALL_EXCEPTION" });
+        return receipt;
+      }
+      if (bump < options.maxGasBumps) {
+        onEvent("bumped", { method, nonce, hash: tx.hash, ...paid });
+      }
+    }
+    throw new Error(`Not mined after ${options.maxGasBumps} fee bumps`);
+  }
+
+  // Run one attempt of a job, scheduling a retry with exponential backoff on transient failures
+  async function attempt(job, label, action) {
+    try {
+      await action();
+    } catch (error) {
+      job.attempts++;
+      job.error = error.reason || error.message;
+      if (isRevert(error) || job.attempts >= options.maxAttempts) {
+        job.status = "failed";
+        onEvent("failed", { job: label, ...describeJob(job) });
+      } else {
+        job.nextAttemptAt = Date.now() + options.retryDelay * 2 ** (job.attempts - 1);
+        onEvent("retry", { job: label, ...describeJob(job) });
+      }
+    }
+    persist();
+  }
+
+  async function processReveal(job, timestamp) {
+    const round = state.rounds[job.roundId];
+    if (timestamp <= round.commitEnd || Date.now() < job.nextAttemptAt) return;
+
+    const { hasRevealed } = await contract.getParticipantInfo(job.roundId, job.participant);
+    if (hasRevealed) {
+      // By the participant, another relayer or a transaction of ours left pending by an earlier pass
+      delete job.pendingTx;
+      job.status = "revealed";
+      return;
+    }
+    if (timestamp > round.revealEnd) {
+      job.status = "expired";
+      onEvent("expired", describeJob(job));
+      return;
+    }
+
+    await attempt(job, "reveal", async () => {
+      const { choice, nonce, signature } = await decryptRevealPayload(signingKey, job.roundId, job.participant, job.payload);
+      const args = [job.roundId, job.participant, choice, nonce, signature];
+      // Surface reverts before paying for them, against the block the reveal will land in
+      await contract.callStatic.revealWithSignature(...args, { blockTag: "pending" });
+      await sendWithGasBump(job, "revealWithSignature", args);
+      job.status = "revealed";
+      onEvent("revealed", describeJob(job));
+    });
+  }
+
+  async function processFinalization(round, timestamp) {
+    if (timestamp <= round.revealEnd || Date.now() < round.nextAttemptAt) return;
+
+    const info = await contract.getRoundInfo(round.roundId);
+    if (info.roundFinalized) {
+      delete round.pendingTx;
+      await markFinalized(round);
+      return;
+    }
+
+    await attempt(round, "finalize", async () => {
+      await contract.callStatic.finalizeRound(round.roundId, { blockTag: "pending" });
+      await sendWithGasBump(round, "finalizeRound", [round.roundId]);
+      await markFinalized(round);
+      onEvent("finalized", { roundId: round.roundId, txHash: round.txHash });
+    });
+  }
+
+  // Finalization only settles the first participants; anyone left over is settled on later passes
+  async function markFinalized(round) {
+    const { unsettledCount } = await contract.getRoundSettlement(round.roundId);
+    round.status = unsettledCount.gt(0) ? "settling" : "finalized";
+    round.attempts = 0;
+  }
+
+  async function processSettlement(round) {
+    if (Date.now() < round.nextAttemptAt) return;
+
+    const { unsettledCount } = await contract.getRoundSettlement(round.roundId);
+    if (unsettledCount.eq(0)) {
+      // Settled by other callers' batches and claims, or by a transaction of ours left pending
+      delete round.pendingTx;
+      round.status = "finalized";
+      return;
+    }
+
+    await attempt(round, "settle", async () => {
+      const args = [round.roundId, options.settlementBatchSize];
+      await contract.callStatic.settleRound(...args, { blockTag: "pending" });
+      await sendWithGasBump(round, "settleRound", args);
+      const remaining = (await contract.getRoundSettlement(round.roundId)).unsettledCount.toNumber();
+      if (remaining === 0) round.status = "finalized";
+      onEvent("settled", { roundId: round.roundId, remaining, txHash: round.txHash });
+    });
+  }
+
+  // Start the next scheduled round once it is due. Each slot gets its own job, so a start that failed for
+  // good is not repeated until the owner changes the schedule or someone else starts the round.
+  async function processSchedule(timestamp) {
+    const schedule = await contract.roundSchedule();
+    if (schedule.templateId.eq(0) || timestamp < schedule.nextStartTime.toNumber()) return;
+
+    const slot = schedule.nextStartTime.toString();
+    if (!state.schedule || state.schedule.slot !== slot) {
+      state.schedule = { slot, status: "queued", attempts: 0, nextAttemptAt: 0 };
+    }
+    const job = state.schedule;
+    if (job.status !== "queued" || Date.now() < job.nextAttemptAt) return;
+
+    try {
+      await contract.callStatic.startScheduledRound({ blockTag: "pending" });
+    } catch (error) {
+      // The previous scheduled round is still open or the pool is short: check again on a later pass
+      if (isRevert(error)) return;
+      throw error;
+    }
+
+    await attempt(job, "schedule", async () => {
+      await sendWithGasBump(job, "startScheduledRound", []);
+      job.status = "started";
+      job.roundId = (await contract.roundSchedule()).lastRoundId.toString();
+      onEvent("started", { roundId: job.roundId, txHash: job.txHash });
+    });
+  }
+
+  // One pass: watch new rounds, submit due reveals, finalize rounds past their deadline, settle the next
+  // batch of large finalized rounds, then start the next scheduled round
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await syncRounds();
+      const timestamp = await currentTime();
+      // Paused reveals and finalizations would revert and fail for good, so they are held back instead
+      if (!(await contract.paused())) {
+        for (const job of Object.values(state.reveals).filter((item) => item.status === "queued")) {
+          await processReveal(job, timestamp);
+        }
+        for (const round of Object.values(state.rounds).filter((item) => item.status === "watching")) {
+          await processFinalization(round, timestamp);
+        }
+      }
+      for (const round of Object.values(state.rounds).filter((item) => item.status === "settling")) {
+        await processSettlement(round);
+      }
+      if (options.startScheduledRounds) {
+        await processSchedule(timestamp);
+      }
+      persist();
+    } finally {
+      running = false;
+    }
+  }
+
+  async function handleRequest(request, response) {
+    if (request.method === "OPTIONS") return sendJson(response, 204);
+
+    const url = new URL(request.url, "http://keeper");
+    if (url.pathname === "/public-key" && request.method === "GET") {
+      return sendJson(response, 200, { publicKey: signingKey.publicKey, relayer: await contract.signer.getAddress() });
+    }
+    if (url.pathname === "/payloads" && request.method === "POST") {
+      try {
+        const job = await registerPayload(JSON.parse(await readBody(request)));
+        return sendJson(response, 202, describeJob(job));
+      } catch (error) {
+        return sendJson(response, 400, { error: error.message });
+      }
+    }
+
+    const match = url.pathname.match(/^\/payloads\/(\d+)\/(0x[0-9a-fA-F]{40})$/);
+    if (match && request.method === "GET") {
+      const job = state.reveals[jobKey(match[1], match[2])];
+      return job ? sendJson(response, 200, describeJob(job)) : sendJson(response, 404, { error: "Not found" });
+    }
+
+    return sendJson(response, 404, { error: "Not found" });
+  }
+
+  function listen(port) {
+    server = http.createServer((request, response) => {
+      handleRequest(request, response).catch((error) => sendJson(response, 500, { error: error.message }));
+    });
+    timer = setInterval(() => tick().catch((error) => console.error(error)), options.pollInterval);
+    return new Promise((resolve) => server.listen(port, () => resolve(server.address().port)));
+  }
+
+  function close() {
+    clearInterval(timer);
+    return server ? new Promise((resolve) => server.close(resolve)) : Promise.resolve();
+  }
+
+  return { state, publicKey: signingKey.publicKey, registerPayload, tick, listen, close };
+}
+
+async function main() {
+  const contract = await getContract(hre, process.env.KEEPER_CONTRACT);
+  const [keeper] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = readDeployments(hre)[chainId];
+
+  const instance = createKeeper(contract.connect(keeper), {
+    signingKey: loadSigningKey(process.env.KEEPER_KEY_FILE || "keeper.key"),
+    storePath: process.env.KEEPER_STORE || "keeper-store.json",
+    fromBlock: deployment && deployment.address === contract.address ? deployment.deploymentBlock : 0,
+    pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || KEEPER_DEFAULTS.pollInterval),
+    startScheduledRounds: process.env.KEEPER_SCHEDULE !== "off",
+  });
+
+  const port = await instance.listen(Number(process.env.KEEPER_PORT || 8788));
+  console.log(`Keeping ${contract.address} on ${hre.network.name} from ${keeper.address}`);
+  console.log(`Listening on http://127.0.0.1:${port} with public key ${instance.publicKey}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { KEEPER_DEFAULTS, encryptRevealPayload, decryptRevealPayload, createKeeper };
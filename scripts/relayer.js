@@ -0,0 +1,288 @@
+// Reveal relayer: accepts signed EIP-712 reveal authorizations over HTTP and submits them with
+// revealWithSignature once their round enters the reveal phase, so participants do not have to be online.
+// While the contract is paused, reveals wait in the queue (their deadlines still apply). Failed sends are
+// retried with exponential backoff until the reveal deadline; only a revert gives up on an authorization.
+//
+// Usage: npx hardhat run scripts/relayer.js --network localhost
+// The first configured account pays the gas. Environment overrides:
+//   RELAYER_PORT           HTTP port (default 8787)
+//   RELAYER_STORE          Queue file, reloaded on restart (default relayer-queue.json)
+//   RELAYER_POLL_INTERVAL  Milliseconds between queue checks (default 5000)
+//   RELAYER_CONTRACT       Contract address (defaults to the deployment recorded for the network)
+//
+// Authorizations carry the choice and nonce, so they are kept private until the reveal: run the relayer
+// yourself or use one you trust not to leak choices during the commit phase.
+const fs = require("fs");
+const http = require("http");
+const hre = require("hardhat");
+const { getContract } = require("../tasks/consensus");
+
+const REVEAL_AUTHORIZATION_TYPES = {
+  RevealAuthorization: [
+    { name: "roundId", type: "uint256" },
+    { name: "choice", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+const MAX_BODY_BYTES = 10 * 1024;
+
+// Phase reverts only mean the chain's clock has not caught up with ours yet
+const TIMING_REVERTS = ["Not in reveal phase", "Reveal phase not ended"];
+
+// A revert is final; anything else (funds, network, timeouts) is worth another attempt
+function isRevert(error) {
+  const message = error.reason || error.message || "";
+  if (TIMING_REVERTS.some((reason) => message.includes(reason))) return false;
+  return ["CALL_EXCEPTION", "UNPREDICTABLE_GAS_LIMIT"].includes(error.code) || /revert/i.test(message);
+}
+
+function authorizationKey(roundId, participant) {
+  return `${roundId}:${participant.toLowerCase()}`;
+}
+
+function loadQueue(storePath) {
+  if (!storePath || !fs.existsSync(storePath)) return {};
+  return JSON.parse(fs.readFileSync(storePath, "utf8"));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+function sendJson(response, statusCode, payload) {
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  response.end(payload === undefined ? undefined : JSON.stringify(payload));
+}
+
+// Public view of a queued authorization: never expose the choice or nonce
+function describeAuthorization(entry) {
+  return {
+    roundId: entry.roundId,
+    participant: entry.participant,
+    status: entry.status,
+    attempts: entry.attempts || 0,
+    txHash: entry.txHash || null,
+    error: entry.error || null,
+  };
+}
+
+/**
+ * Create a relayer for a deployed contract. The signer of `contract` pays for the reveals.
+ * @param {Object} contract ethers contract connected to the relaying signer
+ * @param {Object} [options]
+ * @param {string} [options.storePath] File the queue is persisted to
+ * @param {number} [options.pollInterval] Milliseconds between queue checks
+ * @param {number} [options.retryDelay] Milliseconds before the first retry of a failed send, doubled after each
+ * @param {Function} [options.onEvent] Called with (type, details) whenever an authorization is queued,
+ * revealed, retried or fails, and with ("error", { error }) when a pass throws
+ */
+function createRelayer(
+  contract,
+  { storePath = null, pollInterval = 5000, retryDelay = 10000, onEvent = () => {} } = {}
+) {
+  const { ethers } = hre;
+  const queue = loadQueue(storePath);
+  let processing = false;
+  let timer = null;
+  let server = null;
+
+  function persist() {
+    if (storePath) fs.writeFileSync(storePath, JSON.stringify(queue, null, 2));
+  }
+
+  async function domain() {
+    const { chainId } = await contract.provider.getNetwork();
+    return { name: "The Consensus Paradox", version: "1", chainId, verifyingContract: contract.address };
+  }
+
+  // Chains that only mine on demand (like a local hardhat node) leave the latest block behind the clock
+  async function currentTime() {
+    const { timestamp } = await contract.provider.getBlock("latest");
+    return Math.max(timestamp, Math.floor(Date.now() / 1000));
+  }
+
+  // Check an authorization off-chain before queueing it so bad submissions fail fast
+  async function addAuthorization({ roundId, participant, choice, nonce, signature }) {
+    if ([roundId, participant, choice, nonce, signature].some((value) => value === undefined || value === null)) {
+      throw new Error("roundId, participant, choice, nonce and signature are required");
+    }
+    if (!ethers.utils.isAddress(participant)) {
+      throw new Error("Invalid participant address");
+    }
+
+    const value = {
+      roundId: ethers.BigNumber.from(roundId),
+      choice: ethers.BigNumber.from(choice),
+      nonce: ethers.BigNumber.from(nonce),
+    };
+    let signer;
+    try {
+      signer = ethers.utils.verifyTypedData(await domain(), REVEAL_AUTHORIZATION_TYPES, value, signature);
+    } catch (error) {
+      throw new Error("Malformed signature");
+    }
+    if (signer.toLowerCase() !== participant.toLowerCase()) {
+      throw new Error("Signature was not made by the participant");
+    }
+
+    const info = await contract.getRoundInfo(value.roundId);
+    if (!info.isActive || info.roundFinalized || (await currentTime()) > info.revealPhaseEnd.toNumber()) {
+      throw new Error(`Round ${roundId} is not open for reveals`);
+    }
+    const { hasCommitted, hasRevealed } = await contract.getParticipantInfo(value.roundId, participant);
+    if (!hasCommitted) throw new Error("Participant has not committed to this round");
+    if (hasRevealed) throw new Error("Participant has already revealed");
+
+    const entry = {
+      roundId: value.roundId.toString(),
+      participant: ethers.utils.getAddress(participant),
+      choice: value.choice.toString(),
+      nonce: value.nonce.toString(),
+      signature,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: 0,
+      receivedAt: new Date().toISOString(),
+    };
+    queue[authorizationKey(entry.roundId, entry.participant)] = entry;
+    persist();
+    onEvent("queued", describeAuthorization(entry));
+    return entry;
+  }
+
+  async function revealEntry(entry, timestamp) {
+    const info = await contract.getRoundInfo(entry.roundId);
+    // Still in the commit phase: try again on a later pass
+    if (timestamp <= info.commitPhaseEnd.toNumber()) return;
+
+    const { hasRevealed } = await contract.getParticipantInfo(entry.roundId, entry.participant);
+    if (hasRevealed) {
+      entry.status = "revealed";
+      return;
+    }
+    if (info.roundFinalized || timestamp > info.revealPhaseEnd.toNumber()) {
+      entry.status = "expired";
+      return;
+    }
+    if (Date.now() < entry.nextAttemptAt) return;
+
+    try {
+      const tx = await contract.revealWithSignature(
+        entry.roundId,
+        entry.participant,
+        entry.choice,
+        entry.nonce,
+        entry.signature
+      );
+      entry.txHash = tx.hash;
+      await tx.wait();
+      entry.status = "revealed";
+      onEvent("revealed", describeAuthorization(entry));
+    } catch (error) {
+      entry.attempts = (entry.attempts || 0) + 1;
+      entry.error = error.reason || error.message;
+      // A pause that landed after this pass checked for one is lifted again; any other revert is final
+      if (isRevert(error) && !(await contract.paused())) {
+        entry.status = "failed";
+        onEvent("failed", describeAuthorization(entry));
+      } else {
+        // Retried until the reveal deadline, when the entry expires
+        entry.nextAttemptAt = Date.now() + retryDelay * 2 ** (entry.attempts - 1);
+        onEvent("retry", describeAuthorization(entry));
+      }
+    }
+  }
+
+  // Submit every queued authorization whose round is in its reveal phase
+  async function processQueue() {
+    if (processing) return;
+    processing = true;
+    try {
+      // Paused reveals would revert and fail for good, so they stay queued until the contract is unpaused
+      if (await contract.paused()) return;
+      const timestamp = await currentTime();
+      for (const entry of Object.values(queue).filter((item) => item.status === "queued")) {
+        await revealEntry(entry, timestamp);
+      }
+      persist();
+    } finally {
+      processing = false;
+    }
+  }
+
+  async function handleRequest(request, response) {
+    if (request.method === "OPTIONS") return sendJson(response, 204);
+
+    const url = new URL(request.url, "http://relayer");
+    if (url.pathname === "/authorizations" && request.method === "POST") {
+      try {
+        const entry = await addAuthorization(JSON.parse(await readBody(request)));
+        return sendJson(response, 202, describeAuthorization(entry));
+      } catch (error) {
+        return sendJson(response, 400, { error: error.message });
+      }
+    }
+
+    const match = url.pathname.match(/^\/authorizations\/(\d+)\/(0x[0-9a-fA-F]{40})$/);
+    if (match && request.method === "GET") {
+      const entry = queue[authorizationKey(match[1], match[2])];
+      return entry ? sendJson(response, 200, describeAuthorization(entry)) : sendJson(response, 404, { error: "Not found" });
+    }
+
+    return sendJson(response, 404, { error: "Not found" });
+  }
+
+  function listen(port) {
+    server = http.createServer((request, response) => {
+      handleRequest(request, response).catch((error) => sendJson(response, 500, { error: error.message }));
+    });
+    timer = setInterval(() => processQueue().catch((error) => onEvent("error", { error: error.message })), pollInterval);
+    return new Promise((resolve) => server.listen(port, () => resolve(server.address().port)));
+  }
+
+  function close() {
+    clearInterval(timer);
+    return server ? new Promise((resolve) => server.close(resolve)) : Promise.resolve();
+  }
+
+  return { queue, addAuthorization, processQueue, listen, close };
+}
+
+async function main() {
+  const contract = await getContract(hre, process.env.RELAYER_CONTRACT);
+  const [relayer] = await hre.ethers.getSigners();
+  const instance = createRelayer(contract.connect(relayer), {
+    storePath: process.env.RELAYER_STORE || "relayer-queue.json",
+    pollInterval: Number(process.env.RELAYER_POLL_INTERVAL || 5000),
+    onEvent: (type, details) => console.log(`[relayer] ${type}`, JSON.stringify(details)),
+  });
+
+  const port = await instance.listen(Number(process.env.RELAYER_PORT || 8787));
+  console.log(`Relaying reveals for ${contract.address} on ${hre.network.name} from ${relayer.address}`);
+  console.log(`Listening on http://127.0.0.1:${port}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { REVEAL_AUTHORIZATION_TYPES, isRevert, readBody, sendJson, createRelayer };
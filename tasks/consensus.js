@@ -0,0 +1,542 @@
+// Hardhat tasks to deploy The Consensus Paradox and administer its rounds.
+// Every task works with `--network localhost` (against `npx hardhat node`) and `--network coreTestnet`.
+// Deployments to the in-process hardhat network vanish when the command exits.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { task, types } = require("hardhat/config");
+const { buildAllowlist } = require("../scripts/allowlist");
+
+const DEPLOYMENTS_FILE = path.join("frontend", "deployments.js");
+// The frontend's network registry, which also names each chain's native currency
+const NETWORKS_FILE = path.join("frontend", "networks.js");
+// The frontend fetches allowlists/<root>.json to find the proof of the connected address
+const ALLOWLISTS_DIR = path.join("frontend", "allowlists");
+
+const NON_REVEAL_POLICIES = ["refund", "slash-to-winners", "slash-to-treasury"];
+const CONSENSUS_MODES = ["one-address-one-vote", "stake-weighted"];
+const REWARD_CURVES = ["step", "linear", "quadratic"];
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+function deploymentsPath(hre) {
+  return path.join(hre.config.paths.root, DEPLOYMENTS_FILE);
+}
+
+// The generated file is a classic script so the frontend can load it from file:// without fetch
+function readDeployments(hre) {
+  const file = deploymentsPath(hre);
+  if (!fs.existsSync(file)) return {};
+  return vm.runInNewContext(`${fs.readFileSync(file, "utf8")}\nDEPLOYMENTS;`);
+}
+
+function writeDeployments(hre, deployments) {
+  const source = [
+    "// deployments.js - Generated by `npx hardhat deploy`. Do not edit by hand.",
+    "// Contract address, deployment block and ABI of The Consensus Paradox, keyed by chainId.",
+    "",
+    `const DEPLOYMENTS = ${JSON.stringify(deployments, null, 4)};`,
+    "",
+  ].join("\n");
+  fs.writeFileSync(deploymentsPath(hre), source);
+}
+
+// networks.js is a classic script too; only its top-level registry constants are read here
+function readNetworks(hre) {
+  const source = fs.readFileSync(path.join(hre.config.paths.root, NETWORKS_FILE), "utf8");
+  return vm.runInNewContext(`${source}\n({ NETWORKS, DEFAULT_CURRENCY });`);
+}
+
+// Resolve the contract from --address or the deployment recorded for the current chain
+async function getContract(hre, address) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const contractAddress = address || (readDeployments(hre)[chainId] || {}).address;
+  if (!contractAddress) {
+    throw new Error(`No deployment recorded for chainId ${chainId}; run "npx hardhat deploy" first or pass --address`);
+  }
+  // The in-process hardhat network starts empty on every run, so a recorded address may hold no code
+  if ((await hre.ethers.provider.getCode(contractAddress)) === "0x") {
+    throw new Error(`No contract at ${contractAddress} on ${hre.network.name}; use --network localhost with a running node`);
+  }
+  return hre.ethers.getContractAt("Project", contractAddress);
+}
+
+async function sendAndWait(txPromise, description) {
+  const tx = await txPromise;
+  console.log(`${description}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Confirmed in block ${receipt.blockNumber}`);
+  return receipt;
+}
+
+// Symbol and decimals of the current chain's native currency, as the frontend shows it
+async function getNativeCurrency(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const { NETWORKS, DEFAULT_CURRENCY } = readNetworks(hre);
+  const { symbol, decimals } = (NETWORKS[chainId] || {}).currency || DEFAULT_CURRENCY;
+  return { symbol, decimals };
+}
+
+// Symbol and decimals of the currency a round is staked in: the native one, or its ERC-20 stake token
+async function getCurrency(hre, token) {
+  if (!token || token === hre.ethers.constants.AddressZero) return getNativeCurrency(hre);
+  const erc20 = await hre.ethers.getContractAt(ERC20_ABI, token);
+  return { symbol: await erc20.symbol(), decimals: await erc20.decimals(), token: erc20 };
+}
+
+function formatAmount(hre, amount, currency) {
+  return `${hre.ethers.utils.formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+}
+
+// Approve the contract to pull an ERC-20 amount from the first configured account, unless it already may
+async function approveIfNeeded(hre, currency, contract, amount) {
+  const [signer] = await hre.ethers.getSigners();
+  const allowance = await currency.token.allowance(signer.address, contract.address);
+  if (allowance.lt(amount)) {
+    await sendAndWait(currency.token.connect(signer).approve(contract.address, amount), `Approving ${currency.symbol}`);
+  }
+}
+
+function parseChoice(value, choices, name) {
+  const index = choices.indexOf(value);
+  if (index === -1) {
+    throw new Error(`Invalid ${name} "${value}"; expected one of: ${choices.join(", ")}`);
+  }
+  return index;
+}
+
+task("deploy", "Deploys the contract and records it in the frontend deployment config")
+  .addOptionalParam("fund", "Initial reward pool deposit in the native currency", "0")
+  .setAction(async ({ fund }, hre) => {
+    await hre.run("compile");
+
+    const [deployer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    console.log(`Deploying Project to ${hre.network.name} (chainId ${chainId}) from ${deployer.address}`);
+
+    const Project = await hre.ethers.getContractFactory("Project");
+    const contract = await Project.deploy();
+    const receipt = await contract.deployTransaction.wait();
+    console.log(`Project deployed at ${contract.address} in block ${receipt.blockNumber}`);
+
+    const deployments = readDeployments(hre);
+    deployments[chainId] = {
+      network: hre.network.name,
+      address: contract.address,
+      deploymentBlock: receipt.blockNumber,
+      deployedAt: new Date().toISOString(),
+      abi: JSON.parse(Project.interface.format(hre.ethers.utils.FormatTypes.json)),
+    };
+    writeDeployments(hre, deployments);
+    console.log(`Wrote ${DEPLOYMENTS_FILE}`);
+
+    const currency = await getNativeCurrency(hre);
+    const deposit = hre.ethers.utils.parseUnits(fund, currency.decimals);
+    if (deposit.gt(0)) {
+      await sendAndWait(
+        contract.depositRewards({ value: deposit }),
+        `Depositing ${fund} ${currency.symbol} into the reward pool`
+      );
+    }
+
+    return contract;
+  });
+
+// Round parameter flags shared by start-round and save-template
+function addRoundParams(definition) {
+  return definition
+    .addParam("commit", "Commit phase duration in seconds", undefined, types.int)
+    .addParam("reveal", "Reveal phase duration in seconds", undefined, types.int)
+    .addParam("threshold", "Consensus threshold percentage", undefined, types.int)
+    .addOptionalParam("options", "Number of options (2-10)", 2, types.int)
+    .addOptionalParam("labels", "Comma-separated option labels", "")
+    .addOptionalParam("policy", `Non-reveal policy: ${NON_REVEAL_POLICIES.join(", ")}`, "refund")
+    .addOptionalParam("slash", "Slash percentage for non-revealers", 0, types.int)
+    .addOptionalParam("mode", `Consensus mode: ${CONSENSUS_MODES.join(", ")}`, "one-address-one-vote")
+    .addOptionalParam("curve", `Reward curve above the threshold: ${REWARD_CURVES.join(", ")}`, "step")
+    .addOptionalParam("maxParticipants", "Participant cap, 0 for no cap", 0, types.int)
+    .addOptionalParam("allowlist", "Allowlist file written by build-allowlist (omit for an open round)")
+    .addOptionalParam("minReputation", "Reputation score percentage needed to join, 0 for none", 0, types.float)
+    .addOptionalParam("token", "ERC-20 stake token accepted with set-stake-token (omit for the native currency)")
+    .addOptionalParam("address", "Contract address (defaults to the recorded deployment)");
+}
+
+// Reputation scores are stored in basis points
+function formatReputation(score) {
+  return `${(Number(score) / 100).toFixed(2)}%`;
+}
+
+function roundParamsFromArgs(args) {
+  return {
+    params: {
+      commitPhaseDuration: args.commit,
+      revealPhaseDuration: args.reveal,
+      consensusThreshold: args.threshold,
+      nonRevealPolicy: parseChoice(args.policy, NON_REVEAL_POLICIES, "policy"),
+      slashPercentage: args.slash,
+      optionCount: args.options,
+      consensusMode: parseChoice(args.mode, CONSENSUS_MODES, "mode"),
+      maxParticipants: args.maxParticipants,
+      allowlistRoot: args.allowlist
+        ? JSON.parse(fs.readFileSync(args.allowlist, "utf8")).root
+        : "0x0000000000000000000000000000000000000000000000000000000000000000",
+      minReputation: Math.round(args.minReputation * 100),
+      stakeToken: args.token || "0x0000000000000000000000000000000000000000",
+      rewardCurve: parseChoice(args.curve, REWARD_CURVES, "curve"),
+    },
+    labels: args.labels ? args.labels.split(",").map((label) => label.trim()) : [],
+  };
+}
+
+task("build-allowlist", "Builds the Merkle allowlist file for a closed round from a list of addresses")
+  .addParam("input", "File with one address per line")
+  .addOptionalParam("output", `Output file (defaults to ${ALLOWLISTS_DIR}/<root>.json, where the frontend looks)`)
+  .setAction(async ({ input, output }, hre) => {
+    const addresses = fs.readFileSync(input, "utf8").split(/\r?\n/).filter((line) => line.trim() && !line.startsWith("#"));
+    const allowlist = buildAllowlist(addresses);
+    const file = output || path.join(hre.config.paths.root, ALLOWLISTS_DIR, `${allowlist.root}.json`);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(allowlist, null, 2)}\n`);
+    console.log(`Allowlist of ${allowlist.count} addresses with root ${allowlist.root}`);
+    console.log(`Wrote ${path.relative(process.cwd(), file)}; pass --allowlist ${path.relative(process.cwd(), file)} to start-round or save-template`);
+    return allowlist;
+  });
+
+addRoundParams(task("start-round", "Starts a coordination round"))
+  .setAction(async (args, hre) => {
+    const contract = await getContract(hre, args.address);
+    const { params, labels } = roundParamsFromArgs(args);
+
+    await sendAndWait(contract.startCoordinationRound(params, labels), "Starting round");
+    console.log(`Round ${await contract.currentRoundId()} started`);
+  });
+
+addRoundParams(task("save-template", "Creates or updates a named round template"))
+  .addParam("name", "Template name")
+  .addOptionalParam("template", "Template id to update, 0 to create a new one", 0, types.int)
+  .addParam("minStake", "Minimum stake in the native currency, or in --token units")
+  .addParam("reward", "Coordination reward in the native currency, or in --token units")
+  .setAction(async (args, hre) => {
+    const { parseUnits } = hre.ethers.utils;
+    const contract = await getContract(hre, args.address);
+    const { params, labels } = roundParamsFromArgs(args);
+    const { decimals } = await getCurrency(hre, params.stakeToken);
+
+    const receipt = await sendAndWait(
+      contract.saveRoundTemplate(
+        args.template,
+        args.name,
+        params,
+        labels,
+        parseUnits(args.minStake, decimals),
+        parseUnits(args.reward, decimals)
+      ),
+      `Saving template "${args.name}"`
+    );
+    const saved = receipt.events.find((event) => event.event === "RoundTemplateSaved");
+    console.log(`Template ${saved.args.templateId} saved`);
+  });
+
+task("start-template", "Starts a round from a saved template")
+  .addParam("template", "Template id", undefined, types.int)
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ template, address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.startRoundFromTemplate(template), `Starting a round from template ${template}`);
+    console.log(`Round ${await contract.currentRoundId()} started`);
+  });
+
+task("set-schedule", "Schedules recurring rounds from a template, or clears the schedule with --template 0")
+  .addParam("template", "Template id, 0 to clear the schedule", undefined, types.int)
+  .addOptionalParam("start", "First start as a unix timestamp (defaults to now)", undefined, types.int)
+  .addOptionalParam("interval", "Seconds between scheduled rounds", 0, types.int)
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ template, start, interval, address }, hre) => {
+    const contract = await getContract(hre, address);
+    const nextStartTime = start !== undefined ? start : Math.floor(Date.now() / 1000);
+    const description = template === 0
+      ? "Clearing the round schedule"
+      : `Scheduling template ${template} every ${interval}s from ${new Date(nextStartTime * 1000).toISOString()}`;
+    await sendAndWait(contract.setRoundSchedule(template, nextStartTime, interval), description);
+  });
+
+task("start-scheduled-round", "Starts the next scheduled round once it is due (callable by anyone)")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.startScheduledRound(), "Starting the scheduled round");
+    console.log(`Round ${await contract.currentRoundId()} started`);
+  });
+
+task("templates", "Lists the round templates and the recurring schedule")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ address }, hre) => {
+    const contract = await getContract(hre, address);
+    const templateCount = (await contract.templateCount()).toNumber();
+    if (templateCount === 0) {
+      console.log("No templates have been saved yet");
+    }
+
+    for (let templateId = 1; templateId <= templateCount; templateId++) {
+      const { name, params, optionLabels, minStake_, coordinationReward_ } = await contract.getRoundTemplate(templateId);
+      const currency = await getCurrency(hre, params.stakeToken);
+      console.log(`Template ${templateId}: ${name}`);
+      console.log(`  Phases:           ${params.commitPhaseDuration}s commit, ${params.revealPhaseDuration}s reveal`);
+      console.log(`  Threshold:        ${params.consensusThreshold}%`);
+      console.log(`  Options:          ${params.optionCount}${optionLabels.length ? ` (${optionLabels.join(", ")})` : ""}`);
+      console.log(`  Consensus mode:   ${CONSENSUS_MODES[params.consensusMode]}`);
+      console.log(`  Non-reveal:       ${NON_REVEAL_POLICIES[params.nonRevealPolicy]} (${params.slashPercentage}% slash)`);
+      console.log(`  Max participants: ${params.maxParticipants.eq(0) ? "unlimited" : params.maxParticipants}`);
+      console.log(`  Allowlist root:   ${params.allowlistRoot === hre.ethers.constants.HashZero ? "open" : params.allowlistRoot}`);
+      console.log(`  Min reputation:   ${params.minReputation.eq(0) ? "none" : formatReputation(params.minReputation)}`);
+      if (currency.token) {
+        console.log(`  Stake token:      ${currency.symbol} (${params.stakeToken})`);
+      }
+      console.log(`  Min stake:        ${formatAmount(hre, minStake_, currency)}`);
+      console.log(`  Reward:           ${formatAmount(hre, coordinationReward_, currency)} (${REWARD_CURVES[params.rewardCurve]} curve)`);
+    }
+
+    const schedule = await contract.roundSchedule();
+    if (schedule.templateId.eq(0)) {
+      console.log("No recurring schedule");
+      return;
+    }
+    console.log(`Schedule: template ${schedule.templateId} every ${schedule.interval}s`);
+    console.log(`  Next start:       ${new Date(schedule.nextStartTime.toNumber() * 1000).toISOString()}`);
+    console.log(`  Last round:       ${schedule.lastRoundId.eq(0) ? "none yet" : schedule.lastRoundId}`);
+  });
+
+task("fund-pool", "Deposits the native currency, or an ERC-20 stake token, into the reward pool")
+  .addParam("amount", "Amount in the native currency, or in --token units")
+  .addOptionalParam("token", "ERC-20 token to deposit (omit for the native currency)")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ amount, token, address }, hre) => {
+    const contract = await getContract(hre, address);
+    const currency = await getCurrency(hre, token);
+    const value = hre.ethers.utils.parseUnits(amount, currency.decimals);
+
+    if (currency.token) {
+      await approveIfNeeded(hre, currency, contract, value);
+      await sendAndWait(contract.depositTokenRewards(token, value), `Depositing ${amount} ${currency.symbol}`);
+      console.log(`Reward pool: ${formatAmount(hre, await contract.getTokenRewardPoolBalance(token), currency)}`);
+      return;
+    }
+    await sendAndWait(contract.depositRewards({ value }), `Depositing ${amount} ${currency.symbol}`);
+    console.log(`Reward pool: ${formatAmount(hre, await contract.getRewardPoolBalance(), currency)}`);
+  });
+
+task("set-stake-token", "Accepts an ERC-20 token for staking, or stops new rounds from using it with --min-stake 0")
+  .addParam("token", "ERC-20 token address")
+  .addParam("minStake", "Minimum stake of manual rounds in token units, 0 to stop accepting the token")
+  .addParam("reward", "Coordination reward of manual rounds in token units")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ token, minStake, reward, address }, hre) => {
+    const { parseUnits } = hre.ethers.utils;
+    const contract = await getContract(hre, address);
+    const currency = await getCurrency(hre, token);
+    await sendAndWait(
+      contract.setStakeToken(token, parseUnits(minStake, currency.decimals), parseUnits(reward, currency.decimals)),
+      `Setting ${currency.symbol} to a ${minStake} ${currency.symbol} minimum stake and ${reward} ${currency.symbol} reward`
+    );
+    console.log(`Reward pool: ${formatAmount(hre, await contract.getTokenRewardPoolBalance(token), currency)}`);
+  });
+
+task("set-min-stake", "Updates the minimum stake")
+  .addParam("value", "New minimum stake in the native currency")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ value, address }, hre) => {
+    const contract = await getContract(hre, address);
+    const currency = await getNativeCurrency(hre);
+    await sendAndWait(
+      contract.updateMinStake(hre.ethers.utils.parseUnits(value, currency.decimals)),
+      `Setting minStake to ${value} ${currency.symbol}`
+    );
+  });
+
+task("set-coordination-reward", "Updates the coordination reward reserved by new rounds")
+  .addParam("value", "New coordination reward in the native currency")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ value, address }, hre) => {
+    const contract = await getContract(hre, address);
+    const currency = await getNativeCurrency(hre);
+    await sendAndWait(
+      contract.updateCoordinationReward(hre.ethers.utils.parseUnits(value, currency.decimals)),
+      `Setting coordinationReward to ${value} ${currency.symbol}`
+    );
+  });
+
+task("pause", "Pauses joins, reveals, finalization and scheduled starts (claims and settlement keep working)")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.pause(), "Pausing the contract");
+  });
+
+task("unpause", "Resumes joins, reveals, finalization and scheduled starts")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.unpause(), "Unpausing the contract");
+  });
+
+task("cancel-round", "Cancels a round that is not finalized yet and refunds every stake")
+  .addParam("round", "Round id", undefined, types.int)
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ round, address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.cancelRound(round), `Cancelling round ${round}`);
+    await hre.run("round-info", { round, address: contract.address });
+  });
+
+task("transfer-ownership", "Nominates a new owner, who takes over with accept-ownership")
+  .addParam("owner", "New owner address, or the zero address to withdraw a nomination")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ owner, address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.transferOwnership(owner), `Nominating ${owner} as owner`);
+  });
+
+task("accept-ownership", "Accepts a pending ownership transfer with the first configured account")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.acceptOwnership(), "Accepting ownership");
+    console.log(`Owner: ${await contract.owner()}`);
+  });
+
+task("set-operator", "Grants or revokes the right to start rounds")
+  .addParam("operator", "Operator address")
+  .addOptionalParam("enabled", "true to grant, false to revoke", true, types.boolean)
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ operator, enabled, address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(
+      contract.setOperator(operator, enabled),
+      `${enabled ? "Granting" : "Revoking"} operator rights for ${operator}`
+    );
+  });
+
+task("finalize-round", "Finalizes a round whose reveal phase has ended")
+  .addParam("round", "Round id", undefined, types.int)
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ round, address }, hre) => {
+    const contract = await getContract(hre, address);
+    await sendAndWait(contract.finalizeRound(round), `Finalizing round ${round}`);
+    await hre.run("round-info", { round, address: contract.address });
+  });
+
+task("settle-round", "Credits the payouts of a finalized round's remaining participants in batches")
+  .addParam("round", "Round id", undefined, types.int)
+  .addOptionalParam("batch", "Participants credited per transaction", 100, types.int)
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ round, batch, address }, hre) => {
+    const contract = await getContract(hre, address);
+    let { unsettledCount } = await contract.getRoundSettlement(round);
+    if (unsettledCount.eq(0)) {
+      console.log(`Round ${round} is already settled`);
+      return;
+    }
+
+    while (unsettledCount.gt(0)) {
+      await sendAndWait(contract.settleRound(round, batch), `Settling round ${round} (${unsettledCount} left)`);
+      ({ unsettledCount } = await contract.getRoundSettlement(round));
+    }
+    console.log(`Round ${round} is settled`);
+  });
+
+task("reputation", "Prints the coordination record and reputation score of an account")
+  .addOptionalParam("account", "Account address (defaults to the first configured account)")
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ account, address }, hre) => {
+    const contract = await getContract(hre, address);
+    const target = account || (await (await hre.ethers.getSigners())[0].getAddress());
+    const reputation = await contract.reputations(target);
+
+    console.log(`Reputation of ${target}`);
+    console.log(`  Score:            ${formatReputation(await contract.getReputationScore(target))}`);
+    console.log(`  Rounds joined:    ${reputation.roundsJoined}`);
+    console.log(`  Reveals:          ${reputation.reveals}`);
+    console.log(`  Wins:             ${reputation.wins}`);
+    console.log(`  Losses:           ${reputation.losses}`);
+    console.log(`  No-shows:         ${reputation.noShows}`);
+  });
+
+task("round-info", "Prints the configuration, phase and result of a round")
+  .addOptionalParam("round", "Round id (defaults to the current round)", undefined, types.int)
+  .addOptionalParam("address", "Contract address (defaults to the recorded deployment)")
+  .setAction(async ({ round, address }, hre) => {
+    const contract = await getContract(hre, address);
+    const roundId = round !== undefined ? round : (await contract.currentRoundId()).toNumber();
+    if (roundId === 0) {
+      console.log("No rounds have been started yet");
+      return;
+    }
+
+    const info = await contract.getRoundInfo(roundId);
+    const [nonRevealPolicy, slashPercentage, rewardCurve] = await contract.getRoundPolicy(roundId);
+    const [optionCount, optionLabels] = await contract.getRoundOptions(roundId);
+    const consensusMode = await contract.getConsensusMode(roundId);
+    const limits = await contract.getRoundLimits(roundId);
+    const currency = await getCurrency(hre, limits.stakeToken);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+
+    const result = info.roundFinalized ? await contract.getRoundResult(roundId) : undefined;
+    let phase = result && result.cancelled ? "cancelled" : "finalized";
+    if (!info.roundFinalized) {
+      if (timestamp <= info.commitPhaseEnd.toNumber()) phase = "commit";
+      else if (timestamp <= info.revealPhaseEnd.toNumber()) phase = "reveal";
+      else phase = "awaiting finalization";
+    }
+
+    console.log(`Round ${roundId} (${phase})`);
+    console.log(`  Started:          ${new Date(info.startTime.toNumber() * 1000).toISOString()}`);
+    console.log(`  Commit ends:      ${new Date(info.commitPhaseEnd.toNumber() * 1000).toISOString()}`);
+    console.log(`  Reveal ends:      ${new Date(info.revealPhaseEnd.toNumber() * 1000).toISOString()}`);
+    console.log(`  Threshold:        ${info.consensusThreshold}%`);
+    console.log(`  Options:          ${optionCount}${optionLabels.length ? ` (${optionLabels.join(", ")})` : ""}`);
+    console.log(`  Consensus mode:   ${CONSENSUS_MODES[consensusMode]}`);
+    console.log(`  Non-reveal:       ${NON_REVEAL_POLICIES[nonRevealPolicy]} (${slashPercentage}% slash)`);
+    console.log(`  Participants:     ${info.participantCount}${limits.maxParticipants.eq(0) ? "" : ` of ${limits.maxParticipants}`}`);
+    if (currency.token) {
+      console.log(`  Stake token:      ${currency.symbol} (${limits.stakeToken})`);
+    }
+    console.log(`  Min stake:        ${formatAmount(hre, limits.minStake_, currency)}`);
+    console.log(`  Reward:           ${formatAmount(hre, limits.reservedReward, currency)} (${REWARD_CURVES[rewardCurve]} curve)`);
+    if (!limits.templateId.eq(0)) {
+      console.log(`  Template:         ${limits.templateId}`);
+    }
+    if (limits.allowlistRoot !== hre.ethers.constants.HashZero) {
+      console.log(`  Allowlist root:   ${limits.allowlistRoot}`);
+    }
+    if (!limits.minReputation.eq(0)) {
+      console.log(`  Min reputation:   ${formatReputation(limits.minReputation)}`);
+    }
+    console.log(`  Total stake:      ${formatAmount(hre, info.totalStake, currency)}`);
+
+    if (result && result.cancelled) {
+      console.log("  Result:           cancelled, every stake refunded");
+    } else if (result) {
+      console.log(`  Coordination:     ${info.coordinationResult}% (${result.coordinated ? "succeeded" : "failed"})`);
+      console.log(`  Winning choice:   ${result.winningChoice}`);
+      console.log(`  Choice counts:    ${result.choiceCounts.join(", ")}`);
+      console.log(`  Non-reveals:      ${result.nonRevealCount}`);
+      console.log(`  Total reward:     ${formatAmount(hre, result.totalReward, currency)}`);
+    }
+
+    if (info.roundFinalized) {
+      const settlement = await contract.getRoundSettlement(roundId);
+      console.log(
+        `  Unsettled:        ${settlement.unsettledCount}` +
+          (settlement.unsettledCount.eq(0)
+            ? ""
+            : ` (${formatAmount(hre, settlement.payoutReserve, currency)} reserved, run settle-round)`)
+      );
+    }
+  });
+
+module.exports = { readDeployments, getContract };
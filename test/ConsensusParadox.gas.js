@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { STAKE, roundParams, commitmentFor, increaseTime, liabilitiesOf, expectSolvent } = require("./helpers");
+
+// Gas benchmarks: the cost of a reveal, of finalization and of a settlement batch must not grow with the
+// number of participants, so rounds of any size can be revealed and settled within the block gas limit.
+// A thousand joins take minutes, so they only run with GAS_BENCHMARK set (`npm run bench`).
+const PARTICIPANTS = 1024;
+const POOL_FUNDING = ethers.utils.parseEther("1000");
+const WALLET_BALANCE = ethers.utils.parseEther("10");
+// Every transaction mines a block one second later, so phases must outlast a thousand joins
+const PHASE_DURATION = 3600;
+const SETTLE_BATCH = 100;
+// Reveals differ only in calldata bytes and the first write to each tally slot
+const FLAT_TOLERANCE = 0.01;
+
+(process.env.GAS_BENCHMARK ? describe : describe.skip)("ConsensusParadox gas benchmarks", function () {
+  this.timeout(900000);
+
+  let contract;
+  let wallets;
+
+  before(async function () {
+    wallets = [];
+    for (let i = 0; i < PARTICIPANTS; i++) {
+      const privateKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`benchmark-${i}`));
+      const wallet = new ethers.Wallet(privateKey, ethers.provider);
+      await network.provider.send("hardhat_setBalance", [wallet.address, WALLET_BALANCE.toHexString()]);
+      wallets.push(wallet);
+    }
+  });
+
+  beforeEach(async function () {
+    const Project = await ethers.getContractFactory("Project");
+    contract = await Project.deploy();
+    await contract.deployed();
+    await contract.depositRewards({ value: POOL_FUNDING });
+  });
+
+  // Three quarters agree on option 1 so the round coordinates; nonces keep the same byte length
+  const choiceOf = (index) => (index % 4 === 0 ? 0 : 1);
+  const nonceOf = (index) => 1000000 + index;
+
+  async function runRound(participants) {
+    await contract.startCoordinationRound(
+      roundParams({ commitPhaseDuration: PHASE_DURATION, revealPhaseDuration: PHASE_DURATION }),
+      []
+    );
+    const roundId = await contract.currentRoundId();
+    for (let i = 0; i < participants.length; i++) {
+      await contract
+        .connect(participants[i])
+        .joinCoordinationRound(roundId, commitmentFor(contract, roundId, participants[i].address, choiceOf(i), nonceOf(i)), [], {
+          value: STAKE,
+        });
+    }
+
+    await increaseTime(PHASE_DURATION);
+    const revealGas = [];
+    for (let i = 0; i < participants.length; i++) {
+      const tx = await contract.connect(participants[i]).revealChoiceAndCoordinate(roundId, choiceOf(i), nonceOf(i));
+      revealGas.push((await tx.wait()).gasUsed.toNumber());
+    }
+    return { roundId, revealGas };
+  }
+
+  // Reveals for option 1 after both tallies have been written once, excluding the finalizing last reveal
+  function steadyRevealGas(revealGas) {
+    return revealGas.slice(4, -1).filter((_, offset) => choiceOf(offset + 4) === 1);
+  }
+
+  it("keeps the per-reveal cost flat from ten to a thousand participants", async function () {
+    const small = steadyRevealGas((await runRound(wallets.slice(0, 10))).revealGas);
+    const { roundId, revealGas } = await runRound(wallets);
+    const large = steadyRevealGas(revealGas);
+
+    const smallest = Math.min(...small, ...large);
+    const largest = Math.max(...small, ...large);
+    console.log(
+      `      reveal gas: ${small[0]} (10 participants), ${large[0]} (first of ${PARTICIPANTS}), ` +
+        `${large[large.length - 1]} (last of ${PARTICIPANTS}); finalizing reveal ${revealGas[revealGas.length - 1]}`
+    );
+    expect(largest - smallest).to.be.lte(smallest * FLAT_TOLERANCE);
+
+    // The last reveal finalizes and settles one fixed-size batch, whatever the round size
+    const info = await contract.getRoundInfo(roundId);
+    expect(info.roundFinalized).to.equal(true);
+    const { unsettledCount } = await contract.getRoundSettlement(roundId);
+    expect(unsettledCount).to.equal(PARTICIPANTS - (await contract.SETTLEMENT_BATCH_SIZE()).toNumber());
+    await expectSolvent(contract);
+  });
+
+  it("settles a thousand participants in bounded batches and through self-claims", async function () {
+    const { roundId } = await runRound(wallets);
+    const { rewardPerWinner } = await contract.getRoundResult(roundId);
+
+    // A few late winners claim their share before any batch reaches them
+    const claimants = [PARTICIPANTS - 3, PARTICIPANTS - 2, PARTICIPANTS - 1].map((index) => wallets[index]);
+    for (const wallet of claimants) {
+      const pending = await contract.getPendingPayout(roundId, wallet.address);
+      expect(pending.settled).to.equal(false);
+      expect(pending.amount).to.equal(rewardPerWinner);
+      await expect(contract.connect(wallet).claimRoundRewards([roundId])).to.changeEtherBalance(wallet, rewardPerWinner);
+    }
+
+    const batchGas = [];
+    while ((await contract.getRoundSettlement(roundId)).unsettledCount.gt(0)) {
+      const tx = await contract.settleRound(roundId, SETTLE_BATCH);
+      batchGas.push((await tx.wait()).gasUsed.toNumber());
+    }
+    console.log(`      settlement gas per batch of ${SETTLE_BATCH}: ${batchGas.join(", ")}`);
+    // Full batches cost the same wherever the cursor is, well within the block gas limit
+    const fullBatches = batchGas.slice(0, -1);
+    expect(Math.max(...fullBatches) - Math.min(...fullBatches)).to.be.lte(Math.min(...fullBatches) * FLAT_TOLERANCE);
+    expect(Math.max(...batchGas)).to.be.lt(10000000);
+
+    // Claimed participants are skipped, not paid twice, and every remaining credit is claimable
+    for (const wallet of claimants) {
+      expect(await contract.getParticipantReward(wallet.address)).to.equal(0);
+    }
+    expect(await contract.getParticipantReward(wallets[1].address)).to.equal(rewardPerWinner);
+    expect(await contract.getParticipantReward(wallets[0].address)).to.equal(0);
+    await expect(contract.settleRound(roundId, SETTLE_BATCH)).to.be.revertedWith("Round already settled");
+    expect((await liabilitiesOf(contract)).unsettledPayouts).to.equal(0);
+    expect(await contract.getTotalLiabilities()).to.equal((await liabilitiesOf(contract)).outstandingRewards);
+    await expectSolvent(contract);
+  });
+});
@@ -0,0 +1,1681 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+
+const {
+  COMMIT_DURATION,
+  REVEAL_DURATION,
+  STAKE,
+  POOL_FUNDING,
+  Policy,
+  Mode,
+  Curve,
+  roundParams,
+  COMMITMENT_VERSION,
+  commitmentFor,
+  REVEAL_AUTHORIZATION_TYPES,
+  revealAuthorizationDomain,
+  signRevealAuthorization,
+  increaseTime,
+  setNextTimestamp,
+  liabilitiesOf,
+  expectSolvent,
+} = require("./helpers");
+const { buildAllowlist } = require("../scripts/allowlist");
+
+// EIP-170 limit on deployed code; networks refuse to deploy anything larger
+const MAX_CODE_SIZE = 24576;
+
+// Checked from the artifact rather than a deployment, so an oversized build fails here with its size
+// instead of in every deployment of the suite
+describe("ConsensusParadox code size", function () {
+  it("fits within the contract code size limit", async function () {
+    const { deployedBytecode } = await artifacts.readArtifact("Project");
+    const size = (deployedBytecode.length - 2) / 2;
+    expect(size, `deployed code is ${size - MAX_CODE_SIZE} bytes over the limit`).to.be.lte(MAX_CODE_SIZE);
+  });
+});
+
+describe("ConsensusParadox", function () {
+  let contract;
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+  let outsider;
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol, outsider] = await ethers.getSigners();
+    const Project = await ethers.getContractFactory("Project");
+    contract = await Project.deploy();
+    await contract.deployed();
+    await contract.depositRewards({ value: POOL_FUNDING });
+  });
+
+  async function startRound(threshold = 60, policy = Policy.Refund, slashPercentage = 0) {
+    await contract.startCoordinationRound(
+      roundParams({ consensusThreshold: threshold, nonRevealPolicy: policy, slashPercentage }),
+      []
+    );
+    return contract.currentRoundId();
+  }
+
+  function join(signer, roundId, choice, nonce, stake = STAKE, proof = []) {
+    return contract.connect(signer).joinCoordinationRound(roundId, commitmentFor(contract, roundId, signer.address, choice, nonce), proof, { value: stake });
+  }
+
+  function reveal(signer, roundId, choice, nonce) {
+    return contract.connect(signer).revealChoiceAndCoordinate(roundId, choice, nonce);
+  }
+
+  async function phaseEnds(roundId) {
+    const info = await contract.getRoundInfo(roundId);
+    return { commitEnd: info.commitPhaseEnd, revealEnd: info.revealPhaseEnd };
+  }
+
+  describe("access control", function () {
+    it("restricts every admin function to the owner", async function () {
+      const asOutsider = contract.connect(outsider);
+      const onlyOwner = "Only owner can call this function";
+      const onlyOperator = "Only owner or operator can call this function";
+
+      await expect(asOutsider.startCoordinationRound(roundParams(), [])).to.be.revertedWith(onlyOperator);
+      await expect(asOutsider.updateMinStake(1)).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.updateCoordinationReward(1)).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.updateTreasury(outsider.address)).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.withdrawContractBalance()).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.saveRoundTemplate(0, "Daily", roundParams(), [], STAKE, 0)).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.startRoundFromTemplate(1)).to.be.revertedWith(onlyOperator);
+      await expect(asOutsider.setRoundSchedule(0, 0, 0)).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.pause()).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.unpause()).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.cancelRound(1)).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.transferOwnership(outsider.address)).to.be.revertedWith(onlyOwner);
+      await expect(asOutsider.setOperator(outsider.address, true)).to.be.revertedWith(onlyOwner);
+    });
+
+    it("applies minimum stake and reward updates to later rounds", async function () {
+      await contract.updateMinStake(STAKE.mul(2));
+      await contract.updateCoordinationReward(ethers.utils.parseEther("2"));
+      const roundId = await startRound();
+
+      await expect(join(alice, roundId, 1, 11)).to.be.revertedWith("Insufficient stake");
+      await join(alice, roundId, 1, 11, STAKE.mul(2));
+      expect((await liabilitiesOf(contract)).reservedRewards).to.equal(ethers.utils.parseEther("2"));
+    });
+  });
+
+  describe("commit phase", function () {
+    it("only accepts joins for rounds that exist and are still active", async function () {
+      await expect(join(alice, 0, 1, 11)).to.be.revertedWith("Round does not exist or inactive");
+      await expect(join(alice, 1, 1, 11)).to.be.revertedWith("Round does not exist or inactive");
+
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+
+      await expect(join(bob, roundId, 1, 22)).to.be.revertedWith("Round does not exist or inactive");
+    });
+
+    it("accepts a join at the last second of the commit phase and rejects one after", async function () {
+      const roundId = await startRound();
+      const { commitEnd } = await phaseEnds(roundId);
+
+      await setNextTimestamp(commitEnd);
+      await join(alice, roundId, 1, 11);
+
+      await setNextTimestamp(commitEnd.add(1));
+      await expect(join(bob, roundId, 1, 22)).to.be.revertedWith("Commit phase has ended");
+    });
+
+    it("validates the stake and commitment", async function () {
+      const roundId = await startRound();
+      const minStake = await contract.minStake();
+
+      await expect(join(alice, roundId, 1, 11, minStake.sub(1))).to.be.revertedWith("Insufficient stake");
+      await expect(
+        contract.connect(alice).joinCoordinationRound(roundId, ethers.constants.HashZero, [], { value: STAKE })
+      ).to.be.revertedWith("Invalid commitment hash");
+
+      await join(alice, roundId, 1, 11, minStake);
+      await expect(join(alice, roundId, 0, 12)).to.be.revertedWith("Already committed");
+    });
+
+    it("records the commitment, stake and round totals", async function () {
+      const roundId = await startRound();
+      await expect(join(alice, roundId, 1, 11))
+        .to.emit(contract, "ParticipantJoined")
+        .withArgs(roundId, alice.address, STAKE)
+        .and.to.emit(contract, "CommitmentMade")
+        .withArgs(roundId, alice.address, commitmentFor(contract, roundId, alice.address, 1, 11));
+      await join(bob, roundId, 0, 22, STAKE.mul(3));
+
+      const info = await contract.getRoundInfo(roundId);
+      expect(info.participantCount).to.equal(2);
+      expect(info.totalStake).to.equal(STAKE.mul(4));
+      expect((await liabilitiesOf(contract)).activeStakes).to.equal(STAKE.mul(4));
+
+      const participant = await contract.getParticipantInfo(roundId, bob.address);
+      expect(participant.hasCommitted).to.equal(true);
+      expect(participant.hasRevealed).to.equal(false);
+      expect(participant.stake).to.equal(STAKE.mul(3));
+    });
+  });
+
+  describe("reveal phase", function () {
+    it("opens one second after the commit phase and closes at its deadline", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 0, 33);
+      const { commitEnd, revealEnd } = await phaseEnds(roundId);
+
+      await setNextTimestamp(commitEnd);
+      await expect(reveal(alice, roundId, 1, 11)).to.be.revertedWith("Not in reveal phase");
+
+      await setNextTimestamp(commitEnd.add(1));
+      await reveal(alice, roundId, 1, 11);
+
+      await setNextTimestamp(revealEnd);
+      await reveal(bob, roundId, 1, 22);
+
+      await setNextTimestamp(revealEnd.add(1));
+      await expect(reveal(carol, roundId, 0, 33)).to.be.revertedWith("Not in reveal phase");
+    });
+
+    it("allows finalization only after the reveal deadline", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      const { revealEnd } = await phaseEnds(roundId);
+
+      await setNextTimestamp(revealEnd);
+      await expect(contract.finalizeRound(roundId)).to.be.revertedWith("Reveal phase not ended");
+
+      await setNextTimestamp(revealEnd.add(1));
+      await expect(contract.finalizeRound(roundId)).to.emit(contract, "RoundFinalized");
+    });
+
+    it("rejects reveals that do not match a commitment", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await increaseTime(COMMIT_DURATION + 1);
+
+      await expect(reveal(carol, roundId, 1, 33)).to.be.revertedWith("Must commit first");
+      await expect(reveal(alice, roundId, 1, 12)).to.be.revertedWith("Invalid proof - commitment mismatch");
+      await expect(reveal(alice, roundId, 0, 11)).to.be.revertedWith("Invalid proof - commitment mismatch");
+
+      await expect(reveal(alice, roundId, 1, 11))
+        .to.emit(contract, "ChoiceRevealed")
+        .withArgs(roundId, alice.address, 1);
+      await expect(reveal(alice, roundId, 1, 11)).to.be.revertedWith("Already revealed");
+    });
+
+    it("finalizes in the last reveal once every participant has revealed", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await increaseTime(COMMIT_DURATION + 1);
+
+      await expect(reveal(alice, roundId, 1, 11)).not.to.emit(contract, "RoundFinalized");
+      await expect(reveal(bob, roundId, 1, 22)).to.emit(contract, "RoundFinalized");
+
+      const info = await contract.getRoundInfo(roundId);
+      expect(info.roundFinalized).to.equal(true);
+      expect(info.isActive).to.equal(false);
+      expect(info.coordinationResult).to.equal(100);
+    });
+  });
+
+  describe("commitment binding", function () {
+    it("binds the versioned commitment to the contract, chain, round and committer", async function () {
+      const roundId = await startRound();
+      const hash = commitmentFor(contract, roundId, alice.address, 1, 11);
+      expect(await contract.COMMITMENT_VERSION()).to.equal(COMMITMENT_VERSION);
+      expect(await contract.getCommitmentHash(roundId, alice.address, 1, 11)).to.equal(hash);
+
+      expect(await contract.getCommitmentHash(roundId, bob.address, 1, 11)).not.to.equal(hash);
+      expect(await contract.getCommitmentHash(roundId.add(1), alice.address, 1, 11)).not.to.equal(hash);
+      expect(commitmentFor(contract, roundId, alice.address, 1, 11, 1)).not.to.equal(hash);
+    });
+
+    it("does not let a copied commitment be revealed by the copier", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+
+      // The copier takes Alice's hash from her CommitmentMade event and commits it as their own
+      const [committed] = await contract.queryFilter(contract.filters.CommitmentMade(roundId, alice.address));
+      await contract.connect(outsider).joinCoordinationRound(roundId, committed.args.commitment, [], { value: STAKE });
+      await increaseTime(COMMIT_DURATION + 1);
+
+      // Once Alice's reveal is public, its choice and nonce are replayed
+      const revealTx = await reveal(alice, roundId, 1, 11);
+      const [, choice, nonce] = contract.interface.parseTransaction(revealTx).args;
+      await expect(reveal(outsider, roundId, choice, nonce)).to.be.revertedWith(
+        "Invalid proof - commitment mismatch"
+      );
+      expect((await contract.getParticipantInfo(roundId, outsider.address)).hasRevealed).to.equal(false);
+    });
+
+    it("rejects commitments reused from another round, deployment or chain", async function () {
+      const first = await startRound();
+      const second = await startRound();
+      const Project = await ethers.getContractFactory("Project");
+      const other = await Project.deploy();
+      await other.depositRewards({ value: POOL_FUNDING });
+      await other.startCoordinationRound(roundParams(), []);
+
+      const commit = (target, roundId, hash) =>
+        target.connect(alice).joinCoordinationRound(roundId, hash, [], { value: STAKE });
+      await commit(contract, first, commitmentFor(contract, first, alice.address, 1, 11, 1));
+      await commit(contract, second, commitmentFor(contract, first, alice.address, 1, 11));
+      await commit(other, 1, commitmentFor(contract, 1, alice.address, 1, 11));
+      await increaseTime(COMMIT_DURATION + 1);
+
+      const mismatch = "Invalid proof - commitment mismatch";
+      await expect(reveal(alice, first, 1, 11)).to.be.revertedWith(mismatch);
+      await expect(reveal(alice, second, 1, 11)).to.be.revertedWith(mismatch);
+      await expect(other.connect(alice).revealChoiceAndCoordinate(1, 1, 11)).to.be.revertedWith(mismatch);
+    });
+  });
+
+  describe("relayed reveals", function () {
+    function relayReveal(relayer, roundId, participant, choice, nonce, signature) {
+      return contract.connect(relayer).revealWithSignature(roundId, participant.address, choice, nonce, signature);
+    }
+
+    it("computes the same digest as an EIP-712 signer", async function () {
+      const domain = await revealAuthorizationDomain(contract);
+      const expected = ethers.utils._TypedDataEncoder.hash(domain, REVEAL_AUTHORIZATION_TYPES, {
+        roundId: 3,
+        choice: 1,
+        nonce: 11,
+      });
+
+      expect(await contract.getRevealAuthorizationDigest(3, 1, 11)).to.equal(expected);
+    });
+
+    it("lets anyone reveal with a participant's signature and attributes the reveal to the signer", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      const signature = await signRevealAuthorization(alice, contract, roundId, 1, 11);
+      await increaseTime(COMMIT_DURATION + 1);
+
+      await expect(relayReveal(outsider, roundId, alice, 1, 11, signature))
+        .to.emit(contract, "RevealRelayed")
+        .withArgs(roundId, alice.address, outsider.address)
+        .and.to.emit(contract, "ChoiceRevealed")
+        .withArgs(roundId, alice.address, 1);
+      expect((await contract.getParticipantInfo(roundId, alice.address)).hasRevealed).to.equal(true);
+      expect((await contract.getParticipantInfo(roundId, outsider.address)).hasCommitted).to.equal(false);
+
+      // The relayer gains nothing: rewards go to the participants
+      await reveal(bob, roundId, 1, 22);
+      expect(await contract.getParticipantReward(alice.address)).to.be.gt(STAKE);
+      expect(await contract.getParticipantReward(outsider.address)).to.equal(0);
+    });
+
+    it("rejects signatures from anyone but the participant or over other values", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      const byBob = await signRevealAuthorization(bob, contract, roundId, 1, 11);
+      const byAlice = await signRevealAuthorization(alice, contract, roundId, 1, 11);
+      const forOtherRound = await signRevealAuthorization(alice, contract, roundId.add(1), 1, 11);
+      await increaseTime(COMMIT_DURATION + 1);
+
+      await expect(relayReveal(outsider, roundId, alice, 1, 11, byBob)).to.be.revertedWith("Invalid signature");
+      await expect(relayReveal(outsider, roundId, alice, 0, 11, byAlice)).to.be.revertedWith("Invalid signature");
+      await expect(relayReveal(outsider, roundId, alice, 1, 12, byAlice)).to.be.revertedWith("Invalid signature");
+      await expect(relayReveal(outsider, roundId, alice, 1, 11, forOtherRound)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("applies the same phase and commitment checks as a direct reveal", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      const signature = await signRevealAuthorization(alice, contract, roundId, 1, 11);
+      const mismatched = await signRevealAuthorization(bob, contract, roundId, 1, 23);
+      const notJoined = await signRevealAuthorization(carol, contract, roundId, 1, 33);
+      const { commitEnd, revealEnd } = await phaseEnds(roundId);
+
+      await setNextTimestamp(commitEnd);
+      await expect(relayReveal(outsider, roundId, alice, 1, 11, signature)).to.be.revertedWith("Not in reveal phase");
+
+      await setNextTimestamp(commitEnd.add(1));
+      await relayReveal(outsider, roundId, alice, 1, 11, signature);
+      await expect(relayReveal(outsider, roundId, alice, 1, 11, signature)).to.be.revertedWith("Already revealed");
+      await expect(relayReveal(outsider, roundId, bob, 1, 23, mismatched)).to.be.revertedWith(
+        "Invalid proof - commitment mismatch"
+      );
+      await expect(relayReveal(outsider, roundId, carol, 1, 33, notJoined)).to.be.revertedWith("Must commit first");
+
+      const lateSignature = await signRevealAuthorization(bob, contract, roundId, 1, 22);
+      await setNextTimestamp(revealEnd.add(1));
+      await expect(relayReveal(outsider, roundId, bob, 1, 22, lateSignature)).to.be.revertedWith("Not in reveal phase");
+    });
+  });
+
+  describe("claimRewards", function () {
+    it("reverts when there is nothing to claim", async function () {
+      await expect(contract.connect(alice).claimRewards()).to.be.revertedWith("No rewards to claim");
+    });
+
+    it("pays the credited amount once and clears the liability", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+
+      const reward = await contract.getParticipantReward(alice.address);
+      expect(reward).to.equal(STAKE.add(await contract.coordinationReward()));
+
+      await expect(contract.connect(alice).claimRewards())
+        .to.emit(contract, "RewardClaimed")
+        .withArgs(alice.address, reward)
+        .and.to.changeEtherBalance(alice, reward);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(0);
+      expect(await contract.getTotalLiabilities()).to.equal(0);
+      await expect(contract.connect(alice).claimRewards()).to.be.revertedWith("No rewards to claim");
+    });
+  });
+
+  describe("finalizeRound", function () {
+    it("reverts while the reveal phase is still open", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+
+      await expect(contract.finalizeRound(roundId)).to.be.revertedWith("Reveal phase not ended");
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await expect(contract.finalizeRound(roundId)).to.be.revertedWith("Reveal phase not ended");
+    });
+
+    it("lets anyone finalize once the reveal window has closed", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 0, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 1, 22);
+      await increaseTime(REVEAL_DURATION);
+
+      const reward = await contract.coordinationReward();
+      const totalReward = STAKE.mul(2).add(reward);
+
+      await expect(contract.connect(outsider).finalizeRound(roundId))
+        .to.emit(contract, "RoundFinalized")
+        .withArgs(roundId, 100, totalReward);
+
+      const info = await contract.getRoundInfo(roundId);
+      expect(info.isActive).to.equal(false);
+      expect(info.roundFinalized).to.equal(true);
+      expect(await contract.getParticipantReward(alice.address)).to.equal(totalReward.div(2));
+      expect(await contract.getParticipantReward(bob.address)).to.equal(totalReward.div(2));
+      expect(await contract.getParticipantReward(carol.address)).to.equal(STAKE);
+    });
+
+    it("finalizes a round where nobody revealed without dividing by zero", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await increaseTime(COMMIT_DURATION + REVEAL_DURATION + 1);
+
+      await expect(contract.connect(outsider).finalizeRound(roundId))
+        .to.emit(contract, "RoundFinalized")
+        .withArgs(roundId, 0, 0);
+
+      expect((await contract.getRoundInfo(roundId)).roundFinalized).to.equal(true);
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE);
+    });
+
+    it("refunds revealed stakes when the threshold is missed", async function () {
+      const roundId = await startRound(100);
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 0, 22);
+      await join(carol, roundId, 1, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 0, 22);
+      await increaseTime(REVEAL_DURATION);
+
+      await contract.finalizeRound(roundId);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE);
+      expect(await contract.getParticipantReward(bob.address)).to.equal(STAKE);
+      expect(await contract.getParticipantReward(carol.address)).to.equal(STAKE);
+    });
+
+    it("cannot finalize the same round twice", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await increaseTime(COMMIT_DURATION + REVEAL_DURATION + 1);
+
+      await contract.finalizeRound(roundId);
+      await expect(contract.finalizeRound(roundId)).to.be.revertedWith("Round does not exist or inactive");
+    });
+
+    it("keeps an earlier round revealable and finalizable after a newer one starts", async function () {
+      const firstRound = await startRound();
+      await join(alice, firstRound, 1, 11);
+      await join(bob, firstRound, 1, 22);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      const secondRound = await startRound();
+      expect(secondRound).to.equal(firstRound.add(1));
+
+      await reveal(alice, firstRound, 1, 11);
+      await join(carol, secondRound, 0, 33);
+
+      await increaseTime(REVEAL_DURATION);
+      await expect(contract.finalizeRound(firstRound)).to.emit(contract, "RoundFinalized");
+      const [, , , , , , , , roundFinalized] = await contract.getRoundInfo(secondRound);
+      expect(roundFinalized).to.equal(false);
+    });
+
+    it("rejects reveals after the deadline so finalization is the only way forward", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await increaseTime(COMMIT_DURATION + REVEAL_DURATION + 1);
+
+      await expect(reveal(alice, roundId, 1, 11)).to.be.revertedWith("Not in reveal phase");
+    });
+  });
+
+  describe("non-reveal policy", function () {
+    it("validates the policy parameters when starting a round", async function () {
+      await expect(
+        contract.startCoordinationRound(roundParams({ nonRevealPolicy: Policy.SlashToWinners, slashPercentage: 101 }), [])
+      ).to.be.revertedWith("Invalid slash percentage");
+      await expect(
+        contract.startCoordinationRound(roundParams({ slashPercentage: 10 }), [])
+      ).to.be.revertedWith("Refund policy cannot slash");
+    });
+
+    it("stores the policy with the round", async function () {
+      const roundId = await startRound(60, Policy.SlashToTreasury, 25);
+      const policy = await contract.getRoundPolicy(roundId);
+
+      expect(policy.nonRevealPolicy).to.equal(Policy.SlashToTreasury);
+      expect(policy.slashPercentage).to.equal(25);
+    });
+
+    it("adds the slashed share to the winners' pool and refunds the rest", async function () {
+      const roundId = await startRound(60, Policy.SlashToWinners, 40);
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 0, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 1, 22);
+      await increaseTime(REVEAL_DURATION);
+
+      const slashed = STAKE.mul(40).div(100);
+      const totalReward = STAKE.mul(2).add(slashed).add(await contract.coordinationReward());
+
+      await expect(contract.finalizeRound(roundId))
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(roundId, carol.address, slashed);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(totalReward.div(2));
+      expect(await contract.getParticipantReward(carol.address)).to.equal(STAKE.sub(slashed));
+    });
+
+    it("shares slashed stakes among revealers when coordination fails", async function () {
+      const roundId = await startRound(100, Policy.SlashToWinners, 100);
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 0, 22);
+      await join(carol, roundId, 0, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 0, 22);
+      await increaseTime(REVEAL_DURATION);
+      await contract.finalizeRound(roundId);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE.add(STAKE.div(2)));
+      expect(await contract.getParticipantReward(bob.address)).to.equal(STAKE.add(STAKE.div(2)));
+      expect(await contract.getParticipantReward(carol.address)).to.equal(0);
+    });
+
+    it("refunds everyone when slashing to winners but nobody revealed", async function () {
+      const roundId = await startRound(60, Policy.SlashToWinners, 50);
+      await join(alice, roundId, 1, 11);
+      await increaseTime(COMMIT_DURATION + REVEAL_DURATION + 1);
+
+      await contract.finalizeRound(roundId);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE);
+    });
+
+    it("credits the slashed share to the treasury", async function () {
+      await expect(contract.updateTreasury(outsider.address))
+        .to.emit(contract, "TreasuryUpdated")
+        .withArgs(outsider.address);
+
+      const roundId = await startRound(60, Policy.SlashToTreasury, 30);
+      await join(alice, roundId, 1, 11);
+      await join(carol, roundId, 0, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await increaseTime(REVEAL_DURATION);
+      await contract.finalizeRound(roundId);
+
+      const slashed = STAKE.mul(30).div(100);
+      expect(await contract.getParticipantReward(outsider.address)).to.equal(slashed);
+      expect(await contract.getParticipantReward(carol.address)).to.equal(STAKE.sub(slashed));
+      expect(await contract.getParticipantReward(alice.address)).to.equal(
+        STAKE.add(await contract.coordinationReward())
+      );
+    });
+
+    it("only lets the owner change the treasury", async function () {
+      await expect(contract.connect(alice).updateTreasury(alice.address))
+        .to.be.revertedWith("Only owner can call this function");
+      await expect(contract.updateTreasury(ethers.constants.AddressZero))
+        .to.be.revertedWith("Invalid treasury");
+    });
+  });
+
+  describe("reward pool", function () {
+    it("accepts deposits from sponsors and plain transfers", async function () {
+      await expect(contract.connect(alice).depositRewards({ value: STAKE }))
+        .to.emit(contract, "RewardsDeposited")
+        .withArgs(alice.address, STAKE);
+      await expect(bob.sendTransaction({ to: contract.address, value: STAKE }))
+        .to.emit(contract, "RewardsDeposited")
+        .withArgs(bob.address, STAKE);
+
+      expect(await contract.getRewardPoolBalance()).to.equal(POOL_FUNDING.add(STAKE.mul(2)));
+      await expect(contract.depositRewards()).to.be.revertedWith("No rewards deposited");
+    });
+
+    it("reserves the coordination reward when a round starts", async function () {
+      const reward = await contract.coordinationReward();
+      await startRound();
+
+      expect((await liabilitiesOf(contract)).reservedRewards).to.equal(reward);
+      expect(await contract.getRewardPoolBalance()).to.equal(POOL_FUNDING.sub(reward));
+    });
+
+    it("refuses to start a round the pool cannot back", async function () {
+      await contract.updateCoordinationReward(POOL_FUNDING.add(1));
+      await expect(startRound()).to.be.revertedWith("Insufficient reward pool");
+    });
+
+    it("releases the reservation back to the pool when coordination fails", async function () {
+      const roundId = await startRound(100);
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 0, 22);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 0, 22);
+
+      const liabilities = await liabilitiesOf(contract);
+      expect(liabilities.reservedRewards).to.equal(0);
+      expect(liabilities.activeStakes).to.equal(0);
+      expect(liabilities.outstandingRewards).to.equal(STAKE.mul(2));
+      expect(await contract.getRewardPoolBalance()).to.equal(POOL_FUNDING);
+    });
+
+    it("keeps every winner's claim payable", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 1, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 1, 22);
+      await reveal(carol, roundId, 1, 33);
+
+      await contract.withdrawContractBalance();
+
+      for (const signer of [alice, bob, carol]) {
+        const owed = await contract.getParticipantReward(signer.address);
+        await expect(() => contract.connect(signer).claimRewards()).to.changeEtherBalance(signer, owed);
+      }
+
+      expect((await liabilitiesOf(contract)).outstandingRewards).to.equal(0);
+    });
+
+    it("limits owner withdrawals to unreserved funds", async function () {
+      const reward = await contract.coordinationReward();
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+
+      await expect(() => contract.withdrawContractBalance())
+        .to.changeEtherBalance(owner, POOL_FUNDING.sub(reward));
+
+      expect(await ethers.provider.getBalance(contract.address)).to.equal(reward.add(STAKE));
+      expect(await contract.getTotalLiabilities()).to.equal(reward.add(STAKE));
+      await expect(contract.withdrawContractBalance()).to.be.revertedWith("No unreserved funds");
+    });
+  });
+
+  describe("multi-option rounds", function () {
+    let dave;
+
+    beforeEach(async function () {
+      [, , , , , dave] = await ethers.getSigners();
+    });
+
+    async function startMultiRound(optionCount, threshold, labels = []) {
+      await contract.startCoordinationRound(roundParams({ optionCount, consensusThreshold: threshold }), labels);
+      return contract.currentRoundId();
+    }
+
+    it("validates the option count, labels and threshold", async function () {
+      await expect(contract.startCoordinationRound(roundParams({ optionCount: 1 }), []))
+        .to.be.revertedWith("Invalid option count");
+      await expect(contract.startCoordinationRound(roundParams({ optionCount: 11 }), []))
+        .to.be.revertedWith("Invalid option count");
+      await expect(contract.startCoordinationRound(roundParams({ optionCount: 3 }), ["Red", "Blue"]))
+        .to.be.revertedWith("Invalid option labels");
+      await expect(contract.startCoordinationRound(roundParams({ optionCount: 3, consensusThreshold: 33 }), []))
+        .to.be.revertedWith("Invalid threshold");
+      await expect(contract.startCoordinationRound(roundParams({ optionCount: 2, consensusThreshold: 50 }), []))
+        .to.be.revertedWith("Invalid threshold");
+    });
+
+    it("stores the option count and labels", async function () {
+      const roundId = await startMultiRound(3, 34, ["Red", "Green", "Blue"]);
+      const options = await contract.getRoundOptions(roundId);
+
+      expect(options.optionCount).to.equal(3);
+      expect(options.optionLabels).to.deep.equal(["Red", "Green", "Blue"]);
+    });
+
+    it("rejects reveals outside the option range", async function () {
+      const roundId = await startMultiRound(3, 34);
+      await join(alice, roundId, 3, 11);
+      await increaseTime(COMMIT_DURATION + 1);
+
+      await expect(reveal(alice, roundId, 3, 11)).to.be.revertedWith("Invalid choice");
+    });
+
+    it("pays the plurality option when it clears the threshold", async function () {
+      const roundId = await startMultiRound(4, 40);
+      await join(alice, roundId, 2, 11);
+      await join(bob, roundId, 2, 22);
+      await join(carol, roundId, 0, 33);
+      await join(dave, roundId, 3, 44);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 2, 11);
+      await reveal(bob, roundId, 2, 22);
+      await reveal(carol, roundId, 0, 33);
+
+      const totalReward = STAKE.mul(4).add(await contract.coordinationReward());
+      await expect(reveal(dave, roundId, 3, 44))
+        .to.emit(contract, "RoundFinalized")
+        .withArgs(roundId, 50, totalReward);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(totalReward.div(2));
+      expect(await contract.getParticipantReward(bob.address)).to.equal(totalReward.div(2));
+      expect(await contract.getParticipantReward(carol.address)).to.equal(0);
+      expect(await contract.getParticipantReward(dave.address)).to.equal(0);
+    });
+
+    it("treats a shared lead as failed coordination", async function () {
+      const roundId = await startMultiRound(3, 34);
+      await join(alice, roundId, 0, 11);
+      await join(bob, roundId, 0, 22);
+      await join(carol, roundId, 2, 33);
+      await join(dave, roundId, 2, 44);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 0, 11);
+      await reveal(bob, roundId, 0, 22);
+      await reveal(carol, roundId, 2, 33);
+
+      await expect(reveal(dave, roundId, 2, 44))
+        .to.emit(contract, "RoundFinalized")
+        .withArgs(roundId, 50, 0);
+
+      for (const signer of [alice, bob, carol, dave]) {
+        expect(await contract.getParticipantReward(signer.address)).to.equal(STAKE);
+      }
+    });
+  });
+
+  describe("stake-weighted mode", function () {
+    async function startWeightedRound(threshold = 60) {
+      await contract.startCoordinationRound(
+        roundParams({ consensusThreshold: threshold, consensusMode: Mode.StakeWeighted }),
+        []
+      );
+      return contract.currentRoundId();
+    }
+
+    it("stores the consensus mode with the round", async function () {
+      const roundId = await startWeightedRound();
+      expect(await contract.getConsensusMode(roundId)).to.equal(Mode.StakeWeighted);
+
+      const equalRoundId = await startRound();
+      expect(await contract.getConsensusMode(equalRoundId)).to.equal(Mode.OneAddressOneVote);
+    });
+
+    it("lets a large stake outweigh a head-count majority", async function () {
+      const whaleStake = ethers.utils.parseEther("3");
+      const roundId = await startWeightedRound();
+      await join(alice, roundId, 0, 11, whaleStake);
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 1, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 0, 11);
+      await reveal(bob, roundId, 1, 22);
+
+      const totalStake = whaleStake.add(STAKE.mul(2));
+      const totalReward = totalStake.add(await contract.coordinationReward());
+      const expectedResult = whaleStake.mul(100).div(totalStake);
+
+      await expect(reveal(carol, roundId, 1, 33))
+        .to.emit(contract, "RoundFinalized")
+        .withArgs(roundId, expectedResult, totalReward);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(totalReward);
+      expect(await contract.getParticipantReward(bob.address)).to.equal(0);
+    });
+
+    it("pays winners pro rata to their stake", async function () {
+      const bigStake = ethers.utils.parseEther("0.3");
+      const roundId = await startWeightedRound();
+      await join(alice, roundId, 1, 11, bigStake);
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 0, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 1, 22);
+      await reveal(carol, roundId, 0, 33);
+
+      const winningStake = bigStake.add(STAKE);
+      const totalReward = winningStake.add(STAKE).add(await contract.coordinationReward());
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(totalReward.mul(bigStake).div(winningStake));
+      expect(await contract.getParticipantReward(bob.address)).to.equal(totalReward.mul(STAKE).div(winningStake));
+      expect(await contract.getParticipantReward(carol.address)).to.equal(0);
+    });
+
+    it("treats equal stake behind two options as a tie", async function () {
+      const roundId = await startWeightedRound(51);
+      await join(alice, roundId, 0, 11, STAKE.mul(2));
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 1, 33);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 0, 11);
+      await reveal(bob, roundId, 1, 22);
+
+      await expect(reveal(carol, roundId, 1, 33))
+        .to.emit(contract, "RoundFinalized")
+        .withArgs(roundId, 50, 0);
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE.mul(2));
+      expect(await contract.getParticipantReward(bob.address)).to.equal(STAKE);
+    });
+  });
+
+  describe("result breakdown", function () {
+    it("records the winner, per-choice tallies, non-reveals and payouts", async function () {
+      await contract.startCoordinationRound(roundParams({ optionCount: 3, consensusThreshold: 40 }), []);
+      const roundId = await contract.currentRoundId();
+      await join(alice, roundId, 2, 11);
+      await join(bob, roundId, 2, 22, STAKE.mul(2));
+      await join(carol, roundId, 0, 33);
+      await join(outsider, roundId, 1, 44);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 2, 11);
+      await reveal(bob, roundId, 2, 22);
+      await reveal(carol, roundId, 0, 33);
+      await increaseTime(REVEAL_DURATION);
+      await contract.finalizeRound(roundId);
+
+      const totalReward = STAKE.mul(4).add(await contract.coordinationReward());
+      const result = await contract.getRoundResult(roundId);
+
+      expect(result.coordinated).to.equal(true);
+      expect(result.winningChoice).to.equal(2);
+      expect(result.choiceCounts.map(Number)).to.deep.equal([1, 0, 2]);
+      expect(result.choiceStakes).to.deep.equal([STAKE, ethers.constants.Zero, STAKE.mul(3)]);
+      expect(result.nonRevealCount).to.equal(1);
+      expect(result.rewardPerWinner).to.equal(totalReward.div(2));
+      expect(result.totalReward).to.equal(totalReward);
+
+      const [, , payouts] = await contract.getParticipants(roundId, 0, 10);
+      expect(payouts).to.deep.equal([
+        totalReward.div(2),
+        totalReward.div(2),
+        ethers.constants.Zero,
+        STAKE,
+      ]);
+    });
+
+    it("emits RewardCredited for every payout so history can be rebuilt from logs", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 0, 22);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await increaseTime(REVEAL_DURATION);
+
+      const totalReward = STAKE.add(await contract.coordinationReward());
+      await expect(contract.finalizeRound(roundId))
+        .to.emit(contract, "RewardCredited")
+        .withArgs(roundId, alice.address, totalReward)
+        .and.to.emit(contract, "RewardCredited")
+        .withArgs(roundId, bob.address, STAKE);
+    });
+
+    it("reports a failed round as not coordinated", async function () {
+      const roundId = await startRound(100);
+      await join(alice, roundId, 0, 11);
+      await join(bob, roundId, 1, 22);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 0, 11);
+      await reveal(bob, roundId, 1, 22);
+
+      const result = await contract.getRoundResult(roundId);
+      expect(result.coordinated).to.equal(false);
+      expect(result.totalReward).to.equal(0);
+      expect(result.rewardPerWinner).to.equal(0);
+    });
+
+    it("pages through participants in join order", async function () {
+      const roundId = await startRound();
+      const signers = [alice, bob, carol, outsider];
+      for (let i = 0; i < signers.length; i++) {
+        await join(signers[i], roundId, 1, i + 1);
+      }
+
+      let [page, total, payouts] = await contract.getParticipants(roundId, 0, 3);
+      expect(total).to.equal(4);
+      expect(page.map((p) => p.participantAddress)).to.deep.equal([alice.address, bob.address, carol.address]);
+      // Nothing is owed before the round is finalized
+      expect(payouts.map(Number)).to.deep.equal([0, 0, 0]);
+
+      [page] = await contract.getParticipants(roundId, 3, 3);
+      expect(page.map((p) => p.participantAddress)).to.deep.equal([outsider.address]);
+      expect(page[0].stake).to.equal(STAKE);
+      expect(page[0].hasRevealed).to.equal(false);
+
+      [page, total, payouts] = await contract.getParticipants(roundId, 10, 3);
+      expect(page).to.have.length(0);
+      expect(payouts).to.have.length(0);
+      expect(total).to.equal(4);
+    });
+  });
+
+  describe("reward curves", function () {
+    // Three of four participants agree, 25 points above a 50% threshold
+    async function coordinateThreeOfFour(rewardCurve) {
+      await contract.startCoordinationRound(roundParams({ optionCount: 3, consensusThreshold: 50, rewardCurve }), []);
+      const roundId = await contract.currentRoundId();
+      const votes = [[alice, 1], [bob, 1], [carol, 1], [outsider, 0]];
+      for (const [signer, choice] of votes) {
+        await join(signer, roundId, choice, 11);
+      }
+      await increaseTime(COMMIT_DURATION + 1);
+      for (const [signer, choice] of votes) {
+        await reveal(signer, roundId, choice, 11);
+      }
+      return roundId;
+    }
+
+    it("scales the coordination reward by how far agreement exceeds the threshold", async function () {
+      const reward = await contract.coordinationReward();
+      const expected = {
+        [Curve.Step]: reward,
+        [Curve.Linear]: reward.div(2),
+        [Curve.Quadratic]: reward.div(4),
+      };
+
+      for (const curve of [Curve.Step, Curve.Linear, Curve.Quadratic]) {
+        const roundId = await coordinateThreeOfFour(curve);
+        const result = await contract.getRoundResult(roundId);
+        expect((await contract.getRoundInfo(roundId)).coordinationResult).to.equal(75);
+        expect(result.totalReward).to.equal(STAKE.mul(4).add(expected[curve]));
+        expect(result.rewardPerWinner).to.equal(STAKE.mul(4).add(expected[curve]).div(3));
+      }
+      await expectSolvent(contract);
+    });
+
+    it("returns the withheld part of the reward to the pool", async function () {
+      const poolBefore = await contract.getRewardPoolBalance();
+      const roundId = await coordinateThreeOfFour(Curve.Quadratic);
+      const reward = await contract.coordinationReward();
+
+      const { totalReward, rewardPerWinner } = await contract.getRoundResult(roundId);
+      expect(totalReward).to.equal(STAKE.mul(4).add(reward.div(4)));
+      // Rounding dust of the three equal shares returns to the pool too
+      const dust = totalReward.sub(rewardPerWinner.mul(3));
+      expect(await contract.getRewardPoolBalance()).to.equal(poolBefore.sub(reward.div(4)).add(dust));
+      await expectSolvent(contract);
+    });
+
+    it("pays no bonus at the threshold and the full reward at unanimity", async function () {
+      const reward = await contract.coordinationReward();
+
+      await contract.startCoordinationRound(
+        roundParams({ optionCount: 3, consensusThreshold: 50, rewardCurve: Curve.Linear }),
+        []
+      );
+      let roundId = await contract.currentRoundId();
+      const votes = [[alice, 1], [bob, 1], [carol, 0], [outsider, 2]];
+      for (const [signer, choice] of votes) {
+        await join(signer, roundId, choice, 11);
+      }
+      await increaseTime(COMMIT_DURATION + 1);
+      for (const [signer, choice] of votes) {
+        await reveal(signer, roundId, choice, 11);
+      }
+      // Exactly half agree: the round coordinates, but the winners only share the stakes
+      const result = await contract.getRoundResult(roundId);
+      expect(result.coordinated).to.equal(true);
+      expect(result.totalReward).to.equal(STAKE.mul(4));
+
+      await contract.startCoordinationRound(roundParams({ consensusThreshold: 100, rewardCurve: Curve.Quadratic }), []);
+      roundId = await contract.currentRoundId();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 1, 22);
+      expect((await contract.getRoundResult(roundId)).totalReward).to.equal(STAKE.mul(2).add(reward));
+    });
+
+    it("stores the curve with the round and its template", async function () {
+      const params = roundParams({ rewardCurve: Curve.Linear });
+      await contract.startCoordinationRound(params, []);
+      expect((await contract.getRoundPolicy(await contract.currentRoundId())).rewardCurve).to.equal(Curve.Linear);
+
+      await contract.saveRoundTemplate(0, "Linear", params, [], STAKE, POOL_FUNDING.div(10));
+      expect((await contract.getRoundTemplate(1)).params.rewardCurve).to.equal(Curve.Linear);
+      await contract.startRoundFromTemplate(1);
+      expect((await contract.getRoundPolicy(await contract.currentRoundId())).rewardCurve).to.equal(Curve.Linear);
+    });
+  });
+
+  describe("reward accounting", function () {
+    it("treats an even two-way split as a failed 50% round", async function () {
+      const roundId = await startRound(51);
+      await join(alice, roundId, 0, 11);
+      await join(bob, roundId, 1, 22);
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 0, 11);
+
+      await expect(reveal(bob, roundId, 1, 22))
+        .to.emit(contract, "RoundFinalized")
+        .withArgs(roundId, 50, 0);
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE);
+      expect(await contract.getParticipantReward(bob.address)).to.equal(STAKE);
+    });
+
+    it("returns rounding dust to the reward pool", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22);
+      await join(carol, roundId, 1, 33);
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 1, 22);
+      await reveal(carol, roundId, 1, 33);
+
+      const reward = await contract.coordinationReward();
+      const totalReward = STAKE.mul(3).add(reward);
+      const { rewardPerWinner } = await contract.getRoundResult(roundId);
+      const dust = totalReward.sub(rewardPerWinner.mul(3));
+
+      expect(dust).to.be.gt(0);
+      expect(await contract.getRewardPoolBalance()).to.equal(POOL_FUNDING.sub(reward).add(dust));
+      await expectSolvent(contract);
+    });
+
+    it("keeps every credited reward claimable across rounds", async function () {
+      const signers = [alice, bob, carol, outsider];
+
+      // Carol always disagrees and the outsider never reveals; the last round misses its threshold
+      for (let round = 0; round < 3; round++) {
+        const roundId = await startRound(round === 2 ? 70 : 60, Policy.SlashToTreasury, 30);
+        const choices = [round % 2, round % 2, 1 - (round % 2), round % 2];
+        for (let i = 0; i < signers.length; i++) {
+          await join(signers[i], roundId, choices[i], i + 1, STAKE.add(i));
+        }
+        await increaseTime(COMMIT_DURATION + 1);
+        for (let i = 0; i < 3; i++) {
+          await reveal(signers[i], roundId, choices[i], i + 1);
+        }
+        await increaseTime(REVEAL_DURATION);
+        await contract.finalizeRound(roundId);
+        await expectSolvent(contract);
+      }
+
+      for (const signer of [owner, ...signers]) {
+        if ((await contract.getParticipantReward(signer.address)).gt(0)) {
+          await contract.connect(signer).claimRewards();
+        }
+      }
+
+      expect(await contract.getTotalLiabilities()).to.equal(0);
+      expect(await ethers.provider.getBalance(contract.address)).to.equal(await contract.getRewardPoolBalance());
+    });
+  });
+
+  describe("settlement", function () {
+    it("settles small rounds at finalization and rejects settling twice", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 0, 22);
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+
+      await expect(contract.settleRound(roundId, 10)).to.be.revertedWith("Round not finalized");
+      await expect(contract.connect(alice).claimRoundRewards([roundId])).to.be.revertedWith("Round not finalized");
+      expect(await contract.getPendingPayout(roundId, alice.address)).to.deep.equal([ethers.constants.Zero, false]);
+
+      await increaseTime(REVEAL_DURATION);
+      await expect(contract.finalizeRound(roundId)).to.emit(contract, "RoundSettled").withArgs(roundId);
+
+      const settlement = await contract.getRoundSettlement(roundId);
+      expect(settlement.unsettledCount).to.equal(0);
+      expect(settlement.payoutReserve).to.equal(0);
+      expect((await liabilitiesOf(contract)).unsettledPayouts).to.equal(0);
+      await expect(contract.settleRound(roundId, 10)).to.be.revertedWith("Round already settled");
+      await expect(contract.connect(outsider).claimRoundRewards([roundId])).to.be.revertedWith("Must commit first");
+    });
+
+    it("claims the sender's share of several rounds in one withdrawal", async function () {
+      const reward = await contract.coordinationReward();
+      const roundIds = [];
+      for (let i = 0; i < 2; i++) {
+        const roundId = await startRound();
+        await join(alice, roundId, 1, 11);
+        roundIds.push(roundId);
+      }
+      await increaseTime(COMMIT_DURATION + 1);
+      for (const roundId of roundIds) {
+        await reveal(alice, roundId, 1, 11);
+      }
+
+      const pending = await contract.getPendingPayout(roundIds[0], alice.address);
+      expect(pending.amount).to.equal(STAKE.add(reward));
+      expect(pending.settled).to.equal(true);
+
+      const total = STAKE.add(reward).mul(2);
+      await expect(contract.connect(alice).claimRoundRewards(roundIds))
+        .to.emit(contract, "RewardClaimed")
+        .withArgs(alice.address, total)
+        .and.to.changeEtherBalance(alice, total);
+      await expect(contract.connect(alice).claimRoundRewards(roundIds)).to.be.revertedWith("No rewards to claim");
+      expect(await contract.getTotalLiabilities()).to.equal(0);
+    });
+  });
+
+  describe("emergency controls", function () {
+    it("pauses joins, reveals and finalization but not claims or settlement", async function () {
+      const roundId = await startRound();
+      await join(alice, roundId, 1, 11);
+      await expect(contract.pause()).to.emit(contract, "Paused").withArgs(owner.address);
+      await expect(contract.pause()).to.be.revertedWith("Contract is paused");
+
+      await expect(join(bob, roundId, 1, 22)).to.be.revertedWith("Contract is paused");
+      await increaseTime(COMMIT_DURATION + 1);
+      await expect(reveal(alice, roundId, 1, 11)).to.be.revertedWith("Contract is paused");
+      await increaseTime(REVEAL_DURATION);
+      await expect(contract.finalizeRound(roundId)).to.be.revertedWith("Contract is paused");
+
+      await expect(contract.unpause()).to.emit(contract, "Unpaused").withArgs(owner.address);
+      await expect(contract.unpause()).to.be.revertedWith("Contract is not paused");
+      await contract.finalizeRound(roundId);
+
+      await contract.pause();
+      await expect(contract.connect(alice).claimRewards()).to.changeEtherBalance(alice, STAKE);
+    });
+
+    it("cancels a round, refunds every stake and leaves reputations untouched", async function () {
+      const roundId = await startRound(60, Policy.SlashToTreasury, 50);
+      await join(alice, roundId, 1, 11);
+      await join(bob, roundId, 1, 22, STAKE.mul(3));
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+
+      // Cancellation is the way out for rounds caught by a pause
+      await contract.pause();
+      await expect(contract.cancelRound(roundId))
+        .to.emit(contract, "RoundCancelled")
+        .withArgs(roundId)
+        .and.to.emit(contract, "RoundSettled")
+        .withArgs(roundId)
+        .and.not.to.emit(contract, "StakeSlashed");
+
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE);
+      expect(await contract.getParticipantReward(bob.address)).to.equal(STAKE.mul(3));
+      expect(await contract.getParticipantReward(owner.address)).to.equal(0);
+      const liabilities = await liabilitiesOf(contract);
+      expect(liabilities.reservedRewards).to.equal(0);
+      expect(liabilities.activeStakes).to.equal(0);
+      expect((await contract.getRoundResult(roundId)).cancelled).to.equal(true);
+      const aliceRecord = await contract.reputations(alice.address);
+      expect(aliceRecord.roundsJoined).to.equal(0);
+      expect(aliceRecord.reveals).to.equal(0);
+      expect((await contract.reputations(bob.address)).roundsJoined).to.equal(0);
+      expect(await contract.getReputationScore(alice.address)).to.equal(0);
+
+      await expect(contract.cancelRound(roundId)).to.be.revertedWith("Round does not exist or inactive");
+      await expect(contract.finalizeRound(roundId)).to.be.revertedWith("Contract is paused");
+      await contract.unpause();
+      await expect(contract.finalizeRound(roundId)).to.be.revertedWith("Round does not exist or inactive");
+      await expect(contract.settleRound(roundId, 10)).to.be.revertedWith("Round already settled");
+      await expectSolvent(contract);
+    });
+
+    it("transfers ownership only once the nominee accepts", async function () {
+      await expect(contract.connect(alice).acceptOwnership()).to.be.revertedWith("Only pending owner can accept");
+      await expect(contract.transferOwnership(alice.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, alice.address);
+      expect(await contract.owner()).to.equal(owner.address);
+      await expect(contract.connect(bob).acceptOwnership()).to.be.revertedWith("Only pending owner can accept");
+
+      // A nomination can be withdrawn before it is accepted
+      await contract.transferOwnership(ethers.constants.AddressZero);
+      await expect(contract.connect(alice).acceptOwnership()).to.be.revertedWith("Only pending owner can accept");
+
+      await contract.transferOwnership(alice.address);
+      await expect(contract.connect(alice).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, alice.address);
+      expect(await contract.owner()).to.equal(alice.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.constants.AddressZero);
+      await expect(contract.pause()).to.be.revertedWith("Only owner can call this function");
+      await contract.connect(alice).pause();
+    });
+
+    it("lets operators start rounds but nothing else", async function () {
+      const asOperator = contract.connect(carol);
+      await expect(contract.setOperator(ethers.constants.AddressZero, true)).to.be.revertedWith("Invalid operator");
+      await expect(contract.setOperator(carol.address, true))
+        .to.emit(contract, "OperatorUpdated")
+        .withArgs(carol.address, true);
+
+      await asOperator.startCoordinationRound(roundParams(), []);
+      await contract.saveRoundTemplate(0, "Daily", roundParams(), [], STAKE, 0);
+      await asOperator.startRoundFromTemplate(1);
+      expect(await contract.currentRoundId()).to.equal(2);
+      await expect(asOperator.cancelRound(1)).to.be.revertedWith("Only owner can call this function");
+      await expect(asOperator.pause()).to.be.revertedWith("Only owner can call this function");
+
+      await contract.setOperator(carol.address, false);
+      await expect(asOperator.startCoordinationRound(roundParams(), [])).to.be.revertedWith(
+        "Only owner or operator can call this function"
+      );
+    });
+  });
+
+  describe("reputation", function () {
+    // Decayed success rate in basis points, mirroring _recordOutcome and getReputationScore
+    function expectedScore(outcomes) {
+      let weightedWins = 0n;
+      let weightedRounds = 0n;
+      for (const won of outcomes) {
+        weightedWins = (weightedWins * 90n) / 100n + (won ? 10n ** 9n : 0n);
+        weightedRounds = (weightedRounds * 90n) / 100n + 10n ** 9n;
+      }
+      return weightedRounds === 0n ? 0 : Number((weightedWins * 10000n) / weightedRounds);
+    }
+
+    async function playRound(choices, skip = []) {
+      const roundId = await startRound();
+      const signers = Object.keys(choices);
+      const byName = { alice, bob, carol, outsider };
+      for (let i = 0; i < signers.length; i++) {
+        await join(byName[signers[i]], roundId, choices[signers[i]], i + 1);
+      }
+      await increaseTime(COMMIT_DURATION + 1);
+      for (let i = 0; i < signers.length; i++) {
+        if (!skip.includes(signers[i])) {
+          await reveal(byName[signers[i]], roundId, choices[signers[i]], i + 1);
+        }
+      }
+      await increaseTime(REVEAL_DURATION);
+      if (skip.length > 0) {
+        await contract.finalizeRound(roundId);
+      }
+    }
+
+    it("tracks joins, reveals, wins, losses and no-shows with older rounds decaying", async function () {
+      await playRound({ alice: 1, bob: 1, carol: 0, outsider: 1 }, ["outsider"]);
+      await playRound({ alice: 0, bob: 1, carol: 0 });
+
+      const aliceRecord = await contract.reputations(alice.address);
+      expect([aliceRecord.roundsJoined, aliceRecord.reveals, aliceRecord.wins, aliceRecord.losses, aliceRecord.noShows]).to.deep.equal([2, 2, 2, 0, 0]);
+      const outsiderRecord = await contract.reputations(outsider.address);
+      expect([outsiderRecord.roundsJoined, outsiderRecord.reveals, outsiderRecord.wins, outsiderRecord.losses, outsiderRecord.noShows]).to.deep.equal([1, 0, 0, 0, 1]);
+
+      // Bob won first and lost last, Carol the other way round: the recent win counts for more
+      expect(await contract.getReputationScore(alice.address)).to.equal(10000);
+      expect(await contract.getReputationScore(bob.address)).to.equal(expectedScore([true, false]));
+      expect(await contract.getReputationScore(carol.address)).to.equal(expectedScore([false, true]));
+      expect(await contract.getReputationScore(carol.address)).to.be.gt(await contract.getReputationScore(bob.address));
+      expect(await contract.getReputationScore(outsider.address)).to.equal(0);
+      expect(await contract.getReputationScore(owner.address)).to.equal(0);
+
+      const [records, scores] = await contract.getReputations([bob.address, carol.address]);
+      expect(records.map((record) => record.losses)).to.deep.equal([1, 1]);
+      expect(scores.map(Number)).to.deep.equal([expectedScore([true, false]), expectedScore([false, true])]);
+    });
+
+    it("lets rounds require a minimum reputation to join", async function () {
+      await expect(
+        contract.startCoordinationRound(roundParams({ minReputation: 10001 }), [])
+      ).to.be.revertedWith("Invalid minimum reputation");
+
+      await playRound({ alice: 1, bob: 1, carol: 0 });
+
+      await contract.startCoordinationRound(roundParams({ consensusThreshold: 90, minReputation: 5000 }), []);
+      const roundId = await contract.currentRoundId();
+      expect((await contract.getRoundLimits(roundId)).minReputation).to.equal(5000);
+
+      await join(alice, roundId, 1, 11);
+      await expect(join(carol, roundId, 1, 33)).to.be.revertedWith("Reputation too low");
+      await expect(join(outsider, roundId, 1, 44)).to.be.revertedWith("Reputation too low");
+    });
+  });
+
+  describe("round templates", function () {
+    const TEMPLATE_REWARD = ethers.utils.parseEther("0.5");
+
+    function saveTemplate(templateId = 0, overrides = {}, labels = ["Heads", "Tails"], minStake = STAKE.mul(2)) {
+      return contract.saveRoundTemplate(templateId, "Daily", roundParams(overrides), labels, minStake, TEMPLATE_REWARD);
+    }
+
+    it("creates and updates named templates", async function () {
+      await expect(saveTemplate()).to.emit(contract, "RoundTemplateSaved").withArgs(1, "Daily");
+      await saveTemplate(0, { consensusThreshold: 80 });
+      expect(await contract.templateCount()).to.equal(2);
+
+      await contract.saveRoundTemplate(1, "Hourly", roundParams({ optionCount: 3, maxParticipants: 5 }), [], STAKE, 0);
+      const template = await contract.getRoundTemplate(1);
+      expect(template.name).to.equal("Hourly");
+      expect(template.params.optionCount).to.equal(3);
+      expect(template.params.maxParticipants).to.equal(5);
+      expect(template.optionLabels).to.deep.equal([]);
+      expect(template.minStake_).to.equal(STAKE);
+      expect(template.coordinationReward_).to.equal(0);
+      expect(await contract.templateCount()).to.equal(2);
+    });
+
+    it("validates templates like manual rounds", async function () {
+      await expect(saveTemplate(1)).to.be.revertedWith("Template does not exist");
+      await expect(contract.saveRoundTemplate(0, "", roundParams(), [], STAKE, 0))
+        .to.be.revertedWith("Invalid template name");
+      await expect(saveTemplate(0, { optionCount: 3 })).to.be.revertedWith("Invalid option labels");
+      await expect(saveTemplate(0, { consensusThreshold: 50 })).to.be.revertedWith("Invalid threshold");
+      await expect(contract.startRoundFromTemplate(1)).to.be.revertedWith("Template does not exist");
+    });
+
+    it("starts rounds with the template's stake, reward and participant cap", async function () {
+      await saveTemplate(0, { maxParticipants: 2 });
+      await contract.startRoundFromTemplate(1);
+      const roundId = await contract.currentRoundId();
+
+      const limits = await contract.getRoundLimits(roundId);
+      expect(limits.minStake_).to.equal(STAKE.mul(2));
+      expect(limits.maxParticipants).to.equal(2);
+      expect(limits.reservedReward).to.equal(TEMPLATE_REWARD);
+      expect(limits.templateId).to.equal(1);
+      expect((await contract.getRoundOptions(roundId)).optionLabels).to.deep.equal(["Heads", "Tails"]);
+
+      await expect(join(alice, roundId, 1, 11)).to.be.revertedWith("Insufficient stake");
+      await join(alice, roundId, 1, 11, STAKE.mul(2));
+      await join(bob, roundId, 1, 22, STAKE.mul(2));
+      await expect(join(carol, roundId, 1, 33, STAKE.mul(2))).to.be.revertedWith("Round is full");
+
+      // Later template edits leave running rounds alone
+      await saveTemplate(1, { maxParticipants: 3 });
+      expect((await contract.getRoundLimits(roundId)).maxParticipants).to.equal(2);
+    });
+  });
+
+  describe("allowlists", function () {
+    let members;
+    let allowlist;
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      // An odd member count leaves a node without a sibling on the way up
+      members = signers.slice(1, 6);
+      allowlist = buildAllowlist(members.map((signer) => signer.address));
+    });
+
+    async function startAllowlistedRound(root = allowlist.root) {
+      await contract.startCoordinationRound(roundParams({ allowlistRoot: root }), []);
+      return contract.currentRoundId();
+    }
+
+    it("accepts a proof for every member and rejects outsiders and borrowed proofs", async function () {
+      const roundId = await startAllowlistedRound();
+      expect((await contract.getRoundLimits(roundId)).allowlistRoot).to.equal(allowlist.root);
+
+      for (const member of members) {
+        expect(await contract.isEligible(roundId, member.address, allowlist.proofs[member.address])).to.equal(true);
+      }
+      expect(await contract.isEligible(roundId, owner.address, allowlist.proofs[alice.address])).to.equal(false);
+      expect(await contract.isEligible(roundId, owner.address, [])).to.equal(false);
+    });
+
+    it("only lets members join with their own proof", async function () {
+      const roundId = await startAllowlistedRound();
+
+      await expect(join(alice, roundId, 1, 11)).to.be.revertedWith("Not on allowlist");
+      await expect(join(alice, roundId, 1, 11, STAKE, allowlist.proofs[bob.address])).to.be.revertedWith("Not on allowlist");
+      await expect(join(owner, roundId, 1, 11, STAKE, allowlist.proofs[alice.address])).to.be.revertedWith("Not on allowlist");
+
+      await join(alice, roundId, 1, 11, STAKE, allowlist.proofs[alice.address]);
+      await join(bob, roundId, 1, 22, STAKE, allowlist.proofs[bob.address]);
+      expect((await contract.getRoundInfo(roundId)).participantCount).to.equal(2);
+    });
+
+    it("works for a single member and leaves open rounds open", async function () {
+      const solo = buildAllowlist([carol.address]);
+      expect(solo.proofs[carol.address]).to.deep.equal([]);
+      const closedRound = await startAllowlistedRound(solo.root);
+      await expect(join(alice, closedRound, 1, 11)).to.be.revertedWith("Not on allowlist");
+      await join(carol, closedRound, 1, 33);
+
+      const openRound = await startRound();
+      expect(await contract.isEligible(openRound, outsider.address, [])).to.equal(true);
+      await join(outsider, openRound, 1, 44, STAKE, allowlist.proofs[alice.address]);
+    });
+
+    it("carries the allowlist over from templates", async function () {
+      await contract.saveRoundTemplate(0, "Members", roundParams({ allowlistRoot: allowlist.root }), [], STAKE, 0);
+      await contract.startRoundFromTemplate(1);
+      const roundId = await contract.currentRoundId();
+
+      expect((await contract.getRoundLimits(roundId)).allowlistRoot).to.equal(allowlist.root);
+      await expect(join(owner, roundId, 1, 11)).to.be.revertedWith("Not on allowlist");
+    });
+  });
+
+  describe("recurring schedule", function () {
+    const INTERVAL = 24 * 60 * 60;
+    let firstStart;
+
+    beforeEach(async function () {
+      await contract.saveRoundTemplate(0, "Daily", roundParams(), [], STAKE, 0);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      firstStart = timestamp + 100;
+      await expect(contract.setRoundSchedule(1, firstStart, INTERVAL))
+        .to.emit(contract, "RoundScheduleUpdated")
+        .withArgs(1, firstStart, INTERVAL);
+    });
+
+    it("validates the schedule", async function () {
+      await expect(contract.setRoundSchedule(2, firstStart, INTERVAL)).to.be.revertedWith("Template does not exist");
+      await expect(contract.setRoundSchedule(1, firstStart, 0)).to.be.revertedWith("Invalid interval");
+
+      await contract.setRoundSchedule(0, 0, 0);
+      await expect(contract.startScheduledRound()).to.be.revertedWith("No round scheduled");
+    });
+
+    it("lets anyone start the next round once its start time has passed", async function () {
+      await setNextTimestamp(firstStart - 1);
+      await expect(contract.connect(outsider).startScheduledRound()).to.be.revertedWith("Scheduled start not reached");
+
+      await setNextTimestamp(firstStart);
+      await expect(contract.connect(outsider).startScheduledRound()).to.emit(contract, "RoundStarted");
+
+      const schedule = await contract.roundSchedule();
+      expect(schedule.lastRoundId).to.equal(1);
+      expect(schedule.nextStartTime).to.equal(firstStart + INTERVAL);
+      expect((await contract.getRoundLimits(1)).templateId).to.equal(1);
+    });
+
+    it("waits for the previous scheduled round to be finalized", async function () {
+      await setNextTimestamp(firstStart);
+      await contract.startScheduledRound();
+      await join(alice, 1, 1, 11);
+
+      await setNextTimestamp(firstStart + INTERVAL);
+      await expect(contract.startScheduledRound()).to.be.revertedWith("Previous scheduled round not finalized");
+
+      // Manual rounds do not hold up the schedule
+      await startRound();
+      await contract.finalizeRound(1);
+      await contract.startScheduledRound();
+      expect((await contract.roundSchedule()).lastRoundId).to.equal(3);
+    });
+
+    it("holds the next round back while the contract is paused", async function () {
+      await contract.pause();
+      await setNextTimestamp(firstStart);
+      await expect(contract.connect(outsider).startScheduledRound()).to.be.revertedWith("Contract is paused");
+
+      await contract.unpause();
+      await expect(contract.connect(outsider).startScheduledRound()).to.emit(contract, "RoundStarted");
+    });
+
+    it("skips the slots missed while nobody started a round", async function () {
+      await setNextTimestamp(firstStart + INTERVAL * 2 + 5);
+      await contract.startScheduledRound();
+
+      expect((await contract.roundSchedule()).nextStartTime).to.equal(firstStart + INTERVAL * 3);
+    });
+  });
+
+  describe("stake tokens", function () {
+    const units = (amount) => ethers.utils.parseUnits(amount, 6);
+    const TOKEN_STAKE = units("100");
+    const TOKEN_REWARD = units("50");
+    const TOKEN_POOL = units("1000");
+    let token;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Governance", "GOV", 6);
+      await token.deployed();
+      for (const signer of [owner, alice, bob, carol]) {
+        await token.mint(signer.address, TOKEN_POOL);
+        await token.connect(signer).approve(contract.address, ethers.constants.MaxUint256);
+      }
+    });
+
+    async function startTokenRound(overrides = {}) {
+      await contract.startCoordinationRound(roundParams({ stakeToken: token.address, ...overrides }), []);
+      return contract.currentRoundId();
+    }
+
+    function joinWithTokens(signer, roundId, choice, nonce, amount = TOKEN_STAKE) {
+      return contract
+        .connect(signer)
+        .joinTokenRound(roundId, commitmentFor(contract, roundId, signer.address, choice, nonce), [], amount);
+    }
+
+    async function acceptToken() {
+      await contract.setStakeToken(token.address, TOKEN_STAKE, TOKEN_REWARD);
+      await contract.depositTokenRewards(token.address, TOKEN_POOL);
+    }
+
+    it("starts token rounds only for accepted tokens with a funded pool", async function () {
+      await expect(contract.connect(alice).setStakeToken(token.address, TOKEN_STAKE, TOKEN_REWARD)).to.be.revertedWith(
+        "Only owner can call this function"
+      );
+      await expect(contract.setStakeToken(ethers.constants.AddressZero, TOKEN_STAKE, TOKEN_REWARD)).to.be.revertedWith(
+        "Invalid stake token"
+      );
+      await expect(startTokenRound()).to.be.revertedWith("Stake token not accepted");
+
+      await expect(contract.setStakeToken(token.address, TOKEN_STAKE, TOKEN_REWARD))
+        .to.emit(contract, "StakeTokenUpdated")
+        .withArgs(token.address, TOKEN_STAKE, TOKEN_REWARD);
+      await expect(startTokenRound()).to.be.revertedWith("Insufficient reward pool");
+
+      await expect(contract.connect(alice).depositTokenRewards(token.address, TOKEN_POOL))
+        .to.emit(contract, "TokenRewardsDeposited")
+        .withArgs(token.address, alice.address, TOKEN_POOL);
+      const receipt = await (await contract.startCoordinationRound(roundParams({ stakeToken: token.address }), [])).wait();
+      const started = receipt.events.find((event) => event.event === "RoundStarted");
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+      expect(started.args.roundId).to.equal(1);
+      expect(started.args.startTime).to.equal(timestamp);
+      expect(started.args.threshold).to.equal(60);
+      expect(started.args.stakeToken).to.equal(token.address);
+
+      const limits = await contract.getRoundLimits(1);
+      expect(limits.stakeToken).to.equal(token.address);
+      expect(limits.minStake_).to.equal(TOKEN_STAKE);
+      expect(limits.reservedReward).to.equal(TOKEN_REWARD);
+      expect((await liabilitiesOf(contract, token.address)).reservedRewards).to.equal(TOKEN_REWARD);
+      expect(await contract.getTokenRewardPoolBalance(token.address)).to.equal(TOKEN_POOL.sub(TOKEN_REWARD));
+      // The native pool and its reservations are untouched
+      expect(await contract.getRewardPoolBalance()).to.equal(POOL_FUNDING);
+    });
+
+    it("stakes approved tokens and pays winners in the round's token", async function () {
+      await acceptToken();
+      const roundId = await startTokenRound();
+      const nativeRound = await startRound();
+
+      await expect(join(alice, roundId, 1, 11)).to.be.revertedWith("Round is staked in a token");
+      await expect(joinWithTokens(alice, nativeRound, 1, 11)).to.be.revertedWith(
+        "Round is staked in the native currency"
+      );
+      await expect(joinWithTokens(alice, roundId, 1, 11, TOKEN_STAKE.sub(1))).to.be.revertedWith("Insufficient stake");
+      await expect(joinWithTokens(outsider, roundId, 1, 11)).to.be.revertedWith("ERC20: insufficient allowance");
+
+      await expect(joinWithTokens(alice, roundId, 1, 11)).to.changeTokenBalances(
+        token,
+        [alice, contract],
+        [TOKEN_STAKE.mul(-1), TOKEN_STAKE]
+      );
+      await joinWithTokens(bob, roundId, 1, 22);
+      expect((await liabilitiesOf(contract, token.address)).activeStakes).to.equal(TOKEN_STAKE.mul(2));
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      await reveal(bob, roundId, 1, 22);
+
+      const owed = TOKEN_STAKE.add(TOKEN_REWARD.div(2));
+      expect(await contract.participantRewards(token.address, alice.address)).to.equal(owed);
+      expect(await contract.getParticipantReward(alice.address)).to.equal(0);
+      await expect(contract.connect(alice).claimRewards()).to.be.revertedWith("No rewards to claim");
+
+      await expect(contract.connect(alice).claimTokenRewards(token.address))
+        .to.emit(contract, "TokenRewardClaimed")
+        .withArgs(token.address, alice.address, owed)
+        .and.to.changeTokenBalance(token, alice, owed);
+      await expect(contract.connect(alice).claimTokenRewards(token.address)).to.be.revertedWith("No rewards to claim");
+      await expectSolvent(contract, token);
+      await expectSolvent(contract);
+    });
+
+    it("claims native and token rounds in one call", async function () {
+      await acceptToken();
+      const reward = await contract.coordinationReward();
+      const tokenRound = await startTokenRound();
+      const nativeRound = await startRound();
+      await joinWithTokens(alice, tokenRound, 1, 11);
+      await join(alice, nativeRound, 1, 12);
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, tokenRound, 1, 11);
+      await reveal(alice, nativeRound, 1, 12);
+
+      const tx = contract.connect(alice).claimRoundRewards([tokenRound, nativeRound, tokenRound]);
+      await expect(tx).to.changeEtherBalance(alice, STAKE.add(reward));
+      await expect(tx).to.changeTokenBalance(token, alice, TOKEN_STAKE.add(TOKEN_REWARD));
+      await expect(contract.connect(alice).claimRoundRewards([tokenRound])).to.be.revertedWith("No rewards to claim");
+    });
+
+    it("stakes what arrives from fee-on-transfer tokens and stays solvent", async function () {
+      await acceptToken();
+      await token.setTransferFeePercentage(10);
+      const received = TOKEN_STAKE.mul(2).mul(90).div(100);
+      const roundId = await startTokenRound();
+
+      await expect(joinWithTokens(alice, roundId, 1, 11, TOKEN_STAKE.mul(2)))
+        .to.emit(contract, "ParticipantJoined")
+        .withArgs(roundId, alice.address, received);
+      await expect(joinWithTokens(bob, roundId, 1, 22)).to.be.revertedWith("Insufficient stake");
+
+      await increaseTime(COMMIT_DURATION + 1);
+      await reveal(alice, roundId, 1, 11);
+      expect(await contract.participantRewards(token.address, alice.address)).to.equal(received.add(TOKEN_REWARD));
+      await contract.connect(alice).claimTokenRewards(token.address);
+
+      await expectSolvent(contract, token);
+      expect(await contract.getTokenLiabilities(token.address)).to.equal(0);
+    });
+
+    it("refunds cancelled token rounds and withdraws only the unreserved token pool", async function () {
+      await acceptToken();
+      const roundId = await startTokenRound();
+      await joinWithTokens(alice, roundId, 1, 11);
+      await expect(contract.withdrawTokenBalance(token.address)).to.changeTokenBalance(
+        token,
+        owner,
+        TOKEN_POOL.sub(TOKEN_REWARD)
+      );
+      await expect(contract.withdrawTokenBalance(token.address)).to.be.revertedWith("No unreserved funds");
+
+      await contract.cancelRound(roundId);
+      expect(await contract.participantRewards(token.address, alice.address)).to.equal(TOKEN_STAKE);
+      await expect(contract.connect(alice).withdrawTokenBalance(token.address)).to.be.revertedWith(
+        "Only owner can call this function"
+      );
+      await expect(contract.withdrawTokenBalance(token.address))
+        .to.emit(contract, "TokenRewardPoolWithdrawn")
+        .withArgs(token.address, owner.address, TOKEN_REWARD);
+
+      await expect(contract.connect(alice).claimTokenRewards(token.address)).to.changeTokenBalance(token, alice, TOKEN_STAKE);
+      expect(await token.balanceOf(contract.address)).to.equal(0);
+    });
+  });
+
+  describe("interleaved rounds", function () {
+    it("settles overlapping rounds independently and in any order", async function () {
+      const first = await startRound();
+      await join(alice, first, 1, 11);
+      await join(bob, first, 1, 12);
+
+      await increaseTime(COMMIT_DURATION / 2);
+      const second = await startRound(100);
+      await join(alice, second, 0, 21);
+      await join(carol, second, 1, 22);
+
+      await increaseTime(COMMIT_DURATION / 2 + 1);
+      await reveal(alice, first, 1, 11);
+      await expect(reveal(alice, second, 0, 21)).to.be.revertedWith("Not in reveal phase");
+
+      await increaseTime(40);
+      await reveal(alice, second, 0, 21);
+      await reveal(carol, second, 1, 22);
+      expect((await contract.getRoundInfo(second)).roundFinalized).to.equal(true);
+      expect((await contract.getRoundInfo(first)).roundFinalized).to.equal(false);
+
+      await increaseTime(REVEAL_DURATION);
+      await contract.finalizeRound(first);
+
+      const reward = await contract.coordinationReward();
+      // Alice won the first round alone (Bob's unrevealed stake is refunded) and got her stake back from the failed second one
+      expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE.add(reward).add(STAKE));
+      expect(await contract.getParticipantReward(bob.address)).to.equal(STAKE);
+      expect(await contract.getParticipantReward(carol.address)).to.equal(STAKE);
+      expect((await liabilitiesOf(contract)).reservedRewards).to.equal(0);
+      await expectSolvent(contract);
+    });
+  });
+});
@@ -0,0 +1,323 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const {
+  COMMIT_DURATION,
+  REVEAL_DURATION,
+  STAKE,
+  POOL_FUNDING,
+  roundParams,
+  commitmentFor,
+  signRevealAuthorization,
+  increaseTime,
+} = require("./helpers");
+const { encryptRevealPayload, createKeeper } = require("../scripts/keeper");
+
+// End-to-end runs of the reveal keeper against the hardhat network, through its HTTP API
+describe("ConsensusParadox reveal keeper", function () {
+  let contract;
+  let owner;
+  let alice;
+  let bob;
+  let keeperAccount;
+  let keeper;
+  let events;
+  let baseUrl;
+
+  beforeEach(async function () {
+    [owner, alice, bob, keeperAccount] = await ethers.getSigners();
+    const Project = await ethers.getContractFactory("Project");
+    contract = await Project.deploy();
+    await contract.deployed();
+    await contract.depositRewards({ value: POOL_FUNDING });
+
+    events = [];
+    keeper = createKeeper(contract.connect(keeperAccount), {
+      signingKey: new ethers.utils.SigningKey(ethers.utils.randomBytes(32)),
+      fromBlock: contract.deployTransaction.blockNumber,
+      // The HTTP server is needed, the timer is not: tests drive passes with tick()
+      pollInterval: 60 * 60 * 1000,
+      confirmationTimeout: 500,
+      retryDelay: 0,
+      onEvent: (type, details) => events.push({ type, ...details }),
+    });
+    baseUrl = `http://127.0.0.1:${await keeper.listen(0)}`;
+  });
+
+  afterEach(async function () {
+    await keeper.close();
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  async function startRound() {
+    await contract.startCoordinationRound(roundParams(), []);
+    return (await contract.currentRoundId()).toString();
+  }
+
+  async function join(signer, roundId, choice, nonce) {
+    await contract.connect(signer).joinCoordinationRound(roundId, commitmentFor(contract, roundId, signer.address, choice, nonce), [], { value: STAKE });
+  }
+
+  async function encryptedPayload(signer, roundId, choice, nonce, publicKey = keeper.publicKey) {
+    const signature = await signRevealAuthorization(signer, contract, roundId, choice, nonce);
+    return encryptRevealPayload(publicKey, roundId, signer.address, { choice, nonce, signature });
+  }
+
+  async function request(path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function register(signer, roundId, payload) {
+    return request("/payloads", { roundId, participant: signer.address, payload });
+  }
+
+  it("reveals registered payloads in the reveal phase and finalizes the round after its deadline", async function () {
+    const roundId = await startRound();
+    await join(alice, roundId, 1, 11);
+    await join(bob, roundId, 1, 22);
+
+    const { body: keyInfo } = await request("/public-key");
+    expect(keyInfo.publicKey).to.equal(keeper.publicKey);
+    expect(keyInfo.relayer).to.equal(keeperAccount.address);
+
+    const registered = await register(alice, roundId, await encryptedPayload(alice, roundId, 1, 11));
+    expect(registered.status).to.equal(202);
+    expect(registered.body.status).to.equal("queued");
+    // Only the ciphertext is kept
+    expect(JSON.stringify(keeper.state)).not.to.include('"choice"');
+
+    // Nothing happens during the commit phase
+    await keeper.tick();
+    expect((await contract.getParticipantInfo(roundId, alice.address)).hasRevealed).to.equal(false);
+
+    await increaseTime(COMMIT_DURATION + 1);
+    await keeper.tick();
+    expect((await contract.getParticipantInfo(roundId, alice.address)).hasRevealed).to.equal(true);
+    expect((await request(`/payloads/${roundId}/${alice.address}`)).body.status).to.equal("revealed");
+
+    await increaseTime(REVEAL_DURATION);
+    await keeper.tick();
+    const info = await contract.getRoundInfo(roundId);
+    expect(info.roundFinalized).to.equal(true);
+    expect(keeper.state.rounds[roundId].status).to.equal("finalized");
+    expect(events.map((event) => event.type)).to.deep.equal(["registered", "revealed", "finalized"]);
+  });
+
+  it("finalizes rounds it only learned about from RoundStarted events", async function () {
+    const first = await startRound();
+    const second = await startRound();
+    await join(alice, second, 0, 11);
+
+    await keeper.tick();
+    expect(Object.keys(keeper.state.rounds)).to.deep.equal([first, second]);
+
+    await increaseTime(COMMIT_DURATION + REVEAL_DURATION + 1);
+    await keeper.tick();
+    expect((await contract.getRoundInfo(first)).roundFinalized).to.equal(true);
+    expect((await contract.getRoundInfo(second)).roundFinalized).to.equal(true);
+    // The unrevealed stake was refunded by the keeper's finalization
+    expect(await contract.getParticipantReward(alice.address)).to.equal(STAKE);
+  });
+
+  it("rejects payloads it cannot decrypt, relabelled payloads and foreign signatures", async function () {
+    const roundId = await startRound();
+    await join(alice, roundId, 1, 11);
+    await join(bob, roundId, 1, 22);
+
+    const otherKeeper = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+    const forOtherKeeper = await encryptedPayload(alice, roundId, 1, 11, otherKeeper.publicKey);
+    expect((await register(alice, roundId, forOtherKeeper)).body.error).to.equal("Payload cannot be decrypted by this keeper");
+
+    // The ciphertext is bound to Alice, so it cannot be resubmitted for Bob
+    const alicePayload = await encryptedPayload(alice, roundId, 1, 11);
+    expect((await register(bob, roundId, alicePayload)).body.error).to.equal("Payload cannot be decrypted by this keeper");
+
+    const signature = await signRevealAuthorization(alice, contract, roundId, 1, 22);
+    const signedByAlice = await encryptRevealPayload(keeper.publicKey, roundId, bob.address, { choice: 1, nonce: 22, signature });
+    const rejected = await register(bob, roundId, signedByAlice);
+    expect(rejected.status).to.equal(400);
+    expect(rejected.body.error).to.equal("Signature was not made by the participant");
+    expect(keeper.state.reveals).to.deep.equal({});
+  });
+
+  it("bumps the fees of a reveal that stays pending and resumes it on the next pass", async function () {
+    const roundId = await startRound();
+    await join(alice, roundId, 1, 11);
+    await join(bob, roundId, 1, 22);
+    await register(alice, roundId, await encryptedPayload(alice, roundId, 1, 11));
+    await increaseTime(COMMIT_DURATION + 1);
+
+    // With automine off nothing gets mined, so every confirmation times out
+    await network.provider.send("evm_setAutomine", [false]);
+    await keeper.tick();
+
+    const job = Object.values(keeper.state.reveals)[0];
+    expect(events.filter((event) => event.type === "bumped")).to.have.length(3);
+    expect(job.status).to.equal("queued");
+    expect(job.pendingTx.hashes).to.have.length(4);
+
+    // Each replacement reused the nonce, paid more and evicted the one it replaced from the mempool
+    const bumps = events.filter((event) => event.type === "bumped");
+    const replacement = await ethers.provider.getTransaction(job.pendingTx.hashes[3]);
+    expect(replacement.nonce).to.equal(bumps[0].nonce);
+    expect(replacement.maxFeePerGas).to.be.gt(bumps[2].maxFeePerGas);
+    expect(ethers.BigNumber.from(bumps[2].maxFeePerGas)).to.be.gt(bumps[0].maxFeePerGas);
+    expect(await ethers.provider.getTransaction(job.pendingTx.hashes[0])).to.equal(null);
+
+    // Once mined, the next pass picks up the receipt instead of sending a duplicate
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_setAutomine", [true]);
+    await keeper.tick();
+
+    expect(job.status).to.equal("revealed");
+    expect(job.pendingTx).to.equal(undefined);
+    expect((await contract.getParticipantInfo(roundId, alice.address)).hasRevealed).to.equal(true);
+  });
+
+  it("bumps the gas price instead on chains without EIP-1559 fees", async function () {
+    // A legacy chain reports a gas price and no EIP-1559 fees
+    class LegacyProvider extends ethers.providers.Web3Provider {
+      async getFeeData() {
+        return { gasPrice: await this.getGasPrice(), maxFeePerGas: null, maxPriorityFeePerGas: null };
+      }
+    }
+    const provider = new LegacyProvider(network.provider);
+    const legacyKeeper = createKeeper(contract.connect(provider.getSigner(keeperAccount.address)), {
+      signingKey: new ethers.utils.SigningKey(ethers.utils.randomBytes(32)),
+      fromBlock: contract.deployTransaction.blockNumber,
+      confirmationTimeout: 500,
+      retryDelay: 0,
+      onEvent: (type, details) => events.push({ type, ...details }),
+    });
+
+    const roundId = await startRound();
+    await join(alice, roundId, 1, 11);
+    const payload = await encryptedPayload(alice, roundId, 1, 11, legacyKeeper.publicKey);
+    await legacyKeeper.registerPayload({ roundId, participant: alice.address, payload });
+    await increaseTime(COMMIT_DURATION + 1);
+
+    await network.provider.send("evm_setAutomine", [false]);
+    await legacyKeeper.tick();
+
+    const job = Object.values(legacyKeeper.state.reveals)[0];
+    const bumps = events.filter((event) => event.type === "bumped");
+    expect(bumps).to.have.length(3);
+    expect(bumps[0]).to.not.have.property("maxFeePerGas");
+    const replacement = await ethers.provider.getTransaction(job.pendingTx.hashes[3]);
+    expect(replacement.type).to.equal(0);
+    expect(replacement.gasPrice).to.equal(job.pendingTx.gasPrice);
+    expect(replacement.gasPrice).to.be.gt(bumps[2].gasPrice);
+    expect(ethers.BigNumber.from(bumps[2].gasPrice)).to.be.gt(bumps[0].gasPrice);
+
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_setAutomine", [true]);
+    await legacyKeeper.tick();
+    expect(job.status).to.equal("revealed");
+  });
+
+  it("holds reveals and finalization back while the contract is paused", async function () {
+    const roundId = await startRound();
+    await join(alice, roundId, 1, 11);
+    await register(alice, roundId, await encryptedPayload(alice, roundId, 1, 11));
+    await increaseTime(COMMIT_DURATION + 1);
+
+    await contract.pause();
+    await keeper.tick();
+    expect(Object.values(keeper.state.reveals)[0].status).to.equal("queued");
+    await increaseTime(REVEAL_DURATION);
+    await keeper.tick();
+    expect(keeper.state.rounds[roundId].status).to.equal("watching");
+    expect(events.map((event) => event.type)).to.deep.equal(["registered"]);
+
+    // The reveal window passed during the pause, so the round can only be finalized once unpaused
+    await contract.unpause();
+    await keeper.tick();
+    expect(Object.values(keeper.state.reveals)[0].status).to.equal("expired");
+    expect(keeper.state.rounds[roundId].status).to.equal("finalized");
+  });
+
+  it("settles the participants finalization left over", async function () {
+    const roundId = await startRound();
+    const batchSize = (await contract.SETTLEMENT_BATCH_SIZE()).toNumber();
+    for (let i = 0; i < batchSize + 5; i++) {
+      const wallet = new ethers.Wallet(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`keeper-${i}`)), ethers.provider);
+      await network.provider.send("hardhat_setBalance", [wallet.address, POOL_FUNDING.toHexString()]);
+      await join(wallet, roundId, 1, i + 1);
+    }
+
+    await increaseTime(COMMIT_DURATION + REVEAL_DURATION + 1);
+    await keeper.tick();
+
+    expect(keeper.state.rounds[roundId].status).to.equal("finalized");
+    expect(events.map((event) => event.type)).to.deep.equal(["finalized", "settled"]);
+    expect(events[1].remaining).to.equal(0);
+    expect((await contract.getRoundSettlement(roundId)).unsettledCount).to.equal(0);
+  });
+
+  it("starts scheduled rounds once they are due and the previous one is finalized", async function () {
+    const interval = COMMIT_DURATION + REVEAL_DURATION + 60;
+    await contract.saveRoundTemplate(0, "Recurring", roundParams(), [], STAKE, 0);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await contract.setRoundSchedule(1, timestamp + 30, interval);
+
+    await keeper.tick();
+    expect(await contract.currentRoundId()).to.equal(0);
+
+    await increaseTime(30);
+    await keeper.tick();
+    expect(await contract.currentRoundId()).to.equal(1);
+    expect(keeper.state.schedule.status).to.equal("started");
+
+    // The next slot is due, but the first scheduled round only gets finalized on this pass
+    await increaseTime(interval);
+    await keeper.tick();
+    expect((await contract.getRoundInfo(1)).roundFinalized).to.equal(true);
+    expect(await contract.currentRoundId()).to.equal(2);
+    expect(events.filter((event) => event.type === "started").map((event) => event.roundId)).to.deep.equal(["1", "2"]);
+  });
+
+  it("retries transient failures and gives up on reverts", async function () {
+    const roundId = await startRound();
+    await join(alice, roundId, 1, 11);
+    await join(bob, roundId, 0, 22);
+    await register(alice, roundId, await encryptedPayload(alice, roundId, 1, 11));
+    await register(bob, roundId, await encryptedPayload(bob, roundId, 0, 22));
+    await increaseTime(COMMIT_DURATION + 1);
+
+    // Bob reveals himself first, so the keeper has nothing to do for him
+    await contract.connect(bob).revealChoiceAndCoordinate(roundId, 0, 22);
+
+    // The keeper cannot pay for gas: the reveal is retried, not dropped
+    const balance = await ethers.provider.getBalance(keeperAccount.address);
+    await network.provider.send("hardhat_setBalance", [keeperAccount.address, "0x0"]);
+    await keeper.tick();
+    const job = keeper.state.reveals[`${roundId}:${alice.address.toLowerCase()}`];
+    expect(job.status).to.equal("queued");
+    expect(job.attempts).to.equal(1);
+    expect(events.map((event) => event.type)).to.include("retry");
+
+    await network.provider.send("hardhat_setBalance", [keeperAccount.address, balance.toHexString()]);
+    await keeper.tick();
+    expect(job.status).to.equal("revealed");
+    expect(keeper.state.reveals[`${roundId}:${bob.address.toLowerCase()}`].status).to.equal("revealed");
+
+    // A payload whose reveal reverts fails for good
+    const next = await startRound();
+    await join(alice, next, 1, 33);
+    const signature = await signRevealAuthorization(alice, contract, next, 1, 34);
+    const wrongNonce = await encryptRevealPayload(keeper.publicKey, next, alice.address, { choice: 1, nonce: 34, signature });
+    await register(alice, next, wrongNonce);
+    await increaseTime(COMMIT_DURATION + 1);
+    await keeper.tick();
+
+    const failed = keeper.state.reveals[`${next}:${alice.address.toLowerCase()}`];
+    expect(failed.status).to.equal("failed");
+    expect(failed.attempts).to.equal(1);
+    expect(failed.error).to.include("Invalid proof - commitment mismatch");
+  });
+});
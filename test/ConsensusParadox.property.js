@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const {
+  Policy,
+  Mode,
+  Curve,
+  roundParams,
+  commitmentFor,
+  increaseTime,
+  expectSolvent,
+} = require("./helpers");
+
+// Randomized lifecycle scenarios checked against a reference model of the settlement rules.
+// Set PROPERTY_SEED to replay a failing run; the seed is printed in every failure message.
+const SEED = Number(process.env.PROPERTY_SEED || Date.now() % 2 ** 31);
+const POOL_FUNDING = ethers.utils.parseEther("1000");
+const WALLET_BALANCE = ethers.utils.parseEther("100");
+// Every transaction mines a block one second later, so phases must outlast hundreds of joins
+const PHASE_DURATION = 3600;
+
+// Small deterministic PRNG (mulberry32) so a seed reproduces the exact scenario
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+  };
+}
+
+function randomRoundParams(random) {
+  const optionCount = random.int(2, 5);
+  const nonRevealPolicy = random.pick(Object.values(Policy));
+  return roundParams({
+    commitPhaseDuration: PHASE_DURATION,
+    revealPhaseDuration: PHASE_DURATION,
+    optionCount,
+    // Any threshold that beats an even split is valid
+    consensusThreshold: random.int(Math.floor(100 / optionCount) + 1, 100),
+    nonRevealPolicy,
+    slashPercentage: nonRevealPolicy === Policy.Refund ? 0 : random.int(0, 100),
+    consensusMode: random.pick(Object.values(Mode)),
+    rewardCurve: random.pick(Object.values(Curve)),
+  });
+}
+
+// Draw a choice with a random bias towards one option so some rounds clear their threshold
+function randomChoice(random, params, favourite, bias) {
+  return random.chance(bias) ? favourite : random.int(0, params.optionCount - 1);
+}
+
+// Reference model of _curveReward: the part of the reserved reward a coordinated round pays
+function curveReward(params, reservedReward, result) {
+  const span = 100 - params.consensusThreshold;
+  if (params.rewardCurve === Curve.Step || span === 0) return reservedReward;
+  const progress = result - params.consensusThreshold;
+  if (params.rewardCurve === Curve.Linear) return reservedReward.mul(progress).div(span);
+  return reservedReward.mul(progress * progress).div(span * span);
+}
+
+// Reference model of _finalizeCoordinationResult: expected outcome and credit per address
+function settleRound(params, participants, reservedReward, treasury) {
+  const counts = new Array(params.optionCount).fill(0);
+  const stakes = new Array(params.optionCount).fill(ethers.constants.Zero);
+  const revealed = participants.filter((p) => p.revealed);
+  revealed.forEach((p) => {
+    counts[p.choice]++;
+    stakes[p.choice] = stakes[p.choice].add(p.stake);
+  });
+
+  const isWeighted = params.consensusMode === Mode.StakeWeighted;
+  const tallies = isWeighted ? stakes : counts.map((count) => ethers.BigNumber.from(count));
+  let leader = 0;
+  let isTie = false;
+  let total = tallies[0];
+  for (let option = 1; option < tallies.length; option++) {
+    total = total.add(tallies[option]);
+    if (tallies[option].gt(tallies[leader])) {
+      leader = option;
+      isTie = false;
+    } else if (tallies[option].eq(tallies[leader])) {
+      isTie = true;
+    }
+  }
+  const result = total.gt(0) ? tallies[leader].mul(100).div(total).toNumber() : 0;
+
+  const credits = new Map();
+  const credit = (address, amount) => {
+    if (amount.isZero()) return;
+    credits.set(address, (credits.get(address) || ethers.constants.Zero).add(amount));
+  };
+
+  let slashPercentage = params.slashPercentage;
+  if (params.nonRevealPolicy === Policy.SlashToWinners && revealed.length === 0) {
+    slashPercentage = 0;
+  }
+  let slashed = ethers.constants.Zero;
+  participants.filter((p) => !p.revealed).forEach((p) => {
+    const cut = p.stake.mul(slashPercentage).div(100);
+    credit(p.address, p.stake.sub(cut));
+    slashed = slashed.add(cut);
+  });
+  let slashedToPool = slashed;
+  if (params.nonRevealPolicy === Policy.SlashToTreasury) {
+    credit(treasury, slashed);
+    slashedToPool = ethers.constants.Zero;
+  }
+
+  const coordinated = !isTie && result >= params.consensusThreshold;
+  let totalReward = ethers.constants.Zero;
+  if (coordinated) {
+    const revealedStake = revealed.reduce((sum, p) => sum.add(p.stake), ethers.constants.Zero);
+    totalReward = revealedStake.add(slashedToPool).add(curveReward(params, reservedReward, result));
+    revealed.filter((p) => p.choice === leader).forEach((p) => {
+      const weight = isWeighted ? p.stake : ethers.BigNumber.from(1);
+      credit(p.address, totalReward.mul(weight).div(tallies[leader]));
+    });
+  } else {
+    const share = revealed.length > 0 ? slashedToPool.div(revealed.length) : ethers.constants.Zero;
+    revealed.forEach((p) => credit(p.address, p.stake.add(share)));
+  }
+
+  return { coordinated, winningChoice: leader, result, totalReward, counts, credits };
+}
+
+describe("ConsensusParadox property-based scenarios", function () {
+  this.timeout(600000);
+
+  let contract;
+  let owner;
+  let wallets;
+
+  async function createWallets(count) {
+    const created = [];
+    for (let i = 0; i < count; i++) {
+      const privateKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`participant-${i}`));
+      const wallet = new ethers.Wallet(privateKey, ethers.provider);
+      await network.provider.send("hardhat_setBalance", [wallet.address, WALLET_BALANCE.toHexString()]);
+      created.push(wallet);
+    }
+    return created;
+  }
+
+  before(async function () {
+    [owner] = await ethers.getSigners();
+    wallets = await createWallets(300);
+  });
+
+  beforeEach(async function () {
+    const Project = await ethers.getContractFactory("Project");
+    contract = await Project.deploy();
+    await contract.deployed();
+    await contract.depositRewards({ value: POOL_FUNDING });
+  });
+
+  // Start a round and let a random subset of wallets commit to it
+  async function openRound(random, participantCount) {
+    const params = randomRoundParams(random);
+    await contract.startCoordinationRound(params, []);
+    const roundId = await contract.currentRoundId();
+    const minStake = await contract.minStake();
+    const favourite = random.int(0, params.optionCount - 1);
+    const bias = random.next();
+    const revealRate = random.pick([1, random.next()]);
+
+    const participants = [];
+    const start = random.int(0, wallets.length - participantCount);
+    for (const wallet of wallets.slice(start, start + participantCount)) {
+      const participant = {
+        address: wallet.address,
+        wallet,
+        choice: randomChoice(random, params, favourite, bias),
+        nonce: ethers.BigNumber.from(random.int(1, 2 ** 31)),
+        // Up to about one ether above the minimum, with odd wei so pro rata shares leave dust
+        stake: minStake.add(ethers.BigNumber.from(random.int(0, 1e9)).mul(1e9)).add(random.int(0, 1e6)),
+        willReveal: random.chance(revealRate),
+        revealed: false,
+      };
+      await contract
+        .connect(wallet)
+        .joinCoordinationRound(
+          roundId,
+          commitmentFor(contract, roundId, wallet.address, participant.choice, participant.nonce),
+          [],
+          { value: participant.stake }
+        );
+      participants.push(participant);
+    }
+
+    return { roundId, params, participants, reservedReward: await contract.coordinationReward() };
+  }
+
+  async function revealAll(random, round) {
+    for (const participant of round.participants.filter((p) => p.willReveal)) {
+      // Occasionally reveal with a wrong nonce first; it must be rejected without side effects
+      if (random.chance(0.05)) {
+        await expect(
+          contract.connect(participant.wallet).revealChoiceAndCoordinate(round.roundId, participant.choice, participant.nonce.add(1))
+        ).to.be.revertedWith("Invalid proof - commitment mismatch");
+      }
+      await contract.connect(participant.wallet).revealChoiceAndCoordinate(round.roundId, participant.choice, participant.nonce);
+      participant.revealed = true;
+    }
+  }
+
+  async function finalizeIfOpen(round) {
+    const info = await contract.getRoundInfo(round.roundId);
+    if (!info.roundFinalized) {
+      await contract.finalizeRound(round.roundId);
+    }
+  }
+
+  // Finalization only credits the first participants; settle the rest through a mix of self-claims and
+  // permissionless batches of random size, checking each claimed payout against the model first
+  async function settleRemaining(random, round) {
+    const expected = settleRound(round.params, round.participants, round.reservedReward, owner.address);
+    for (const participant of round.participants) {
+      const owed = expected.credits.get(participant.address) || ethers.constants.Zero;
+      const pending = await contract.getPendingPayout(round.roundId, participant.address);
+      if (pending.settled || owed.isZero() || !random.chance(0.2)) continue;
+
+      expect(pending.amount, `pending payout for ${participant.address}`).to.equal(owed);
+      await contract.connect(participant.wallet).claimRoundRewards([round.roundId]);
+    }
+
+    while ((await contract.getRoundSettlement(round.roundId)).unsettledCount.gt(0)) {
+      await contract.settleRound(round.roundId, random.int(1, 100));
+    }
+    expect((await contract.getRoundSettlement(round.roundId)).payoutReserve).to.equal(0);
+  }
+
+  async function checkSettlement(round) {
+    const expected = settleRound(round.params, round.participants, round.reservedReward, owner.address);
+    const result = await contract.getRoundResult(round.roundId);
+    const info = await contract.getRoundInfo(round.roundId);
+
+    expect(info.roundFinalized).to.equal(true);
+    expect(info.coordinationResult).to.equal(expected.result);
+    expect(result.coordinated).to.equal(expected.coordinated);
+    expect(result.winningChoice).to.equal(expected.winningChoice);
+    expect(result.choiceCounts.map(Number)).to.deep.equal(expected.counts);
+    expect(result.nonRevealCount).to.equal(round.participants.filter((p) => !p.revealed).length);
+    expect(result.totalReward).to.equal(expected.totalReward);
+
+    const credited = new Map();
+    const events = await contract.queryFilter(contract.filters.RewardCredited(round.roundId));
+    events.forEach(({ args }) => {
+      credited.set(args.participant, (credited.get(args.participant) || ethers.constants.Zero).add(args.amount));
+    });
+    expect(credited.size).to.equal(expected.credits.size);
+    expected.credits.forEach((amount, address) => {
+      expect(credited.get(address), `credit for ${address}`).to.equal(amount);
+    });
+
+    // A round never pays out more than its stakes plus its reserved reward
+    const totalCredited = [...credited.values()].reduce((sum, amount) => sum.add(amount), ethers.constants.Zero);
+    const totalStake = round.participants.reduce((sum, p) => sum.add(p.stake), ethers.constants.Zero);
+    expect(totalCredited).to.be.lte(totalStake.add(expected.coordinated ? round.reservedReward : 0));
+  }
+
+  async function withSeed(seed, scenario) {
+    try {
+      await scenario(createRandom(seed));
+    } catch (error) {
+      error.message = `${error.message} (replay with PROPERTY_SEED=${seed})`;
+      throw error;
+    }
+  }
+
+  it("settles a round with hundreds of participants exactly as the reference model", async function () {
+    await withSeed(SEED, async (random) => {
+      const round = await openRound(random, 300);
+      await expectSolvent(contract);
+
+      await increaseTime(PHASE_DURATION);
+      await revealAll(random, round);
+      await increaseTime(PHASE_DURATION);
+      await finalizeIfOpen(round);
+
+      await settleRemaining(random, round);
+      await checkSettlement(round);
+      await expectSolvent(contract);
+    });
+  });
+
+  it("keeps the contract solvent across randomized interleaved rounds", async function () {
+    await withSeed(SEED + 1, async (random) => {
+      const settled = [];
+
+      for (let batch = 0; batch < 4; batch++) {
+        // Overlapping rounds: each starts while the previous one is still in its commit phase
+        const rounds = [];
+        const roundCount = random.int(2, 3);
+        for (let i = 0; i < roundCount; i++) {
+          rounds.push(await openRound(random, random.int(1, 40)));
+          await expectSolvent(contract);
+          await increaseTime(5);
+        }
+
+        await increaseTime(PHASE_DURATION);
+        for (const round of rounds) {
+          await revealAll(random, round);
+          await expectSolvent(contract);
+        }
+
+        await increaseTime(PHASE_DURATION);
+        for (const round of [...rounds].reverse()) {
+          await finalizeIfOpen(round);
+          await settleRemaining(random, round);
+          await checkSettlement(round);
+          await expectSolvent(contract);
+        }
+        settled.push(...rounds);
+      }
+
+      // Every credited amount can be withdrawn, leaving exactly the unreserved pool behind
+      const claimants = new Set(settled.flatMap((round) => round.participants.map((p) => p.wallet)));
+      for (const wallet of [owner, ...claimants]) {
+        if ((await contract.getParticipantReward(wallet.address)).gt(0)) {
+          await contract.connect(wallet).claimRewards();
+        }
+      }
+
+      expect(await contract.getTotalLiabilities()).to.equal(0);
+      expect(await ethers.provider.getBalance(contract.address)).to.equal(await contract.getRewardPoolBalance());
+    });
+  });
+});
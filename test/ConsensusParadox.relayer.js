@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  COMMIT_DURATION,
+  STAKE,
+  POOL_FUNDING,
+  roundParams,
+  commitmentFor,
+  signRevealAuthorization,
+  increaseTime,
+} = require("./helpers");
+const { createRelayer } = require("../scripts/relayer");
+
+// Runs of the reveal relayer's queue against the hardhat network
+describe("ConsensusParadox reveal relayer", function () {
+  let contract;
+  let alice;
+  let relayerAccount;
+  let relayer;
+  let events;
+
+  beforeEach(async function () {
+    [, alice, relayerAccount] = await ethers.getSigners();
+    const Project = await ethers.getContractFactory("Project");
+    contract = await Project.deploy();
+    await contract.deployed();
+    await contract.depositRewards({ value: POOL_FUNDING });
+
+    // No store and no timer: tests drive passes with processQueue()
+    events = [];
+    relayer = createRelayer(contract.connect(relayerAccount), { onEvent: (type) => events.push(type) });
+  });
+
+  async function queueReveal(signer, choice, nonce) {
+    await contract.startCoordinationRound(roundParams(), []);
+    const roundId = (await contract.currentRoundId()).toString();
+    await contract.connect(signer).joinCoordinationRound(roundId, commitmentFor(contract, roundId, signer.address, choice, nonce), [], { value: STAKE });
+    const signature = await signRevealAuthorization(signer, contract, roundId, choice, nonce);
+    return relayer.addAuthorization({ roundId, participant: signer.address, choice, nonce, signature });
+  }
+
+  it("reveals queued authorizations once the reveal phase opens", async function () {
+    const entry = await queueReveal(alice, 1, 11);
+    await relayer.processQueue();
+    expect(entry.status).to.equal("queued");
+
+    await increaseTime(COMMIT_DURATION + 1);
+    await relayer.processQueue();
+    expect(entry.status).to.equal("revealed");
+    expect((await contract.getParticipantInfo(entry.roundId, alice.address)).hasRevealed).to.equal(true);
+    expect(events).to.deep.equal(["queued", "revealed"]);
+  });
+
+  it("retries failed sends with backoff until the reveal goes through", async function () {
+    // A relaying account without funds fails to send until someone tops it up
+    const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    relayer = createRelayer(contract.connect(wallet), { retryDelay: 60000, onEvent: (type) => events.push(type) });
+    const entry = await queueReveal(alice, 1, 11);
+    await increaseTime(COMMIT_DURATION + 1);
+
+    await relayer.processQueue();
+    expect(entry.status).to.equal("queued");
+    expect(entry.attempts).to.equal(1);
+    expect(entry.nextAttemptAt).to.be.above(Date.now());
+
+    // Not due yet: the backoff holds the retry back
+    await relayerAccount.sendTransaction({ to: wallet.address, value: ethers.utils.parseEther("1") });
+    await relayer.processQueue();
+    expect(entry.attempts).to.equal(1);
+
+    entry.nextAttemptAt = 0;
+    await relayer.processQueue();
+    expect(entry.status).to.equal("revealed");
+    expect(events).to.deep.equal(["queued", "retry", "revealed"]);
+  });
+
+  it("gives up on an authorization the contract rejects", async function () {
+    await contract.startCoordinationRound(roundParams(), []);
+    const roundId = (await contract.currentRoundId()).toString();
+    await contract.connect(alice).joinCoordinationRound(roundId, commitmentFor(contract, roundId, alice.address, 1, 11), [], { value: STAKE });
+    // Signed for a choice the participant never committed to
+    const signature = await signRevealAuthorization(alice, contract, roundId, 2, 11);
+    const entry = await relayer.addAuthorization({ roundId, participant: alice.address, choice: 2, nonce: 11, signature });
+    await increaseTime(COMMIT_DURATION + 1);
+
+    await relayer.processQueue();
+    expect(entry.status).to.equal("failed");
+    expect(entry.attempts).to.equal(1);
+    expect(events).to.deep.equal(["queued", "failed"]);
+  });
+
+  it("keeps reveals queued while the contract is paused", async function () {
+    const entry = await queueReveal(alice, 1, 11);
+    await increaseTime(COMMIT_DURATION + 1);
+
+    await contract.pause();
+    await relayer.processQueue();
+    expect(entry.status).to.equal("queued");
+    expect(entry.error).to.equal(undefined);
+
+    // Unpaused within the reveal window, the reveal goes through
+    await contract.unpause();
+    await relayer.processQueue();
+    expect(entry.status).to.equal("revealed");
+    expect((await contract.getParticipantInfo(entry.roundId, alice.address)).hasRevealed).to.equal(true);
+  });
+});
@@ -0,0 +1,101 @@
+const { ethers, network } = require("hardhat");
+
+const COMMIT_DURATION = 60;
+const REVEAL_DURATION = 60;
+const STAKE = ethers.utils.parseEther("0.1");
+const POOL_FUNDING = ethers.utils.parseEther("10");
+
+const Policy = { Refund: 0, SlashToWinners: 1, SlashToTreasury: 2 };
+const Mode = { OneAddressOneVote: 0, StakeWeighted: 1 };
+const Curve = { Step: 0, Linear: 1, Quadratic: 2 };
+
+function roundParams(overrides = {}) {
+  return {
+    commitPhaseDuration: COMMIT_DURATION,
+    revealPhaseDuration: REVEAL_DURATION,
+    consensusThreshold: 60,
+    nonRevealPolicy: Policy.Refund,
+    slashPercentage: 0,
+    optionCount: 2,
+    consensusMode: Mode.OneAddressOneVote,
+    maxParticipants: 0,
+    allowlistRoot: ethers.constants.HashZero,
+    minReputation: 0,
+    stakeToken: ethers.constants.AddressZero,
+    rewardCurve: Curve.Step,
+    ...overrides,
+  };
+}
+
+// Mirrors getCommitmentHash: the commitment is bound to the contract, chain, round and committer
+const COMMITMENT_VERSION = 1;
+const COMMITMENT_TYPES = ["uint256", "address", "uint256", "uint256", "address", "uint256", "uint256"];
+
+function commitmentFor(contract, roundId, participant, choice, nonce, chainId = network.config.chainId) {
+  const preimage = [COMMITMENT_VERSION, contract.address, chainId, roundId, participant, choice, nonce];
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(COMMITMENT_TYPES, preimage));
+}
+
+// EIP-712 reveal authorization a participant signs so a relayer can reveal on their behalf
+const REVEAL_AUTHORIZATION_TYPES = {
+  RevealAuthorization: [
+    { name: "roundId", type: "uint256" },
+    { name: "choice", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+async function revealAuthorizationDomain(contract) {
+  const { chainId } = await contract.provider.getNetwork();
+  return { name: "The Consensus Paradox", version: "1", chainId, verifyingContract: contract.address };
+}
+
+async function signRevealAuthorization(signer, contract, roundId, choice, nonce) {
+  const domain = await revealAuthorizationDomain(contract);
+  return signer._signTypedData(domain, REVEAL_AUTHORIZATION_TYPES, { roundId, choice, nonce });
+}
+
+async function increaseTime(seconds) {
+  await network.provider.send("evm_increaseTime", [seconds]);
+  await network.provider.send("evm_mine");
+}
+
+// Mine the next transaction at an exact timestamp, for phase boundary checks
+async function setNextTimestamp(timestamp) {
+  await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+}
+
+// Reserved, outstanding, active and unsettled totals of one currency, the native one by default
+function liabilitiesOf(contract, token = ethers.constants.AddressZero) {
+  return contract.liabilities(token);
+}
+
+// Everything the contract owes in a currency must stay covered by its balance of it
+async function expectSolvent(contract, token = null) {
+  const balance = token ? await token.balanceOf(contract.address) : await ethers.provider.getBalance(contract.address);
+  const liabilities = await contract.getTokenLiabilities(token ? token.address : ethers.constants.AddressZero);
+
+  if (balance.lt(liabilities)) {
+    throw new Error(`Insolvent: balance ${balance} < liabilities ${liabilities}`);
+  }
+}
+
+module.exports = {
+  COMMIT_DURATION,
+  REVEAL_DURATION,
+  STAKE,
+  POOL_FUNDING,
+  Policy,
+  Mode,
+  Curve,
+  roundParams,
+  COMMITMENT_VERSION,
+  commitmentFor,
+  REVEAL_AUTHORIZATION_TYPES,
+  revealAuthorizationDomain,
+  signRevealAuthorization,
+  increaseTime,
+  setNextTimestamp,
+  liabilitiesOf,
+  expectSolvent,
+};